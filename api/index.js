@@ -0,0 +1,8 @@
+/**
+ * Vercel 入口文件
+ * 所有路径经 vercel.json 重写到此函数,由核心路由分发
+ */
+
+import { createVercelHandler } from '../src/adapters/vercel.js';
+
+export default createVercelHandler();
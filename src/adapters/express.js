@@ -0,0 +1,33 @@
+/**
+ * Express 适配器
+ * 将 Express 请求转换为核心请求对象,交由 router 处理
+ */
+
+import { handleRequest } from '../api/router.js';
+import { readRawBody } from './readRawBody.js';
+
+/**
+ * 创建 Express 中间件(挂在 app.use 上即可,替代 express.json)
+ */
+export function createExpressMiddleware() {
+  return async (req, res, next) => {
+    try {
+      const response = await handleRequest({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: await readRawBody(req),
+        requestId: req.get('x-request-id')
+      });
+
+      res.status(response.status).set(response.headers);
+      if (response.body === null) {
+        res.end();
+      } else {
+        res.send(JSON.stringify(response.body));
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * 阿里云函数计算 3.0 适配器
+ * HTTP 触发器按路径分发到核心路由;非 HTTP 事件(如控制台测试、事件触发)按路线规划请求处理
+ * 事件格式: https://help.aliyun.com/zh/functioncompute/fc-3-0/user-guide/http-trigger-overview
+ */
+
+import { handleRequest } from '../api/router.js';
+
+/**
+ * 创建 FC handler
+ * @returns {Function} async (event, context) => {statusCode, headers, body}
+ */
+export function createFcHandler() {
+  return async (event, context = {}) => {
+    const request = toRequest(parseEvent(event));
+    const response = await handleRequest({ ...request, requestId: context.requestId });
+
+    return {
+      statusCode: response.status,
+      headers: response.headers,
+      body: response.body === null ? '' : JSON.stringify(response.body)
+    };
+  };
+}
+
+/**
+ * FC 传入的 event 为 Buffer(JSON 文本)
+ */
+function parseEvent(event) {
+  if (Buffer.isBuffer(event)) event = event.toString('utf8');
+  if (typeof event !== 'string') return event || {};
+
+  try {
+    return JSON.parse(event);
+  } catch (error) {
+    // 非 JSON 事件按原始请求体处理,由核心返回 INVALID_JSON
+    return { body: event };
+  }
+}
+
+function toRequest(event) {
+  const http = event.requestContext?.http;
+
+  if (!http) {
+    return {
+      method: 'POST',
+      path: '/api/routes/plan',
+      query: {},
+      body: event.body ?? event
+    };
+  }
+
+  let body = event.body;
+  if (typeof body === 'string' && event.isBase64Encoded) {
+    body = Buffer.from(body, 'base64').toString('utf8');
+  }
+
+  return {
+    method: http.method,
+    path: event.rawPath || http.path || '/',
+    query: event.queryParameters || {},
+    body
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * 读取 Node.js 请求流中的原始请求体(字符串)
+ * 已被上游中间件解析过的请求体直接返回
+ */
+export function readRawBody(req) {
+  if (req.body !== undefined) return Promise.resolve(req.body);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
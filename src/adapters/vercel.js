@@ -0,0 +1,42 @@
+/**
+ * Vercel Serverless Function 适配器
+ */
+
+import { handleRequest, invalidJsonResponse } from '../api/router.js';
+import { readRawBody } from './readRawBody.js';
+
+/**
+ * 创建 Vercel handler
+ * @returns {Function} async (req, res)
+ */
+export function createVercelHandler() {
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const requestId = req.headers['x-vercel-id'];
+
+    let body;
+    try {
+      body = await readRawBody(req);
+    } catch (error) {
+      // Vercel 预解析的 req.body 不是合法 JSON 时读取即抛错,按核心的 INVALID_JSON 返回
+      send(res, invalidJsonResponse(requestId));
+      return;
+    }
+
+    send(res, await handleRequest({
+      method: req.method,
+      path: url.pathname,
+      query: req.query || Object.fromEntries(url.searchParams),
+      body,
+      requestId
+    }));
+  };
+}
+
+function send(res, response) {
+  res.statusCode = response.status;
+  for (const [name, value] of Object.entries(response.headers)) {
+    res.setHeader(name, value);
+  }
+  res.end(response.body === null ? '' : JSON.stringify(response.body));
+}
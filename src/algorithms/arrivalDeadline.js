@@ -0,0 +1,140 @@
+/**
+ * 到达时间模式(arriveBy)
+ * 按到达截止时间倒推每个方案的最晚出发时刻,剔除赶不上的方案,
+ * 并按出发余量和用时分布(P90、准点概率)评估迟到风险
+ */
+
+import { ARRIVAL_BUFFERS } from '../config/arrivalBuffers.js';
+import subwaySchedule from './subwaySchedule.js';
+import reliabilityModel from './reliabilityModel.js';
+import { haversineDistance } from '../utils/geo.js';
+import { classifyPlace } from '../utils/placeType.js';
+
+// 规划前粗估行程用时: 直线距离 × 绕行系数 / 平均速度 + 固定开销
+const ESTIMATE_SPEED = 25; // km/h
+const ESTIMATE_DETOUR = 1.3;
+const ESTIMATE_OVERHEAD = 15; // 分钟
+
+// 错过末班车时逐次提前出发的最大尝试次数(换乘多条线路时可能需要多次)
+const MAX_SHIFTS = 3;
+
+class ArrivalDeadline {
+  constructor(buffers = ARRIVAL_BUFFERS, schedule = subwaySchedule) {
+    this.buffers = buffers;
+    this.schedule = schedule;
+  }
+
+  /**
+   * 终点所需的到达缓冲
+   * @param {Object} destination - 解析后的终点 {name, typecode?}
+   * @param {number} override - 请求指定的缓冲分钟数(优先)
+   * @returns {Object} {type, name, minutes} type 为 custom / airport / railway / null
+   */
+  getBuffer(destination, override) {
+    if (Number.isFinite(override)) {
+      return { type: 'custom', name: '自定义缓冲', minutes: override };
+    }
+
+    const type = classifyPlace(destination);
+    const buffer = type && this.buffers[type];
+    return buffer
+      ? { type, name: buffer.name, minutes: buffer.minutes }
+      : { type: null, name: null, minutes: 0 };
+  }
+
+  /**
+   * 规划用的出发时刻(用于场景识别、路况和计价)
+   * 按直线距离粗估用时倒推,不早于最早出发时刻
+   * @param {Object} origin - 起点
+   * @param {Object} destination - 终点
+   * @param {Date} deadline - 到达截止时刻(已扣除缓冲)
+   * @param {Date} earliestDeparture - 最早出发时刻
+   * @returns {Date}
+   */
+  estimateDeparture(origin, destination, deadline, earliestDeparture) {
+    const km = haversineDistance(origin, destination) / 1000;
+    const minutes = km * ESTIMATE_DETOUR / ESTIMATE_SPEED * 60 + ESTIMATE_OVERHEAD;
+    const departure = new Date(deadline.getTime() - minutes * 60000);
+    return departure < earliestDeparture ? new Date(earliestDeparture) : departure;
+  }
+
+  /**
+   * 计算各方案的最晚出发时刻,剔除赶不上截止时间的方案
+   * @param {Array} routes - 候选方案
+   * @param {Object} window
+   * @param {Date} window.deadline - 到达截止时刻(已扣除缓冲)
+   * @param {Date} window.earliestDeparture - 最早出发时刻
+   * @returns {Object} {routes, droppedByServiceHours, droppedByDeadline}
+   */
+  apply(routes, { deadline, earliestDeparture }) {
+    const result = [];
+    let droppedByServiceHours = 0;
+    let droppedByDeadline = 0;
+
+    for (const route of routes) {
+      const plan = this._latestDeparture(route, deadline);
+      if (!plan) {
+        droppedByServiceHours++;
+        continue;
+      }
+
+      const slack = Math.floor((plan.departure - earliestDeparture) / 60000);
+      if (slack < 0) {
+        droppedByDeadline++;
+        continue;
+      }
+
+      // 风险余量: P90 用时超出典型用时的部分;准点概率按最早出发时刻出发计算
+      const available = (deadline - earliestDeparture) / 60000;
+      const evaluated = reliabilityModel.evaluate(route, plan.departure, available);
+      const riskMinutes = Math.max(0, evaluated.reliability.p90 - route.totalDuration);
+      const warnings = [...(route.warnings || [])];
+      plan.check?.legs
+        .filter(leg => leg.status === 'last_train')
+        .forEach(leg => warnings.push(`需在${leg.from}赶乘${leg.line}末班车(${leg.lastDeparture})`));
+      if (slack < riskMinutes) {
+        warnings.push(`出发余量${slack}分钟,低于用时波动约${riskMinutes}分钟,准点概率${Math.round(evaluated.reliability.onTimeProbability * 100)}%`);
+      }
+
+      result.push({
+        ...evaluated,
+        ...(plan.check && { serviceHours: plan.check }),
+        warnings,
+        arriveBy: {
+          latestDeparture: plan.departure.toISOString(),
+          recommendedDeparture: new Date(plan.departure.getTime() - riskMinutes * 60000).toISOString(),
+          arrival: new Date(plan.departure.getTime() + route.totalDuration * 60000).toISOString(),
+          slack,
+          riskMinutes
+        }
+      });
+    }
+
+    return { routes: result, droppedByServiceHours, droppedByDeadline };
+  }
+
+  /**
+   * 最晚出发时刻
+   * 错过末班车的,提前出发重新校验;需等首班车的,说明首班车后才能出发,到达必然晚于截止时间
+   * @returns {Object|null} {departure, check} 地铁停运无法按时到达时返回 null
+   */
+  _latestDeparture(route, deadline) {
+    let departure = new Date(deadline.getTime() - route.totalDuration * 60000);
+    if (!route.segments.some(seg => seg.mode === 'subway')) {
+      return { departure, check: null };
+    }
+
+    for (let attempt = 0; attempt <= MAX_SHIFTS; attempt++) {
+      const check = this.schedule.checkRoute(route, departure);
+      if (check.waitMinutes > 0) return null;
+      if (check.feasible) return { departure, check };
+
+      const late = Math.max(...check.legs.map(leg => leg.lateMinutes || 0));
+      departure = new Date(departure.getTime() - late * 60000);
+    }
+
+    return null;
+  }
+}
+
+export default new ArrivalDeadline();
@@ -0,0 +1,116 @@
+/**
+ * 地铁拥挤度模型
+ * 按线路、方向、区段和上车时刻估算车厢满载率与有座概率,以及换乘站的站内步行时间,
+ * 供舒适度评分使用;数据见 data/subwayCrowding.js
+ */
+
+import {
+  LINE_LOADS,
+  HOURLY_LOAD,
+  SEAT_CHANCE,
+  TERMINAL_SEAT_CHANCE,
+  TRANSFER_WALK_MINUTES
+} from '../data/subwayCrowding.js';
+import subwayNetwork from './subwayNetwork.js';
+import scenarioEngine from './scenarioEngine.js';
+import { beijingClock } from '../utils/beijingTime.js';
+
+// 满载率分级 [上限, 名称]
+const LOAD_LEVELS = [
+  [0.5, '宽松'],
+  [0.8, '舒适'],
+  [1.0, '较拥挤'],
+  [1.2, '拥挤'],
+  [Infinity, '非常拥挤']
+];
+
+class CrowdingModel {
+  constructor(loads = LINE_LOADS, network = subwayNetwork) {
+    this.loads = loads;
+    this.network = network;
+  }
+
+  /**
+   * 估算地铁段的拥挤程度(取乘车经过区段的最大满载率)
+   * @param {Object} seg - 地铁段 {line, from, to}
+   * @param {Date} boardAt - 上车时刻
+   * @returns {Object|null} {loadFactor, level, seatProbability},无线路数据时返回 null
+   */
+  estimate(seg, boardAt) {
+    const line = this.network.resolveLine(seg.line);
+    const load = line && this.loads[line.name];
+    const from = this.network.getStation(seg.from);
+    const to = this.network.getStation(seg.to);
+    if (!load || !from || !to) return null;
+
+    const fromIndex = line.stations.indexOf(from.id);
+    const toIndex = line.stations.indexOf(to.id);
+    if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) return null;
+
+    const terminal = toIndex > fromIndex ? line.stations[line.stations.length - 1] : line.stations[0];
+    const lineLoad = load.peak * this._interpolate(this._shape(line, load, terminal, boardAt), boardAt);
+    const sectionFactor = Math.max(1, ...(load.sections || [])
+      .filter(section => this._overlaps(line, section, fromIndex, toIndex))
+      .map(section => section.factor));
+    const loadFactor = Math.round(lineLoad * sectionFactor * 100) / 100;
+
+    // 有座概率按上车时的线路满载率(不计区段系数),始发站上车更容易有座
+    let seatProbability = SEAT_CHANCE.find(([maxLoad]) => lineLoad <= maxLoad)[1];
+    const origin = toIndex > fromIndex ? line.stations[0] : line.stations[line.stations.length - 1];
+    if (!line.loop && from.id === origin) {
+      seatProbability = Math.max(seatProbability, TERMINAL_SEAT_CHANCE);
+    }
+
+    return {
+      loadFactor,
+      level: LOAD_LEVELS.find(([maxLoad]) => loadFactor <= maxLoad)[1],
+      seatProbability
+    };
+  }
+
+  /**
+   * 换乘站站内步行时间(分钟)
+   * @param {string} stationName - 换乘站
+   */
+  transferWalk(stationName) {
+    const station = this.network.getStation(stationName);
+    return TRANSFER_WALK_MINUTES[station?.id] ?? TRANSFER_WALK_MINUTES.default;
+  }
+
+  /**
+   * 按出发时刻逐段推算上车时刻,为方案中的地铁段附加拥挤度 seg.crowding
+   * @param {Object} route - 方案
+   * @param {Date} departAt - 出发时刻
+   * @returns {Object} 新方案对象
+   */
+  annotate(route, departAt) {
+    let elapsed = 0;
+    const segments = route.segments.map(seg => {
+      const boardAt = new Date(departAt.getTime() + elapsed * 60000);
+      elapsed += seg.duration || 0;
+      return seg.mode === 'subway' ? { ...seg, crowding: this.estimate(seg, boardAt) } : seg;
+    });
+    return { ...route, segments };
+  }
+
+  _shape(line, load, terminal, time) {
+    if (scenarioEngine.dayType(time) !== 'workday') return HOURLY_LOAD.weekend;
+    if (line.loop || !load.amDirection) return HOURLY_LOAD.loop;
+    return terminal === load.amDirection ? HOURLY_LOAD.withPeak : HOURLY_LOAD.againstPeak;
+  }
+
+  _interpolate(hours, time) {
+    const { hour, minute } = beijingClock(time);
+    const next = hours[(hour + 1) % 24];
+    return hours[hour] + (next - hours[hour]) * minute / 60;
+  }
+
+  _overlaps(line, section, fromIndex, toIndex) {
+    const a = line.stations.indexOf(section.from);
+    const b = line.stations.indexOf(section.to);
+    if (a < 0 || b < 0) return false;
+    return Math.min(fromIndex, toIndex) < Math.max(a, b) && Math.max(fromIndex, toIndex) > Math.min(a, b);
+  }
+}
+
+export default new CrowdingModel();
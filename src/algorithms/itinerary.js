@@ -0,0 +1,94 @@
+/**
+ * 多站点行程
+ * 按站点的到达时间窗和停留时长推算各站的到达/出发时刻,并枚举可调整站点的访问顺序;
+ * 首尾站点和标记为 fixed 的站点位置不变,其余站点在剩余位置上全排列
+ */
+
+/**
+ * 到达某站后的时刻推算
+ * 早于时间窗开始到达需等待,晚于时间窗结束到达记为迟到;停留时长从可开始办事的时刻起算
+ * @param {Object} stop - 站点 {dwellMinutes, window: {from, to}|null}
+ * @param {Date} arriveAt - 到达时刻
+ * @returns {Object} {arriveAt, waitMinutes, lateMinutes, departAt}
+ */
+export function arriveAtStop(stop, arriveAt) {
+  const windowFrom = stop.window?.from;
+  const windowTo = stop.window?.to;
+  const waitMinutes = windowFrom && arriveAt < windowFrom ? Math.ceil((windowFrom - arriveAt) / 60000) : 0;
+  const lateMinutes = windowTo && arriveAt > windowTo ? Math.ceil((arriveAt - windowTo) / 60000) : 0;
+  const readyAt = new Date(arriveAt.getTime() + waitMinutes * 60000);
+
+  return {
+    arriveAt,
+    waitMinutes,
+    lateMinutes,
+    departAt: new Date(readyAt.getTime() + (stop.dwellMinutes || 0) * 60000)
+  };
+}
+
+/**
+ * 候选访问顺序
+ * @param {Array} stops - 站点(按请求顺序)
+ * @returns {Array<Array<number>>} 站点下标序列,第一个为请求顺序
+ */
+export function stopOrders(stops) {
+  const last = stops.length - 1;
+  const movable = stops
+    .map((stop, index) => index)
+    .filter(index => index > 0 && index < last && !stops[index].fixed);
+
+  return permutations(movable).map(permutation => {
+    const order = stops.map((stop, index) => index);
+    movable.forEach((position, i) => { order[position] = permutation[i]; });
+    return order;
+  });
+}
+
+/**
+ * 按各段的预估用时和费用推算整条行程
+ * @param {Array<number>} order - 站点下标序列
+ * @param {Array} stops - 站点
+ * @param {Date} startTime - 从首站出发的时刻
+ * @param {Function} legOf - (fromIndex, toIndex) => {duration, generalizedCost},无可行方案时返回 null
+ * @param {number} valueOfTime - 等待时间按此折算(元/小时)
+ * @returns {Object|null} {order, arriveAt, lateMinutes, waitMinutes, generalizedCost},任一段不可行时返回 null
+ */
+export function estimateOrder(order, stops, startTime, legOf, valueOfTime) {
+  let departAt = startTime;
+  let lateMinutes = 0;
+  let waitMinutes = 0;
+  let generalizedCost = 0;
+
+  for (let i = 1; i < order.length; i++) {
+    const leg = legOf(order[i - 1], order[i]);
+    if (!leg) return null;
+
+    const visit = arriveAtStop(stops[order[i]], new Date(departAt.getTime() + leg.duration * 60000));
+    lateMinutes += visit.lateMinutes;
+    waitMinutes += visit.waitMinutes;
+    generalizedCost += leg.generalizedCost;
+    departAt = visit.departAt;
+  }
+
+  generalizedCost += waitMinutes * valueOfTime / 60;
+  return {
+    order,
+    arriveAt: departAt,
+    lateMinutes,
+    waitMinutes,
+    generalizedCost: Math.round(generalizedCost * 10) / 10
+  };
+}
+
+/**
+ * 比较两个预估行程: 迟到分钟数少的优先,其次广义费用低的优先
+ */
+export function compareEstimates(a, b) {
+  return a.lateMinutes - b.lateMinutes || a.generalizedCost - b.generalizedCost;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+}
@@ -1,210 +1,331 @@
 /**
  * 智能混合方案生成算法
- * 核心创新:生成地铁+打车组合方案
+ * 核心创新:生成地铁+打车/共享单车组合方案
  */
 
 import amapService from '../services/amapService.js';
+import subwayNetwork from './subwayNetwork.js';
+import taxiFare from '../pricing/taxiFare.js';
+import bikeFare from '../pricing/bikeFare.js';
+import { haversineDistance } from '../utils/geo.js';
+import { BudgetExceededError } from '../utils/requestBudget.js';
+import { combineSources } from '../services/dataSource.js';
+import { collapseNearDuplicates } from './paretoFront.js';
+import reliabilityModel from './reliabilityModel.js';
+import { classifyPlace } from '../utils/placeType.js';
+import { RouteConstraints } from './routeConstraints.js';
+
+const BIKE_PICKUP_MINUTES = 2; // 找车、开锁及还车时间
+const MAX_BIKE_RIDE = 5000; // 骑行段实际路程上限(米)
+
+// 接驳方式名称(用于日志)
+const ACCESS_NAMES = { taxi: '打车', bike: '骑行' };
+
+export class MixedRouteGenerator {
+  /**
+   * @param {RoutingProvider} provider - 路线数据提供方
+   */
+  constructor(provider = amapService) {
+    this.provider = provider;
+  }
 
-class MixedRouteGenerator {
   /**
    * 生成混合出行方案
+   * 打车/共享单车两种接驳方式各三种策略,及其候选站并发生成,
+   * 高德调用的并发/限流/预算由数据提供方统一控制;场景排除的接驳方式(如雪天不骑行)、
+   * 用户约束禁用的方式和避开的换乘站不生成,生成后再剔除不满足用户约束的方案
    * @param {Object} origin - 起点
    * @param {Object} destination - 终点
-   * @param {Array} subwayStations - 沿线地铁站列表
+   * @param {Object} subwayStations - 换乘站候选 {startCandidates, endCandidates, bikeStartCandidates, bikeEndCandidates}
+   * @param {Object} context - 规划上下文 {time, scenario, constraints, taxiProvider, bikeProvider, bikeCard, bypassCache, budget, limit}
    * @returns {Promise<Array>} 混合方案列表
    */
-  async generateMixedRoutes(origin, destination, subwayStations) {
-    const mixedRoutes = [];
-
-    // 策略1: 起点打车到地铁站,然后地铁到终点
-    const startTaxiRoutes = await this._generateStartTaxiRoutes(
-      origin,
-      destination,
-      subwayStations
-    );
-    mixedRoutes.push(...startTaxiRoutes);
+  async generateMixedRoutes(origin, destination, subwayStations, context) {
+    const constraints = context.constraints || new RouteConstraints();
+    if (!constraints.allowsMode('subway')) {
+      constraints.reject('noSubway', 'mixed');
+      return [];
+    }
 
-    // 策略2: 起点地铁,然后打车到终点
-    const endTaxiRoutes = await this._generateEndTaxiRoutes(
-      origin,
-      destination,
-      subwayStations
-    );
-    mixedRoutes.push(...endTaxiRoutes);
+    const taxiAllowed = constraints.allowsMode('taxi');
+    if (!taxiAllowed) {
+      ['mixed_start_taxi', 'mixed_end_taxi', 'mixed_both_taxi'].forEach(prefix => constraints.reject('noTaxi', prefix));
+    }
+    const bikeAllowed = !context.scenario?.excludeModes.includes('bike');
 
-    // 策略3: 两端都打车,中间地铁
-    const bothTaxiRoutes = await this._generateBothTaxiRoutes(
-      origin,
-      destination,
-      subwayStations
-    );
-    mixedRoutes.push(...bothTaxiRoutes);
+    // 避开的换乘站不作为候选
+    const usable = (stations = [], allowed = true) => (allowed ? stations : []).filter(station => {
+      if (constraints.allowsStation(station)) return true;
+      constraints.reject('avoidStations', station.name);
+      return false;
+    });
+    const startCandidates = usable(subwayStations.startCandidates, taxiAllowed);
+    const endCandidates = usable(subwayStations.endCandidates, taxiAllowed);
+    const bikeStartCandidates = usable(subwayStations.bikeStartCandidates, bikeAllowed);
+    const bikeEndCandidates = usable(subwayStations.bikeEndCandidates, bikeAllowed);
+
+    const groups = await Promise.all([
+      // 策略1: 起点打车到地铁站,然后地铁到终点(只考虑前5个靠近起点的候选站)
+      this._generateStartAccessRoutes('taxi', origin, destination, startCandidates.slice(0, 5), context),
+      // 策略2: 起点地铁,然后打车到终点
+      this._generateEndAccessRoutes('taxi', origin, destination, endCandidates.slice(0, 5), context),
+      // 策略3: 两端都打车,中间地铁(只生成少量代表性方案)
+      this._generateBothAccessRoutes('taxi', origin, destination, startCandidates.slice(0, 2), endCandidates.slice(0, 2), context),
+      // 策略4~6: 同上,以共享单车接驳
+      this._generateStartAccessRoutes('bike', origin, destination, bikeStartCandidates, context),
+      this._generateEndAccessRoutes('bike', origin, destination, bikeEndCandidates, context),
+      this._generateBothAccessRoutes('bike', origin, destination, bikeStartCandidates.slice(0, 1), bikeEndCandidates.slice(0, 1), context)
+    ]);
+
+    // 用户约束(步行、换乘、费用等)先于剪枝,避免不满足约束的方案在合并近似重复时被选为代表
+    const mixedRoutes = constraints.filter(groups.flat());
 
     // 智能剪枝
     return this._pruneRoutes(mixedRoutes);
   }
 
   /**
-   * 策略1: 起点打车 + 地铁
+   * 策略: 起点接驳(打车/骑行) + 地铁
+   * @param {string} mode - 接驳方式 taxi | bike
+   * @param {Array} nearbyStations - 靠近起点的候选站
    */
-  async _generateStartTaxiRoutes(origin, destination, stations) {
-    const routes = [];
+  async _generateStartAccessRoutes(mode, origin, destination, nearbyStations, context) {
+    const routes = await Promise.all(nearbyStations.map(async station => {
+      try {
+        // 接驳到地铁站 / 地铁到终点
+        const [access, subwayRoutes] = await Promise.all([
+          this._fetchAccess(mode, origin, station, context),
+          this.provider.getSubwayRoutes(station, destination, context)
+        ]);
+
+        const accessSegment = this._buildAccessSegment(mode, origin, station, access, context, context.time);
+        if (!accessSegment || subwayRoutes.length === 0) return null;
+        const subwaySegment = subwayRoutes[0];
+
+        return {
+          id: `mixed_start_${mode}_${station.name}`,
+          type: 'mixed',
+          segments: [
+            accessSegment,
+            ...subwaySegment.segments
+          ],
+          totalDuration: accessSegment.duration + subwaySegment.duration,
+          totalCost: accessSegment.cost + subwaySegment.cost,
+          totalDistance: Number(accessSegment.distance) + Number(subwaySegment.distance),
+          dataSource: combineSources(accessSegment.dataSource, subwaySegment.dataSource)
+        };
+      } catch (error) {
+        this._reportCandidateError(`生成起点${ACCESS_NAMES[mode]}方案失败(${station.name})`, error);
+        return null;
+      }
+    }));
 
-    // 只考虑前5个最近的地铁站
-    const nearbyStations = stations.slice(0, 5);
+    return routes.filter(Boolean);
+  }
 
-    for (const station of nearbyStations) {
+  /**
+   * 策略: 地铁 + 终点接驳(打车/骑行)
+   * @param {string} mode - 接驳方式 taxi | bike
+   * @param {Array} nearbyStations - 靠近终点的候选站
+   */
+  async _generateEndAccessRoutes(mode, origin, destination, nearbyStations, context) {
+    const routes = await Promise.all(nearbyStations.map(async station => {
       try {
-        // 打车到地铁站
-        const taxiSegment = await this._calculateTaxiSegment(origin, station);
-
-        // 地铁到终点
-        const subwayRoutes = await amapService.getSubwayRoutes(station, destination);
-
-        if (subwayRoutes.length > 0) {
-          const subwaySegment = subwayRoutes[0];
-
-          routes.push({
-            id: `mixed_start_taxi_${station.name}`,
-            type: 'mixed',
-            segments: [
-              taxiSegment,
-              ...subwaySegment.segments
-            ],
-            totalDuration: taxiSegment.duration + subwaySegment.duration,
-            totalCost: taxiSegment.cost + subwaySegment.cost,
-            totalDistance: taxiSegment.distance + subwaySegment.distance
-          });
-        }
+        // 起点到地铁站 / 地铁站接驳到终点
+        const [subwayRoutes, access] = await Promise.all([
+          this.provider.getSubwayRoutes(origin, station, context),
+          this._fetchAccess(mode, station, destination, context)
+        ]);
+
+        if (subwayRoutes.length === 0) return null;
+        const subwaySegment = subwayRoutes[0];
+
+        const accessSegment = this._buildAccessSegment(
+          mode,
+          station,
+          destination,
+          access,
+          context,
+          this._addMinutes(context.time, subwaySegment.duration)
+        );
+        if (!accessSegment) return null;
+
+        return {
+          id: `mixed_end_${mode}_${station.name}`,
+          type: 'mixed',
+          segments: [
+            ...subwaySegment.segments,
+            accessSegment
+          ],
+          totalDuration: subwaySegment.duration + accessSegment.duration,
+          totalCost: subwaySegment.cost + accessSegment.cost,
+          totalDistance: Number(subwaySegment.distance) + Number(accessSegment.distance),
+          dataSource: combineSources(subwaySegment.dataSource, accessSegment.dataSource)
+        };
       } catch (error) {
-        console.error(`生成起点打车方案失败(${station.name}):`, error.message);
+        this._reportCandidateError(`生成终点${ACCESS_NAMES[mode]}方案失败(${station.name})`, error);
+        return null;
       }
-    }
+    }));
 
-    return routes;
+    return routes.filter(Boolean);
   }
 
   /**
-   * 策略2: 地铁 + 终点打车
+   * 策略: 接驳 + 地铁 + 接驳
+   * @param {string} mode - 接驳方式 taxi | bike
+   * @param {Array} startStations - 上车站候选
+   * @param {Array} endStations - 下车站候选
    */
-  async _generateEndTaxiRoutes(origin, destination, stations) {
-    const routes = [];
-    const nearbyStations = stations.slice(-5); // 靠近终点的站
-
-    for (const station of nearbyStations) {
+  async _generateBothAccessRoutes(mode, origin, destination, startStations, endStations, context) {
+    // 上车站必须在下车站之前,且中间地铁段有意义
+    const pairs = startStations
+      .flatMap(startStation => endStations.map(endStation => [startStation, endStation]))
+      .filter(([startStation, endStation]) =>
+        startStation.id !== endStation.id &&
+        haversineDistance(startStation, destination) > haversineDistance(endStation, destination)
+      );
+
+    const routes = await Promise.all(pairs.map(async ([startStation, endStation]) => {
       try {
-        // 起点到地铁站
-        const subwayRoutes = await amapService.getSubwayRoutes(origin, station);
-
-        if (subwayRoutes.length > 0) {
-          const subwaySegment = subwayRoutes[0];
-
-          // 地铁站打车到终点
-          const taxiSegment = await this._calculateTaxiSegment(station, destination);
-
-          routes.push({
-            id: `mixed_end_taxi_${station.name}`,
-            type: 'mixed',
-            segments: [
-              ...subwaySegment.segments,
-              taxiSegment
-            ],
-            totalDuration: subwaySegment.duration + taxiSegment.duration,
-            totalCost: subwaySegment.cost + taxiSegment.cost,
-            totalDistance: subwaySegment.distance + taxiSegment.distance
-          });
-        }
+        // 起点接驳到地铁站 / 地铁段 / 地铁站接驳到终点
+        const [startAccess, subwayRoutes, endAccess] = await Promise.all([
+          this._fetchAccess(mode, origin, startStation, context),
+          this.provider.getSubwayRoutes(startStation, endStation, context),
+          this._fetchAccess(mode, endStation, destination, context)
+        ]);
+
+        const startSegment = this._buildAccessSegment(mode, origin, startStation, startAccess, context, context.time);
+        if (!startSegment || subwayRoutes.length === 0) return null;
+        const subwaySegment = subwayRoutes[0];
+
+        const endSegment = this._buildAccessSegment(
+          mode,
+          endStation,
+          destination,
+          endAccess,
+          context,
+          this._addMinutes(context.time, startSegment.duration + subwaySegment.duration)
+        );
+        if (!endSegment) return null;
+
+        return {
+          id: `mixed_both_${mode}_${startStation.name}_${endStation.name}`,
+          type: 'mixed',
+          segments: [
+            startSegment,
+            ...subwaySegment.segments,
+            endSegment
+          ],
+          totalDuration: startSegment.duration + subwaySegment.duration + endSegment.duration,
+          totalCost: startSegment.cost + subwaySegment.cost + endSegment.cost,
+          totalDistance: Number(startSegment.distance) + Number(subwaySegment.distance) + Number(endSegment.distance),
+          dataSource: combineSources(startSegment.dataSource, subwaySegment.dataSource, endSegment.dataSource)
+        };
       } catch (error) {
-        console.error(`生成终点打车方案失败(${station.name}):`, error.message);
+        this._reportCandidateError(`生成两端${ACCESS_NAMES[mode]}方案失败`, error);
+        return null;
       }
-    }
+    }));
 
-    return routes;
+    return routes.filter(Boolean);
   }
 
   /**
-   * 策略3: 打车 + 地铁 + 打车
+   * 查询接驳段路线: 打车用驾车路线,共享单车用骑行路线
    */
-  async _generateBothTaxiRoutes(origin, destination, stations) {
-    const routes = [];
-
-    // 只生成3个代表性方案
-    const startStations = stations.slice(0, 2);
-    const endStations = stations.slice(-2);
-
-    for (const startStation of startStations) {
-      for (const endStation of endStations) {
-        try {
-          // 起点打车到地铁站
-          const startTaxi = await this._calculateTaxiSegment(origin, startStation);
-
-          // 地铁段
-          const subwayRoutes = await amapService.getSubwayRoutes(startStation, endStation);
-
-          if (subwayRoutes.length > 0) {
-            const subwaySegment = subwayRoutes[0];
-
-            // 地铁站打车到终点
-            const endTaxi = await this._calculateTaxiSegment(endStation, destination);
-
-            routes.push({
-              id: `mixed_both_taxi_${startStation.name}_${endStation.name}`,
-              type: 'mixed',
-              segments: [
-                startTaxi,
-                ...subwaySegment.segments,
-                endTaxi
-              ],
-              totalDuration: startTaxi.duration + subwaySegment.duration + endTaxi.duration,
-              totalCost: startTaxi.cost + subwaySegment.cost + endTaxi.cost,
-              totalDistance: startTaxi.distance + subwaySegment.distance + endTaxi.distance
-            });
-          }
-        } catch (error) {
-          console.error('生成两端打车方案失败:', error.message);
-        }
-      }
-    }
+  _fetchAccess(mode, from, to, context) {
+    return mode === 'bike'
+      ? this.provider.getBicyclingRoute(from, to, context)
+      : this.provider.getDrivingRoute(from, to, context);
+  }
 
-    return routes;
+  /**
+   * 由路线结果构造接驳段并计价
+   * @param {Date} departAt - 该段出发时刻(用于打车分时计价)
+   * @returns {Object|null} 无路线结果时返回 null
+   */
+  _buildAccessSegment(mode, from, to, route, context, departAt) {
+    return mode === 'bike'
+      ? this._buildBikeSegment(from, to, route, context)
+      : this._buildTaxiSegment(from, to, route, context, departAt);
   }
 
   /**
-   * 计算打车段
+   * 由驾车结果构造打车段并计价
+   * @returns {Object|null} 无驾车结果(如高德无法规划)时返回 null
    */
-  async _calculateTaxiSegment(from, to) {
-    const driving = await amapService.getDrivingRoute(from, to);
+  _buildTaxiSegment(from, to, driving, context, departAt) {
+    if (!driving) return null;
+
+    const fare = taxiFare.estimate({
+      distance: driving.distance,
+      duration: driving.duration,
+      time: departAt,
+      pricing: context.scenario?.pricing,
+      provider: context.taxiProvider,
+      tolls: driving.tolls
+    });
 
-    // 打车费用估算(北京快车标准)
-    const cost = this._estimateTaxiCost(driving.distance, driving.duration);
+    // 等车时间按上车点类型(机场/火车站排队)和时段估算
+    const pickupType = classifyPlace(from);
+    const waitTime = reliabilityModel.taxiWait(pickupType, departAt, context.scenario?.taxiWaitFactor);
 
     return {
       mode: 'taxi',
       from: from.name,
       to: to.name,
-      distance: driving.distance,
-      duration: driving.duration + 3, // 加上等车时间
-      cost,
-      waitTime: 3
+      distance: Number(driving.distance) || 0,
+      duration: driving.duration + waitTime, // 加上等车时间
+      driveDuration: driving.duration,
+      cost: fare.total,
+      fare,
+      waitTime,
+      pickupType,
+      dataSource: driving.dataSource
     };
   }
 
   /**
-   * 打车费用估算
+   * 由骑行结果构造共享单车段并计价
    */
-  _estimateTaxiCost(distance, duration) {
-    const baseFare = 13; // 起步价
-    const perKm = 2.3; // 每公里
-    const perMin = 0.5; // 每分钟
+  _buildBikeSegment(from, to, cycling, context) {
+    if (!cycling) return null;
+
+    const fare = bikeFare.estimate({
+      duration: cycling.duration,
+      provider: context.bikeProvider,
+      card: context.bikeCard
+    });
+
+    return {
+      mode: 'bike',
+      from: from.name,
+      to: to.name,
+      distance: Number(cycling.distance) || 0,
+      duration: cycling.duration + BIKE_PICKUP_MINUTES, // 加上找车还车时间
+      cost: fare.total,
+      fare,
+      waitTime: BIKE_PICKUP_MINUTES,
+      dataSource: cycling.dataSource
+    };
+  }
 
-    const kmCost = Math.max(0, (distance / 1000 - 3)) * perKm; // 起步3公里
-    const timeCost = duration * perMin;
+  /**
+   * 候选方案生成失败只影响该候选;预算耗尽属于预期情况,不输出错误日志
+   */
+  _reportCandidateError(message, error) {
+    if (error instanceof BudgetExceededError) return;
+    console.error(`${message}:`, error.message);
+  }
 
-    return Math.round((baseFare + kmCost + timeCost) * 10) / 10;
+  _addMinutes(time, minutes) {
+    return new Date(time.getTime() + minutes * 60000);
   }
 
   /**
-   * 智能剪枝 - 只保留有价值的方案
+   * 智能剪枝 - 剔除明显不合理的方案并合并近似重复方案
+   * 不按时间/费用截断: 用户偏好在评分阶段才生效,取舍交给规划服务的帕累托前沿
    */
   _pruneRoutes(routes) {
     // 规则1: 打车距离太短(<2km)的删除
@@ -213,30 +334,21 @@ class MixedRouteGenerator {
       return taxiSegments.every(s => s.distance > 2000);
     });
 
-    // 规则2: 按综合性价比排序,保留前10个
-    filtered.sort((a, b) => {
-      const scoreA = a.totalDuration + a.totalCost * 2; // 时间+费用加权
-      const scoreB = b.totalDuration + b.totalCost * 2;
-      return scoreA - scoreB;
-    });
+    // 规则1.1: 骑行路程太长(>5km)的删除
+    filtered = filtered.filter(r =>
+      r.segments.every(s => s.mode !== 'bike' || s.distance <= MAX_BIKE_RIDE)
+    );
 
-    return filtered.slice(0, 10);
+    // 规则2: 同样方式、同样线路且用时费用相近的方案只保留一个
+    return collapseNearDuplicates(filtered);
   }
 
   /**
-   * 获取沿线地铁站(简化版,实际需要地铁线路数据)
+   * 获取沿线换乘站候选(基于地铁线网模型)
+   * @returns {Promise<Object>} {corridor, startCandidates, endCandidates}
    */
   async getSubwayStationsAlongRoute(origin, destination) {
-    // 模拟数据: 大兴机场线 + 4号线 + 昌平线
-    return [
-      { name: '大兴机场站', lng: 116.410742, lat: 39.509723 },
-      { name: '大兴新城站', lng: 116.338611, lat: 39.728831 },
-      { name: '草桥站', lng: 116.345678, lat: 39.856789 },
-      { name: '西单站', lng: 116.374762, lat: 39.912289 },
-      { name: '西直门站', lng: 116.347382, lat: 39.942327 },
-      { name: '北京北站', lng: 116.358065, lat: 39.953039 },
-      { name: '生命科学园站', lng: 116.293678, lat: 40.072345 }
-    ];
+    return subwayNetwork.getCandidateStations(origin, destination);
   }
 }
 
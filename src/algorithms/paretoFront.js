@@ -0,0 +1,79 @@
+/**
+ * 帕累托前沿与近似重复方案合并
+ * 方案按多个目标比较(如用时↓、费用↓、舒适度↑),不被任何其他方案支配的方案构成前沿,
+ * 任意权重的综合评分下的最优方案必在前沿上
+ */
+
+/**
+ * 默认目标: 用时、费用越低越好,舒适度(scores.comfort,评分后才有)越高越好
+ */
+export const ROUTE_OBJECTIVES = [
+  { name: 'duration', value: route => route.totalDuration, minimize: true },
+  { name: 'cost', value: route => route.totalCost, minimize: true },
+  { name: 'comfort', value: route => route.scores?.comfort ?? 0, minimize: false }
+];
+
+// 近似重复: 出行方式及线路相同,且用时、费用差距都在容差内
+const DUPLICATE_TOLERANCE = { duration: 3, cost: 2 }; // 分钟, 元
+
+/**
+ * a 是否支配 b: 各目标都不差于 b,且至少一个目标更优
+ */
+export function dominates(a, b, objectives = ROUTE_OBJECTIVES) {
+  let better = false;
+  for (const { value, minimize } of objectives) {
+    const diff = minimize ? value(b) - value(a) : value(a) - value(b);
+    if (diff < 0) return false;
+    if (diff > 0) better = true;
+  }
+  return better;
+}
+
+/**
+ * 非支配方案(保持原顺序)
+ * @param {Array} routes - 方案列表
+ * @param {Array} objectives - 比较目标,见 ROUTE_OBJECTIVES
+ * @returns {Array}
+ */
+export function paretoFront(routes, objectives = ROUTE_OBJECTIVES) {
+  return routes.filter(route => !routes.some(other => other !== route && dominates(other, route, objectives)));
+}
+
+/**
+ * 合并近似重复方案,每组只保留用时最短(其次费用最低)的一个
+ * 如两端打车到同一条地铁线上相邻的换乘站,用时费用几乎相同,对用户没有区分度
+ * @param {Array} routes - 方案列表
+ * @param {Object} tolerance - {duration: 分钟, cost: 元}
+ * @returns {Array} 保持原顺序
+ */
+export function collapseNearDuplicates(routes, tolerance = DUPLICATE_TOLERANCE) {
+  const ordered = [...routes].sort((a, b) => a.totalDuration - b.totalDuration || a.totalCost - b.totalCost);
+  const kept = new Set();
+  const keptBySignature = new Map();
+
+  for (const route of ordered) {
+    const signature = routeSignature(route);
+    const group = keptBySignature.get(signature) || [];
+    const duplicate = group.some(other =>
+      Math.abs(other.totalDuration - route.totalDuration) <= tolerance.duration &&
+      Math.abs(other.totalCost - route.totalCost) <= tolerance.cost
+    );
+    if (duplicate) continue;
+
+    group.push(route);
+    keptBySignature.set(signature, group);
+    kept.add(route);
+  }
+
+  return routes.filter(route => kept.has(route));
+}
+
+/**
+ * 方案的出行方式序列(不含步行),如 "taxi>subway:昌平线>subway:13号线"
+ */
+function routeSignature(route) {
+  return route.segments
+    .filter(seg => seg.mode !== 'walk')
+    .map(seg => (seg.line ? `${seg.mode}:${seg.line}` : seg.mode))
+    .join('>');
+}
@@ -0,0 +1,266 @@
+/**
+ * 推荐解释
+ * 根据评分结果生成推荐方案的解释: 各项得分按权重的贡献、生效的场景规则、
+ * 与次优/纯打车/纯地铁方案的比较,以及其他方案要胜出需要的变化(反事实)
+ * 同时给出结构化数据和一句中文说明
+ * 解释中的得分(breakdown、comparisons、scoreGap)均为10分制,由各项得分按 weightedScore 重新计算,
+ * 不受 scores.total 取整的影响;时间价值模式下以广义费用比较
+ */
+
+import { PREFERENCE_WEIGHTS, PREFERENCE_NAMES } from '../config/preferenceWeights.js';
+import scenarioEngine from './scenarioEngine.js';
+import { weightedScore } from './routeScore.js';
+
+const FACTOR_NAMES = { time: '时间', punctuality: '准点', cost: '费用', comfort: '舒适度' };
+const COMFORT_NOTICEABLE = 5; // 舒适度得分相差不足5分时不在说明中提及
+
+const round = value => Math.round(value * 10) / 10;
+
+class RecommendationExplainer {
+  /**
+   * 生成推荐解释
+   * @param {Object} params
+   * @param {Object} params.recommended - 推荐方案(已评分)
+   * @param {Array} params.routes - 全部参与评分的方案
+   * @param {Object} params.weights - 叠加场景后的权重 {time, cost, comfort}
+   * @param {Object} params.scenario - 场景画像
+   * @param {Object} params.valueOfTime - 时间价值(normalizeValueOfTime 的结果),未设置为 null
+   * @returns {Object} {mode, weights, breakdown, generalizedCost, scenarios, comparisons, counterfactuals, reason, text}
+   */
+  explain({ recommended, routes, weights, scenario, valueOfTime = null }) {
+    const mode = valueOfTime ? 'valueOfTime' : (recommended.arriveBy ? 'arriveBy' : 'weighted');
+    const ranked = this._rank(routes, mode, weights);
+    const others = ranked.filter(route => route.id !== recommended.id);
+    const runnerUp = others[0] || null;
+    const taxi = others.find(route => route.type === 'taxi') || null;
+    const subway = others.find(route => route.type === 'subway') || null;
+
+    const compared = [runnerUp, taxi, subway].filter((route, index, list) => route && list.indexOf(route) === index);
+    const ranges = this._ranges(routes);
+
+    const explanation = {
+      mode,
+      weights,
+      breakdown: mode === 'valueOfTime' ? null : this._breakdown(recommended, weights),
+      generalizedCost: recommended.generalizedCost || null,
+      scenarios: scenario?.active || [],
+      comparisons: {
+        runnerUp: runnerUp && this._compare(recommended, runnerUp, weights),
+        taxi: taxi && this._compare(recommended, taxi, weights),
+        subway: subway && this._compare(recommended, subway, weights)
+      },
+      counterfactuals: compared.map(route => (mode === 'valueOfTime'
+        ? this._valueOfTimeCounterfactual(recommended, route, valueOfTime)
+        : this._weightedCounterfactual(recommended, route, routes, weights, ranges, mode, scenario)))
+    };
+
+    explanation.reason = this._reason(recommended, runnerUp, explanation);
+    explanation.text = this._text(recommended, explanation, { runnerUp, taxi, subway });
+    return explanation;
+  }
+
+  _rank(routes, mode, weights) {
+    return [...routes].sort(mode === 'valueOfTime'
+      ? (a, b) => a.generalizedCost.total - b.generalizedCost.total
+      : (a, b) => this._score(b, weights) - this._score(a, weights));
+  }
+
+  // 10分制综合得分
+  _score(route, weights) {
+    return weightedScore(route.scores, weights) / 10;
+  }
+
+  /**
+   * 各项得分的贡献 = 得分 × 权重 / 10,合计即10分制综合得分;到达时间模式下时间项为准点得分
+   */
+  _breakdown(route, weights) {
+    const timeFactor = route.scores.punctuality !== undefined ? 'punctuality' : 'time';
+    const factors = [[timeFactor, weights.time], ['cost', weights.cost], ['comfort', weights.comfort]];
+    return {
+      factors: factors.map(([factor, weight]) => ({
+        factor,
+        score: route.scores[factor],
+        weight: Math.round(weight * 100) / 100,
+        contribution: round(route.scores[factor] * weight / 10)
+      })),
+      total: round(this._score(route, weights))
+    };
+  }
+
+  /**
+   * 与另一方案的差值(对方 - 推荐方案)
+   */
+  _compare(recommended, other, weights) {
+    return {
+      id: other.id,
+      description: other.summary.description,
+      duration: other.totalDuration,
+      cost: other.totalCost,
+      score: round(this._score(other, weights)),
+      diff: {
+        duration: other.totalDuration - recommended.totalDuration,
+        cost: round(other.totalCost - recommended.totalCost),
+        comfort: other.scores.comfort - recommended.scores.comfort,
+        score: round(this._score(other, weights) - this._score(recommended, weights)),
+        ...(recommended.generalizedCost && {
+          generalizedCost: round(other.generalizedCost.total - recommended.generalizedCost.total)
+        })
+      }
+    };
+  }
+
+  _ranges(routes) {
+    const durations = routes.map(route => route.totalDuration);
+    const costs = routes.map(route => route.totalCost);
+    return {
+      time: Math.max(...durations) - Math.min(...durations),
+      cost: Math.max(...costs) - Math.min(...costs)
+    };
+  }
+
+  /**
+   * 加权评分下的反事实: 对方再便宜多少钱或再快多少分钟可追平推荐方案,以及按哪些偏好预设它会胜出
+   * 按当前的归一化区间线性估算,不计对方成为新的最值后区间的变化
+   */
+  _weightedCounterfactual(recommended, other, routes, weights, ranges, mode, scenario) {
+    const gap = this._score(recommended, weights) - this._score(other, weights);
+    const needed = (range, weight, limit) => {
+      if (range === 0 || weight === 0) return null;
+      const value = Math.max(0, gap * range / (10 * weight));
+      return value <= limit ? round(value) : null;
+    };
+
+    const winsUnder = Object.keys(PREFERENCE_WEIGHTS).filter(preference => {
+      const presetWeights = scenarioEngine.applyWeights(PREFERENCE_WEIGHTS[preference], scenario);
+      return this._rank(routes, mode, presetWeights)[0].id === other.id;
+    });
+
+    return {
+      id: other.id,
+      description: other.summary.description,
+      scoreGap: round(gap),
+      costReduction: needed(ranges.cost, weights.cost, other.totalCost),
+      // 到达时间模式下时间项为准点得分,用时变化不直接影响得分
+      fasterBy: mode === 'arriveBy' ? null : needed(ranges.time, weights.time, other.totalDuration),
+      winsUnder
+    };
+  }
+
+  /**
+   * 时间价值模式下的反事实: 广义费用差即对方需要便宜的金额;
+   * 时间价值按比例变化时,两方案广义费用相等处为临界时间价值
+   */
+  _valueOfTimeCounterfactual(recommended, other, valueOfTime) {
+    const mine = recommended.generalizedCost;
+    const theirs = other.generalizedCost;
+    // 用时折算金额 / base 即按 base 计的等效乘车小时数(已含拥挤、站立的加价)
+    const hours = cost => cost.time / valueOfTime.base;
+    const hourDiff = hours(mine) - hours(theirs);
+    const breakEven = hourDiff !== 0 ? (theirs.money - mine.money) / hourDiff : null;
+
+    return {
+      id: other.id,
+      description: other.summary.description,
+      costReduction: round(theirs.total - mine.total),
+      // 对方更快时,时间价值高于临界值它才胜出;更慢时,低于临界值才胜出
+      breakEvenValueOfTime: breakEven !== null && breakEven > 0
+        ? { value: Math.round(breakEven), when: hourDiff > 0 ? 'above' : 'below' }
+        : null
+    };
+  }
+
+  /**
+   * 推荐标签的简短理由: 相对次优方案加权贡献最大的一项优势
+   */
+  _reason(recommended, runnerUp, explanation) {
+    if (!runnerUp) return '唯一可行方案';
+    const diff = explanation.comparisons.runnerUp.diff;
+
+    if (explanation.mode === 'valueOfTime') {
+      return `比次优综合成本低¥${Math.round(diff.generalizedCost)}`;
+    }
+
+    const advantage = explanation.breakdown.factors
+      .map(({ factor, weight }) => ({ factor, value: (recommended.scores[factor] - runnerUp.scores[factor]) * weight }))
+      .sort((a, b) => b.value - a.value)[0];
+
+    if (advantage.factor === 'time' && diff.duration > 0) return `比次优快${diff.duration}分钟`;
+    if (advantage.factor === 'cost' && diff.cost > 0) return `比次优省¥${round(diff.cost)}`;
+    if (advantage.factor === 'comfort' && diff.comfort < 0) return '比次优更舒适';
+    if (advantage.factor === 'punctuality' && advantage.value > 0) return '比次优更准点';
+    return '综合得分最高';
+  }
+
+  _text(recommended, explanation, { runnerUp, taxi, subway }) {
+    const parts = [];
+    const name = recommended.summary.description;
+
+    if (explanation.mode === 'valueOfTime') {
+      const { money, time, total } = explanation.generalizedCost;
+      parts.push(`推荐${name},综合成本约¥${total}(花费¥${money}+时间成本¥${time})`);
+    } else {
+      const factors = explanation.breakdown.factors
+        .map(({ factor, score, weight, contribution }) => `${FACTOR_NAMES[factor]}${score}分×${weight}=${contribution}`)
+        .join(',');
+      parts.push(`推荐${name},综合得分${explanation.breakdown.total}/10(${factors})`);
+    }
+
+    if (explanation.scenarios.length > 0) {
+      const scenarios = explanation.scenarios
+        .map(({ name: scenarioName, effects }) => (effects.length > 0 ? `${scenarioName}(${effects.join(',')})` : scenarioName))
+        .join('、');
+      parts.push(`生效场景: ${scenarios}`);
+    }
+
+    const comparisons = [[runnerUp, '次优方案'], [taxi, '全程打车'], [subway, '全程地铁']]
+      .filter(([route], index, list) => route && list.findIndex(([other]) => other === route) === index)
+      .map(([route, label]) => {
+        const title = label === '次优方案' ? `${label}${this._label(route)}` : label;
+        return `比${title}${this._diffText(recommended, route)}`;
+      });
+    if (comparisons.length > 0) parts.push(comparisons.join(','));
+
+    const runnerUpCounterfactual = runnerUp && explanation.counterfactuals[0];
+    if (runnerUpCounterfactual) parts.push(this._counterfactualText(runnerUpCounterfactual, this._label(runnerUp)));
+
+    return parts.filter(Boolean).join(';') + '。';
+  }
+
+  // 描述相同的方案(如换乘站不同)以用时和费用区分
+  _label(route) {
+    return `${route.summary.description}(${route.totalDuration}分钟/¥${route.totalCost})`;
+  }
+
+  _diffText(recommended, other) {
+    const minutes = other.totalDuration - recommended.totalDuration;
+    const cost = round(other.totalCost - recommended.totalCost);
+    const comfort = recommended.scores.comfort - other.scores.comfort;
+
+    const phrases = [];
+    if (minutes !== 0) phrases.push(minutes > 0 ? `快${minutes}分钟` : `慢${-minutes}分钟`);
+    if (cost !== 0) phrases.push(cost > 0 ? `省¥${cost}` : `多花¥${-cost}`);
+    if (Math.abs(comfort) >= COMFORT_NOTICEABLE) phrases.push(comfort > 0 ? '更舒适' : '舒适度稍差');
+    return phrases.length > 0 ? phrases.join('、') : '用时费用相当';
+  }
+
+  _counterfactualText(counterfactual, name) {
+    if ('breakEvenValueOfTime' in counterfactual) {
+      const breakEven = counterfactual.breakEvenValueOfTime;
+      const threshold = breakEven
+        ? `,或时间价值${breakEven.when === 'above' ? '高于' : '低于'}¥${breakEven.value}/小时`
+        : '';
+      return `${name}需再便宜¥${counterfactual.costReduction}${threshold}才能胜出`;
+    }
+
+    const changes = [];
+    if (counterfactual.costReduction !== null) changes.push(`再便宜¥${counterfactual.costReduction}`);
+    if (counterfactual.fasterBy !== null) changes.push(`再快${Math.ceil(counterfactual.fasterBy)}分钟`);
+    const presets = counterfactual.winsUnder.map(preference => PREFERENCE_NAMES[preference]).join('或');
+
+    if (changes.length === 0 && !presets) return '';
+    return `${name}${changes.length > 0 ? `需${changes.join('或')}才能胜出` : ''}` +
+      (presets ? `${changes.length > 0 ? ',' : ''}按${presets}偏好时它会胜出` : '');
+  }
+}
+
+export default new RecommendationExplainer();
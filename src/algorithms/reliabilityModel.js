@@ -0,0 +1,179 @@
+/**
+ * 行程时间可靠性模型
+ * 各分段用时视为相互独立的随机变量:
+ * - 打车: 行驶时间按对数正态分布,离散程度随出发时段拥堵加大;等车时间按上车点类型和时段取中位数
+ * - 地铁/公交: 候车时间在 0~发车间隔内均匀分布;公交行驶受路况影响
+ * - 步行/骑行/铁路: 对数正态分布,离散程度较小
+ * 全程用时按各段均值、方差之和,用 Fenton-Wilkinson 方法近似为对数正态分布,得到中位数、P90 和准点概率
+ */
+
+import {
+  SUBWAY_HEADWAYS,
+  BUS_HEADWAYS,
+  TAXI_WAIT,
+  TAXI_WAIT_FACTORS,
+  TAXI_WAIT_SIGMA,
+  DRIVING_SIGMA,
+  SEGMENT_SIGMA
+} from '../config/reliability.js';
+import { PEAK_HOURS } from '../config/taxiTariffs.js';
+import trafficProfile from './trafficProfile.js';
+import subwayNetwork from './subwayNetwork.js';
+import { beijingClock } from '../utils/beijingTime.js';
+
+const Z_90 = 1.2816; // 标准正态分布 90% 分位数
+
+class ReliabilityModel {
+  /**
+   * 打车等车时间中位数(分钟)
+   * @param {string|null} placeType - 上车点类型 airport | railway,其他为 null
+   * @param {Date} time - 叫车时刻
+   * @param {number} factor - 场景倍数(如雨雪天叫车难)
+   * @returns {number}
+   */
+  taxiWait(placeType, time, factor = 1) {
+    const base = TAXI_WAIT[placeType] || TAXI_WAIT.street;
+    return Math.round(base * TAXI_WAIT_FACTORS[this._period(time)] * factor);
+  }
+
+  /**
+   * 评估方案用时分布
+   * @param {Object} route - 方案
+   * @param {Date} departAt - 出发时刻
+   * @param {number} availableMinutes - 可用时间(到达时间模式下为截止时刻 - 出发时刻),用于计算准点概率
+   * @returns {Object} 带用时分布的方案: route.reliability 为 {median, p90, mean, stdDev, onTimeProbability?},
+   *   各分段 seg.reliability 为 {mean, stdDev}
+   */
+  evaluate(route, departAt, availableMinutes = null) {
+    let elapsed = 0;
+    let mean = 0;
+    let variance = 0;
+
+    const segments = route.segments.map(seg => {
+      const start = new Date(departAt.getTime() + elapsed * 60000);
+      const moments = this._segmentMoments(seg, start);
+      elapsed += seg.duration || 0;
+      mean += moments.mean;
+      variance += moments.variance;
+      return {
+        ...seg,
+        reliability: { mean: round1(moments.mean), stdDev: round1(Math.sqrt(moments.variance)) }
+      };
+    });
+
+    // 分段以外的固定用时(如等首班车)
+    mean += Math.max(0, route.totalDuration - elapsed);
+
+    const reliability = {
+      mean: round1(mean),
+      stdDev: round1(Math.sqrt(variance)),
+      ...this._percentiles(mean, variance, availableMinutes)
+    };
+
+    return { ...route, segments, reliability };
+  }
+
+  /**
+   * 均值/方差 → 对数正态分布的中位数、P90 和准点概率
+   */
+  _percentiles(mean, variance, availableMinutes) {
+    if (mean <= 0) {
+      return { median: 0, p90: 0, ...(availableMinutes !== null && { onTimeProbability: 1 }) };
+    }
+
+    const sigma2 = Math.log(1 + variance / (mean * mean));
+    const sigma = Math.sqrt(sigma2);
+    const mu = Math.log(mean) - sigma2 / 2;
+
+    const result = {
+      median: Math.round(Math.exp(mu)),
+      p90: Math.ceil(Math.exp(mu + Z_90 * sigma))
+    };
+
+    if (availableMinutes !== null) {
+      let probability;
+      if (availableMinutes <= 0) {
+        probability = 0;
+      } else if (sigma === 0) {
+        probability = Math.exp(mu) <= availableMinutes ? 1 : 0;
+      } else {
+        probability = normalCdf((Math.log(availableMinutes) - mu) / sigma);
+      }
+      result.onTimeProbability = Math.round(probability * 1000) / 1000;
+    }
+
+    return result;
+  }
+
+  /**
+   * 分段用时的均值和方差
+   */
+  _segmentMoments(seg, start) {
+    const duration = seg.duration || 0;
+    const period = this._period(start);
+
+    switch (seg.mode) {
+      case 'taxi': {
+        const wait = seg.waitTime || 0;
+        const drive = lognormalMoments(seg.driveDuration ?? Math.max(0, duration - wait), this._drivingSigma(start));
+        const queue = lognormalMoments(wait, TAXI_WAIT_SIGMA);
+        return { mean: drive.mean + queue.mean, variance: drive.variance + queue.variance };
+      }
+      case 'subway': {
+        // 高德线路名(如"地铁4号线大兴线(天宫院--安河桥北)")先经路网解析为线路名
+        const line = subwayNetwork.resolveLine(seg.line)?.name;
+        const headway = (SUBWAY_HEADWAYS[line] || SUBWAY_HEADWAYS.default)[period];
+        return { mean: duration, variance: headway ** 2 / 12 + (SEGMENT_SIGMA.subway * duration) ** 2 };
+      }
+      case 'bus': {
+        const headway = BUS_HEADWAYS[period];
+        return { mean: duration, variance: headway ** 2 / 12 + (this._drivingSigma(start) * duration) ** 2 };
+      }
+      default:
+        return lognormalMoments(duration, SEGMENT_SIGMA[seg.mode] ?? SEGMENT_SIGMA.walk);
+    }
+  }
+
+  /**
+   * 行驶时间对数标准差,拥堵越严重波动越大
+   */
+  _drivingSigma(time) {
+    return DRIVING_SIGMA.base + DRIVING_SIGMA.perCongestion * (trafficProfile.congestionIndex(time) - 1);
+  }
+
+  /**
+   * 时段: peak | offPeak | night
+   */
+  _period(time) {
+    const { hour } = beijingClock(time);
+    if (hour >= 22 || hour < 6) return 'night';
+    return PEAK_HOURS.some(([start, end]) => hour >= start && hour <= end) ? 'peak' : 'offPeak';
+  }
+}
+
+/**
+ * 中位数为 median、对数标准差为 sigma 的对数正态分布的均值和方差
+ */
+function lognormalMoments(median, sigma) {
+  const s2 = sigma * sigma;
+  return {
+    mean: median * Math.exp(s2 / 2),
+    variance: median * median * Math.exp(s2) * (Math.exp(s2) - 1)
+  };
+}
+
+/**
+ * 标准正态分布函数(Abramowitz-Stegun 7.1.26 近似,误差 < 1.5e-7)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export default new ReliabilityModel();
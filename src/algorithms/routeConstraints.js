@@ -0,0 +1,147 @@
+/**
+ * 用户硬性约束
+ * 与评分权重不同,不满足约束的候选方案直接剔除,不参与评分;
+ * 能在生成前判断的(禁用打车/地铁、避开的换乘站)直接跳过对应策略,不发起高德调用
+ * 每条约束剔除了哪些候选记录在 eliminated 中,随响应返回
+ */
+
+import subwayNetwork from './subwayNetwork.js';
+
+const TRANSIT_MODES = ['subway', 'bus', 'rail'];
+
+// 检查顺序: 先方式/线路/站点,再数量类约束;一个方案只计入第一条不满足的约束
+const CONSTRAINT_ORDER = [
+  'noTaxi',
+  'noSubway',
+  'avoidLines',
+  'avoidStations',
+  'maxTransfers',
+  'maxWalkDistance',
+  'maxTaxiShare',
+  'maxCost'
+];
+
+export class RouteConstraints {
+  /**
+   * @param {Object} constraints
+   * @param {number} constraints.maxWalkDistance - 全程步行上限(米)
+   * @param {number} constraints.maxTransfers - 换乘次数上限(公共交通乘车段之间)
+   * @param {number} constraints.maxCost - 费用上限(元)
+   * @param {number} constraints.maxTaxiShare - 打车里程占全程里程的比例上限(0~1)
+   * @param {Array<string>} constraints.avoidLines - 避开的线路(如 "10号线"、"300路")
+   * @param {Array<string>} constraints.avoidStations - 避开的上下车/换乘站
+   * @param {boolean} constraints.noTaxi - 不打车
+   * @param {boolean} constraints.noSubway - 不坐地铁
+   */
+  constructor(constraints = {}) {
+    this.constraints = Object.fromEntries(CONSTRAINT_ORDER
+      .filter(name => {
+        const value = constraints[name];
+        return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== false;
+      })
+      .map(name => [name, constraints[name]]));
+    this.avoidedLines = (this.constraints.avoidLines || []).map(line => this._lineKey(line));
+    this.avoidedStations = (this.constraints.avoidStations || []).map(name => this._stationKey(name));
+    this.eliminated = {};
+  }
+
+  get empty() {
+    return Object.keys(this.constraints).length === 0;
+  }
+
+  /**
+   * 是否允许该出行方式(用于生成前跳过整类策略)
+   * @param {string} mode - taxi | subway
+   */
+  allowsMode(mode) {
+    if (mode === 'taxi') return !this.constraints.noTaxi;
+    if (mode === 'subway') return !this.constraints.noSubway;
+    return true;
+  }
+
+  /**
+   * 是否允许以该站为换乘站
+   * @param {Object|string} station - 站点 {name} 或站名
+   */
+  allowsStation(station) {
+    return !this.avoidedStations.includes(this._stationKey(station.name ?? station));
+  }
+
+  /**
+   * 方案不满足的第一条约束
+   * @param {Object} route - 方案
+   * @returns {string|null} 约束名,全部满足时返回 null
+   */
+  violation(route) {
+    const { segments } = route;
+    const c = this.constraints;
+
+    if (c.noTaxi && segments.some(seg => seg.mode === 'taxi')) return 'noTaxi';
+    if (c.noSubway && segments.some(seg => seg.mode === 'subway')) return 'noSubway';
+
+    const transitLegs = segments.filter(seg => TRANSIT_MODES.includes(seg.mode));
+    if (this.avoidedLines.length > 0 &&
+      transitLegs.some(seg => this.avoidedLines.includes(this._lineKey(seg.line)))) {
+      return 'avoidLines';
+    }
+    if (this.avoidedStations.length > 0 &&
+      transitLegs.some(seg => !this.allowsStation(seg.from) || !this.allowsStation(seg.to))) {
+      return 'avoidStations';
+    }
+
+    if (c.maxTransfers !== undefined && Math.max(0, transitLegs.length - 1) > c.maxTransfers) return 'maxTransfers';
+
+    const distanceOf = mode => segments
+      .filter(seg => seg.mode === mode)
+      .reduce((sum, seg) => sum + (Number(seg.distance) || 0), 0);
+    if (c.maxWalkDistance !== undefined && distanceOf('walk') > c.maxWalkDistance) return 'maxWalkDistance';
+
+    const totalDistance = segments.reduce((sum, seg) => sum + (Number(seg.distance) || 0), 0);
+    if (c.maxTaxiShare !== undefined && totalDistance > 0 && distanceOf('taxi') / totalDistance > c.maxTaxiShare) {
+      return 'maxTaxiShare';
+    }
+
+    if (c.maxCost !== undefined && route.totalCost > c.maxCost) return 'maxCost';
+    return null;
+  }
+
+  /**
+   * 剔除不满足约束的方案并记录
+   * @param {Array} routes - 候选方案
+   * @returns {Array} 满足全部约束的方案
+   */
+  filter(routes) {
+    if (this.empty) return routes;
+    return routes.filter(route => {
+      const violated = this.violation(route);
+      if (violated) this.reject(violated, route.id);
+      return !violated;
+    });
+  }
+
+  /**
+   * 记录被某条约束剔除(或在生成前跳过)的候选
+   * @param {string} constraint - 约束名
+   * @param {string} candidate - 方案 id;生成前跳过的整类策略为 id 前缀(如 mixed_start_taxi),跳过的换乘站为站名
+   */
+  reject(constraint, candidate) {
+    const candidates = (this.eliminated[constraint] ||= []);
+    if (!candidates.includes(candidate)) candidates.push(candidate);
+  }
+
+  toJSON() {
+    return {
+      applied: this.constraints,
+      eliminated: this.eliminated
+    };
+  }
+
+  _lineKey(line) {
+    if (!line) return '';
+    return subwayNetwork.resolveLine(line)?.name || line.replace(/[(（].*$/, '');
+  }
+
+  _stationKey(name) {
+    return (name || '').replace(/站$/, '');
+  }
+}
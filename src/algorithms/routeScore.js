@@ -0,0 +1,15 @@
+/**
+ * 加权综合得分
+ * 评分(RoutePlannerService._calculateScores)和推荐解释(recommendationExplainer)共用同一公式,
+ * 保证解释中的反事实排序与实际排序一致
+ */
+
+/**
+ * 各项得分(0~100)按权重加权,结果同为0~100
+ * @param {Object} scores - {time, punctuality?, cost, comfort},有准点得分(到达时间模式)时以其代替时间得分
+ * @param {Object} weights - {time, cost, comfort},三项之和为1
+ * @returns {number}
+ */
+export function weightedScore({ time, punctuality, cost, comfort }, weights) {
+  return (punctuality ?? time) * weights.time + cost * weights.cost + comfort * weights.comfort;
+}
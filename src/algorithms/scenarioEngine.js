@@ -0,0 +1,128 @@
+/**
+ * 场景规则引擎
+ * 按 config/scenarioRules.js 的声明式规则识别当前生效的场景(可同时多个),
+ * 合并为一份场景画像: 各场景的权重增减、计价调整、等车倍数等逐项叠加
+ */
+
+import { SCENARIO_RULES } from '../config/scenarioRules.js';
+import { HOLIDAY_CALENDAR } from '../data/holidays.js';
+import { classifyPlace } from '../utils/placeType.js';
+import { beijingClock, formatBeijingDate } from '../utils/beijingTime.js';
+
+const DEFAULT_NAME = '日常模式';
+const MIN_WEIGHT = 0.05; // 叠加后每项权重的下限
+
+const FACTOR_NAMES = { time: '时间', cost: '费用', comfort: '舒适度' };
+const MODE_NAMES = { bike: '骑行', taxi: '打车' };
+const COMFORT_PENALTY_NAMES = { transfer: '每次换乘', walkPer500m: '每500米步行', bikePerKm: '每公里骑行' };
+
+class ScenarioEngine {
+  constructor(rules = SCENARIO_RULES, calendar = HOLIDAY_CALENDAR) {
+    this.rules = rules;
+    this.calendar = calendar;
+  }
+
+  /**
+   * 识别场景
+   * @param {Object} facts
+   * @param {Object} facts.origin - 起点 {name, typecode?}
+   * @param {Object} facts.destination - 终点
+   * @param {Date} facts.time - 出发时刻
+   * @param {string} facts.weather - clear | rain | snow
+   * @param {boolean} facts.luggage - 是否携带行李
+   * @returns {Object} 场景画像 {name, active, dayType, weather, weights, pricing, taxiWaitFactor, excludeModes, comfort},
+   *   active 为生效的规则 [{id, name, effects}],effects 为该规则作用的文字说明
+   */
+  detect({ origin, destination, time, weather = 'clear', luggage = false }) {
+    const facts = {
+      hour: beijingClock(time).hour,
+      dayType: this.dayType(time),
+      weather,
+      luggage: Boolean(luggage),
+      placeTypes: [classifyPlace(origin), classifyPlace(destination)].filter(Boolean)
+    };
+
+    const active = this.rules.filter(rule => this._matches(rule.when || {}, facts));
+    const scenario = {
+      name: active.map(rule => rule.name).join(' + ') || DEFAULT_NAME,
+      active: active.map(rule => ({ id: rule.id, name: rule.name, effects: this._effects(rule) })),
+      dayType: facts.dayType,
+      weather,
+      weights: { time: 0, cost: 0, comfort: 0 },
+      pricing: { peak: false, surge: 1 },
+      taxiWaitFactor: 1,
+      excludeModes: [],
+      comfort: { transfer: 0, walkPer500m: 0, bikePerKm: 0 }
+    };
+
+    for (const rule of active) {
+      for (const [key, delta] of Object.entries(rule.weights || {})) {
+        scenario.weights[key] += delta;
+      }
+      for (const [key, penalty] of Object.entries(rule.comfort || {})) {
+        scenario.comfort[key] += penalty;
+      }
+      scenario.pricing.peak = scenario.pricing.peak || Boolean(rule.pricing?.peak);
+      scenario.pricing.surge *= rule.pricing?.surge || 1;
+      scenario.taxiWaitFactor *= rule.taxiWaitFactor || 1;
+      scenario.excludeModes = [...new Set([...scenario.excludeModes, ...(rule.excludeModes || [])])];
+    }
+
+    return scenario;
+  }
+
+  /**
+   * 在用户偏好权重上叠加场景的权重增减,每项不低于 MIN_WEIGHT,归一化后合计为1
+   * @param {Object} baseWeights - {time, cost, comfort}
+   * @param {Object} scenario - detect 的结果,为空时原样返回
+   */
+  applyWeights(baseWeights, scenario) {
+    if (!scenario) return baseWeights;
+
+    const adjusted = Object.fromEntries(Object.entries(baseWeights)
+      .map(([key, weight]) => [key, Math.max(MIN_WEIGHT, weight + (scenario.weights[key] || 0))]));
+    const total = Object.values(adjusted).reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(Object.entries(adjusted)
+      .map(([key, weight]) => [key, Math.round(weight / total * 1000) / 1000]));
+  }
+
+  /**
+   * 日期类型(按北京日期): holiday(法定节假日) / workday(工作日,含调休上班) / weekend
+   */
+  dayType(time) {
+    const clock = beijingClock(time);
+    const year = this.calendar[clock.year];
+    const date = formatBeijingDate(time);
+
+    if (year?.holidays.includes(date)) return 'holiday';
+    if (year?.workdays.includes(date)) return 'workday';
+    return [0, 6].includes(clock.day) ? 'weekend' : 'workday';
+  }
+
+  /**
+   * 规则作用的文字说明,如 ['时间权重+0.3', '网约车加价×1.2']
+   */
+  _effects(rule) {
+    const effects = Object.entries(rule.weights || {})
+      .map(([key, delta]) => `${FACTOR_NAMES[key]}权重${delta > 0 ? '+' : ''}${delta}`);
+    if (rule.pricing?.peak) effects.push('网约车高峰加价');
+    if (rule.pricing?.surge) effects.push(`网约车加价×${rule.pricing.surge}`);
+    if (rule.taxiWaitFactor) effects.push(`打车等车×${rule.taxiWaitFactor}`);
+    for (const mode of rule.excludeModes || []) effects.push(`不生成${MODE_NAMES[mode] || mode}接驳方案`);
+    for (const [key, penalty] of Object.entries(rule.comfort || {})) {
+      effects.push(`${COMFORT_PENALTY_NAMES[key]}舒适度多扣${penalty}分`);
+    }
+    return effects;
+  }
+
+  _matches(when, facts) {
+    if (when.hours && !when.hours.some(([start, end]) => facts.hour >= start && facts.hour <= end)) return false;
+    if (when.dayTypes && !when.dayTypes.includes(facts.dayType)) return false;
+    if (when.weather && !when.weather.includes(facts.weather)) return false;
+    if (when.placeTypes && !when.placeTypes.some(type => facts.placeTypes.includes(type))) return false;
+    if (when.luggage !== undefined && when.luggage !== facts.luggage) return false;
+    return true;
+  }
+}
+
+export default new ScenarioEngine();
@@ -0,0 +1,281 @@
+/**
+ * 北京地铁线网模型
+ * 提供站点/线路查询、邻接关系以及混合方案的换乘站候选
+ */
+
+import { STATIONS, LINES } from '../data/beijingSubway.js';
+import { haversineDistance, projectOnSegment } from '../utils/geo.js';
+
+const TRACK_FACTOR = 1.2; // 轨道实际里程 / 直线距离
+const MIN_TAXI_DISTANCE = 2000; // 与剪枝规则一致,短于2km的打车段没有意义
+const MIN_BIKE_DISTANCE = 800; // 更近的站步行即可
+const MAX_BIKE_DISTANCE = 4000; // 更远的站不适合骑车接驳
+const CORRIDOR_MIN_WIDTH = 3000; // 走廊最小半宽(米)
+const MAX_PER_LINE = 2; // 同一线路最多保留的候选站数
+
+/**
+ * 高德线路名中的别名 → 线网线路名
+ */
+const LINE_ALIASES = {
+  '机场线': '首都机场线',
+  '大兴国际机场线': '大兴机场线',
+  '八通线': '1号线',
+  '大兴线': '4号线'
+};
+
+class SubwayNetwork {
+  constructor(stations = STATIONS, lines = LINES) {
+    this.stations = new Map();
+    this.lines = new Map();
+    this.adjacency = new Map();
+
+    for (const [id, [lng, lat]] of Object.entries(stations)) {
+      this.stations.set(id, {
+        id,
+        name: this.displayName(id),
+        lng,
+        lat,
+        lines: []
+      });
+      this.adjacency.set(id, []);
+    }
+
+    for (const line of lines) {
+      this._addLine(line);
+    }
+  }
+
+  /**
+   * 站点展示名(统一带"站"后缀)
+   */
+  displayName(id) {
+    return id.endsWith('站') ? id : `${id}站`;
+  }
+
+  /**
+   * 按站名查询站点,兼容带/不带"站"后缀
+   */
+  getStation(name) {
+    if (!name) return null;
+    return this.stations.get(name) || this.stations.get(name.replace(/站$/, '')) || null;
+  }
+
+  getLine(name) {
+    return this.lines.get(name) || null;
+  }
+
+  /**
+   * 将高德等外部线路名解析为线网线路
+   * 如 "地铁1号线八通线(古城--环球度假区)" → 1号线
+   */
+  resolveLine(name) {
+    if (!name) return null;
+    if (this.lines.has(name)) return this.lines.get(name);
+
+    const normalized = name.replace(/^(北京)?地铁/, '').replace(/[(（].*$/, '');
+    const alias = LINE_ALIASES[normalized];
+    if (alias) return this.lines.get(alias);
+
+    const match = this.getLines()
+      .filter(line => normalized.startsWith(line.name))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    return match || null;
+  }
+
+  /**
+   * 同一线路上两站间的轨道里程(米),按站序累加,环线取较短方向
+   */
+  rideDistance(lineName, fromId, toId) {
+    const line = this.getLine(lineName);
+    if (!line) return null;
+
+    const from = line.stations.indexOf(fromId);
+    const to = line.stations.indexOf(toId);
+    if (from < 0 || to < 0) return null;
+
+    const n = line.stations.length;
+    const forward = line.loop ? (to - from + n) % n : to - from;
+    const steps = line.loop && forward > n / 2 ? forward - n : forward;
+    const direction = Math.sign(steps);
+
+    let distance = 0;
+    for (let i = 0; i < Math.abs(steps); i++) {
+      const a = line.stations[(from + i * direction + n) % n];
+      const b = line.stations[(from + (i + 1) * direction + n) % n];
+      distance += this.getNeighbors(a).find(e => e.to === b && e.line === line.name).distance;
+    }
+    return distance;
+  }
+
+  getStations() {
+    return [...this.stations.values()];
+  }
+
+  getLines() {
+    return [...this.lines.values()];
+  }
+
+  /**
+   * 站点的相邻区间 [{to, line, distance}]
+   */
+  getNeighbors(stationId) {
+    return this.adjacency.get(stationId) || [];
+  }
+
+  /**
+   * 距某点最近的站点
+   * @param {Object} point - {lng, lat}
+   * @param {Object} options - {limit, maxDistance}
+   * @returns {Array} [{station, distance}] 按距离升序
+   */
+  nearestStations(point, { limit = 5, maxDistance = Infinity } = {}) {
+    return this.getStations()
+      .map(station => ({ station, distance: haversineDistance(point, station) }))
+      .filter(item => item.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  /**
+   * 混合方案的换乘站候选
+   * - corridor: 起终点连线走廊内的站点,按行进方向排序
+   * - startCandidates: 适合"起点打车→上地铁"的站点,近起点在前
+   * - endCandidates: 适合"下地铁→打车到终点"的站点,近终点在前
+   * - bikeStartCandidates / bikeEndCandidates: 适合骑共享单车接驳的站点(0.8~4km)
+   * @param {Object} origin - 起点 {lng, lat}
+   * @param {Object} destination - 终点 {lng, lat}
+   * @param {Object} options - {limit, bikeLimit}
+   */
+  getCandidateStations(origin, destination, { limit = 5, bikeLimit = 2 } = {}) {
+    const direct = haversineDistance(origin, destination);
+    const halfWidth = Math.max(CORRIDOR_MIN_WIDTH, direct * 0.25);
+
+    const corridor = this.getStations()
+      .map(station => {
+        const { t, offset } = projectOnSegment(station, origin, destination);
+        return {
+          station,
+          t,
+          offset,
+          fromOrigin: haversineDistance(origin, station),
+          toDestination: haversineDistance(station, destination)
+        };
+      })
+      .filter(item => item.t >= -0.1 && item.t <= 1.1 && item.offset <= halfWidth)
+      .sort((a, b) => a.t - b.t);
+
+    const maxTaxiDistance = Math.max(direct * 0.6, 5000);
+
+    const startCandidates = this._pickCandidates(
+      corridor.filter(item =>
+        item.fromOrigin >= MIN_TAXI_DISTANCE &&
+        item.fromOrigin <= maxTaxiDistance &&
+        item.toDestination < direct
+      ),
+      item => item.fromOrigin,
+      limit
+    ).sort((a, b) => a.fromOrigin - b.fromOrigin);
+
+    const endCandidates = this._pickCandidates(
+      corridor.filter(item =>
+        item.toDestination >= MIN_TAXI_DISTANCE &&
+        item.toDestination <= maxTaxiDistance &&
+        item.fromOrigin < direct
+      ),
+      item => item.toDestination,
+      limit
+    ).sort((a, b) => a.toDestination - b.toDestination);
+
+    const bikeStartCandidates = this._pickCandidates(
+      corridor.filter(item =>
+        item.fromOrigin >= MIN_BIKE_DISTANCE &&
+        item.fromOrigin <= MAX_BIKE_DISTANCE &&
+        item.toDestination < direct
+      ),
+      item => item.fromOrigin,
+      bikeLimit
+    ).sort((a, b) => a.fromOrigin - b.fromOrigin);
+
+    const bikeEndCandidates = this._pickCandidates(
+      corridor.filter(item =>
+        item.toDestination >= MIN_BIKE_DISTANCE &&
+        item.toDestination <= MAX_BIKE_DISTANCE &&
+        item.fromOrigin < direct
+      ),
+      item => item.toDestination,
+      bikeLimit
+    ).sort((a, b) => a.toDestination - b.toDestination);
+
+    return {
+      corridor: corridor.map(item => item.station),
+      startCandidates: startCandidates.map(item => item.station),
+      endCandidates: endCandidates.map(item => item.station),
+      bikeStartCandidates: bikeStartCandidates.map(item => item.station),
+      bikeEndCandidates: bikeEndCandidates.map(item => item.station)
+    };
+  }
+
+  /**
+   * 按绕行距离和接驳距离挑选候选站,换乘站优先,同一线路不超过 MAX_PER_LINE 个
+   * @param {Array} items - 走廊内站点
+   * @param {Function} taxiDistanceOf - 该候选对应的接驳(打车/骑行)直线距离
+   * @param {number} limit - 最多保留数量
+   */
+  _pickCandidates(items, taxiDistanceOf, limit) {
+    const ranked = items
+      .map(item => ({
+        ...item,
+        rank: item.fromOrigin + item.toDestination +
+          taxiDistanceOf(item) * 0.5 -
+          (item.station.lines.length - 1) * 1500
+      }))
+      .sort((a, b) => a.rank - b.rank);
+
+    const perLine = new Map();
+    const picked = [];
+
+    for (const item of ranked) {
+      if (picked.length >= limit) break;
+
+      const lines = item.station.lines;
+      if (lines.every(line => (perLine.get(line) || 0) >= MAX_PER_LINE)) continue;
+
+      lines.forEach(line => perLine.set(line, (perLine.get(line) || 0) + 1));
+      picked.push(item);
+    }
+
+    return picked;
+  }
+
+  /**
+   * 注册线路并建立邻接关系
+   */
+  _addLine(line) {
+    const stationIds = line.stations.filter(id => {
+      if (!this.stations.has(id)) {
+        console.warn(`⚠️  线路 ${line.name} 的站点 ${id} 缺少坐标,已忽略`);
+        return false;
+      }
+      return true;
+    });
+
+    this.lines.set(line.name, { ...line, stations: stationIds });
+
+    stationIds.forEach(id => this.stations.get(id).lines.push(line.name));
+
+    const pairs = stationIds.slice(1).map((id, i) => [stationIds[i], id]);
+    if (line.loop && stationIds.length > 2) {
+      pairs.push([stationIds[stationIds.length - 1], stationIds[0]]);
+    }
+
+    for (const [a, b] of pairs) {
+      const distance = Math.round(
+        haversineDistance(this.stations.get(a), this.stations.get(b)) * TRACK_FACTOR
+      );
+      this.adjacency.get(a).push({ to: b, line: line.name, distance });
+      this.adjacency.get(b).push({ to: a, line: line.name, distance });
+    }
+  }
+}
+
+export default new SubwayNetwork();
@@ -0,0 +1,248 @@
+/**
+ * 离线地铁路径规划
+ * 在线网模型上做最短时间搜索,用于无 AMAP_KEY 或高德接口不可用时的兜底
+ * 输出结构与 amapService._parseSubwayRoutes 一致
+ */
+
+import subwayNetwork from './subwayNetwork.js';
+import subwayFare from '../pricing/subwayFare.js';
+
+const WALK_SPEED = 75; // 步行速度(米/分钟)
+const WALK_DETOUR = 1.3; // 步行实际距离 / 直线距离
+const MAX_ACCESS_WALK = 2000; // 进出站最大步行直线距离(米)
+const MIN_ACCESS_STATIONS = 3; // 附近无站时至少考虑的站点数
+const TRANSFER_WALK_MINUTES = 4; // 站内换乘步行时间
+
+class SubwayRouter {
+  constructor(network = subwayNetwork) {
+    this.network = network;
+  }
+
+  /**
+   * 规划地铁方案
+   * @param {Object} origin - 起点 {lng, lat, name}
+   * @param {Object} destination - 终点 {lng, lat, name}
+   * @param {Object} options - {limit} 最多返回方案数
+   * @returns {Array} 地铁方案列表,按时长升序
+   */
+  planRoutes(origin, destination, { limit = 3 } = {}) {
+    const accessStations = this._accessStations(origin);
+    const egressStations = this._accessStations(destination);
+    if (accessStations.length === 0 || egressStations.length === 0) return [];
+
+    const routes = [];
+    const seen = new Set();
+
+    // 分别固定进站/出站站点搜索,得到若干备选方案
+    const searches = [
+      ...accessStations.map(access => [[access], egressStations]),
+      ...egressStations.map(egress => [accessStations, [egress]])
+    ];
+
+    for (const [accessList, egressList] of searches) {
+      const path = this._search(accessList, egressList);
+      if (!path) continue;
+
+      const route = this._buildRoute(path);
+      const signature = route.segments
+        .filter(seg => seg.mode === 'subway')
+        .map(seg => `${seg.line}:${seg.from}-${seg.to}`)
+        .join('|');
+
+      if (!signature || seen.has(signature)) continue;
+      seen.add(signature);
+      routes.push(route);
+    }
+
+    return routes
+      .sort((a, b) => a.duration - b.duration)
+      .slice(0, limit)
+      .map((route, index) => ({ ...route, id: `subway_offline_${index}` }));
+  }
+
+  /**
+   * 可步行到达的站点 [{station, walkDistance, walkTime}]
+   */
+  _accessStations(point) {
+    let nearby = this.network.nearestStations(point, { limit: 6, maxDistance: MAX_ACCESS_WALK });
+    if (nearby.length === 0) {
+      nearby = this.network.nearestStations(point, { limit: MIN_ACCESS_STATIONS });
+    }
+
+    return nearby.map(({ station, distance }) => {
+      const walkDistance = Math.round(distance * WALK_DETOUR);
+      return {
+        station,
+        walkDistance,
+        walkTime: walkDistance / WALK_SPEED
+      };
+    });
+  }
+
+  /**
+   * 以 (站点, 线路) 为节点的 Dijkstra 搜索
+   * @returns {Object|null} {access, egress, steps: [{station, line}]}
+   */
+  _search(accessList, egressList) {
+    const egressById = new Map(egressList.map(e => [e.station.id, e]));
+    const dist = new Map();
+    const prev = new Map();
+    const queue = [];
+
+    const push = (key, cost, from) => {
+      if (dist.has(key) && dist.get(key) <= cost) return;
+      dist.set(key, cost);
+      prev.set(key, from);
+      queue.push({ key, cost });
+    };
+
+    for (const access of accessList) {
+      for (const line of access.station.lines) {
+        const wait = this.network.getLine(line).headway / 2;
+        push(this._key(access.station.id, line), access.walkTime + wait, { access });
+      }
+    }
+
+    let best = null;
+    const visited = new Set();
+
+    while (queue.length > 0) {
+      queue.sort((a, b) => a.cost - b.cost);
+      const { key, cost } = queue.shift();
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      if (best && cost >= best.cost) break;
+
+      const [stationId, line] = key.split('|');
+
+      // 出站
+      const egress = egressById.get(stationId);
+      if (egress) {
+        const total = cost + egress.walkTime;
+        if (!best || total < best.cost) {
+          best = { key, cost: total, egress };
+        }
+      }
+
+      // 同线乘坐
+      for (const edge of this.network.getNeighbors(stationId)) {
+        if (edge.line !== line) continue;
+        const lineInfo = this.network.getLine(line);
+        const rideTime = edge.distance / 1000 / lineInfo.speed * 60;
+        push(this._key(edge.to, line), cost + rideTime, { key });
+      }
+
+      // 站内换乘
+      const station = this.network.getStation(stationId);
+      for (const other of station.lines) {
+        if (other === line) continue;
+        const wait = this.network.getLine(other).headway / 2;
+        push(this._key(stationId, other), cost + TRANSFER_WALK_MINUTES + wait, { key });
+      }
+    }
+
+    if (!best) return null;
+
+    // 回溯路径
+    const steps = [];
+    let cursor = best.key;
+    let access = null;
+    while (cursor) {
+      const [station, line] = cursor.split('|');
+      steps.unshift({ station, line });
+      const from = prev.get(cursor);
+      access = from.access || access;
+      cursor = from.key;
+    }
+
+    return { access, egress: best.egress, steps };
+  }
+
+  /**
+   * 将搜索路径转换为方案结构
+   */
+  _buildRoute(path) {
+    const { access, egress, steps } = path;
+    const segments = [];
+    let rideDistance = 0;
+
+    if (access.walkDistance > 0) {
+      segments.push(this._walkSegment(access.walkDistance));
+    }
+
+    // 相邻且同线的步骤合并为一个乘车段
+    let current = null;
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+
+      if (!current || current.line !== step.line) {
+        if (current) this._closeRide(current, segments);
+        current = { line: step.line, stops: [step.station], distance: 0 };
+        continue;
+      }
+
+      const edge = this.network.getNeighbors(current.stops[current.stops.length - 1])
+        .find(e => e.to === step.station && e.line === step.line);
+      current.stops.push(step.station);
+      current.distance += edge.distance;
+      rideDistance += edge.distance;
+    }
+    if (current) this._closeRide(current, segments);
+
+    if (egress.walkDistance > 0) {
+      segments.push(this._walkSegment(egress.walkDistance));
+    }
+
+    const transfers = segments.filter(seg => seg.mode === 'subway').length - 1;
+    const duration = segments.reduce((sum, seg) => sum + seg.duration, 0) +
+      Math.max(0, transfers) * TRANSFER_WALK_MINUTES;
+    const walkDistance = access.walkDistance + egress.walkDistance;
+    const fare = subwayFare.calculate(segments);
+
+    return {
+      type: 'subway',
+      duration,
+      distance: rideDistance + walkDistance,
+      cost: fare.total,
+      fare,
+      walkDistance,
+      segments
+    };
+  }
+
+  /**
+   * 结束一个乘车段,仅用于换乘、未实际乘坐的段直接丢弃
+   */
+  _closeRide(ride, segments) {
+    if (ride.stops.length < 2) return;
+
+    const line = this.network.getLine(ride.line);
+    const from = ride.stops[0];
+    const to = ride.stops[ride.stops.length - 1];
+
+    segments.push({
+      mode: 'subway',
+      line: ride.line,
+      from: this.network.displayName(from),
+      to: this.network.displayName(to),
+      stations: ride.stops.length,
+      distance: ride.distance,
+      duration: Math.ceil(ride.distance / 1000 / line.speed * 60 + line.headway / 2)
+    });
+  }
+
+  _walkSegment(distance) {
+    return {
+      mode: 'walk',
+      distance,
+      duration: Math.ceil(distance / WALK_SPEED)
+    };
+  }
+
+  _key(stationId, line) {
+    return `${stationId}|${line}`;
+  }
+}
+
+export default new SubwayRouter();
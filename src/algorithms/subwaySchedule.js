@@ -0,0 +1,131 @@
+/**
+ * 地铁运营时间校验
+ * 根据首末班车时刻判断方案中的每段地铁能否赶上
+ */
+
+import { TIMETABLES } from '../data/subwayTimetable.js';
+import subwayNetwork from './subwayNetwork.js';
+import { beijingClock, beijingMidnight, formatBeijingTime } from '../utils/beijingTime.js';
+
+const LAST_TRAIN_MARGIN = 15; // 距末班车不足15分钟视为赶末班车
+const SERVICE_DAY_START_HOUR = 4; // 北京时间凌晨4点前仍属前一运营日
+
+class SubwaySchedule {
+  constructor(timetables = TIMETABLES, network = subwayNetwork) {
+    this.timetables = timetables;
+    this.network = network;
+  }
+
+  /**
+   * 某站某方向的当日运营时段
+   * @param {string} lineName - 线路名(支持高德线路名)
+   * @param {string} fromName - 上车站
+   * @param {string} toName - 下车站
+   * @param {Date} time - 上车时刻
+   * @returns {Object|null} {line, direction, dayType, first, last} 无时刻数据时返回 null
+   */
+  getServiceWindow(lineName, fromName, toName, time) {
+    const line = this.network.resolveLine(lineName);
+    const table = line && this.timetables[line.name];
+    const from = this.network.getStation(fromName);
+    const to = this.network.getStation(toName);
+    if (!table || !from || !to) return null;
+
+    const fromIndex = line.stations.indexOf(from.id);
+    const toIndex = line.stations.indexOf(to.id);
+    if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) return null;
+
+    let direction;
+    let offset = 0;
+    if (line.loop) {
+      const n = line.stations.length;
+      direction = (toIndex - fromIndex + n) % n <= n / 2 ? '外环' : '内环';
+    } else {
+      const forward = toIndex > fromIndex;
+      const terminal = forward ? line.stations[0] : line.stations[line.stations.length - 1];
+      direction = forward ? line.stations[line.stations.length - 1] : line.stations[0];
+      offset = this.network.rideDistance(line.name, terminal, from.id) / 1000 / line.speed * 60;
+    }
+
+    const schedules = table[direction];
+    if (!schedules) return null;
+
+    const serviceDay = this._serviceDay(time);
+    const dayType = [0, 6].includes(beijingClock(serviceDay).day) ? 'weekend' : 'weekday';
+    const schedule = schedules[dayType] || schedules.weekday;
+
+    return {
+      line: line.name,
+      direction,
+      dayType,
+      first: this._atServiceDay(serviceDay, schedule.first, offset),
+      last: this._atServiceDay(serviceDay, schedule.last, offset)
+    };
+  }
+
+  /**
+   * 按出发时刻逐段推算,检查方案中各地铁段是否在运营时间内
+   * 首班车前到站的,计入等车时间;末班车后到站的,方案不可行(lateMinutes 为错过末班车的分钟数)
+   * @param {Object} route - 方案
+   * @param {Date} departTime - 出发时刻
+   * @returns {Object} {feasible, waitMinutes, legs}
+   */
+  checkRoute(route, departTime) {
+    const legs = [];
+    let elapsed = 0;
+    let waitMinutes = 0;
+    let feasible = true;
+
+    for (const seg of route.segments) {
+      if (seg.mode === 'subway') {
+        const boardAt = new Date(departTime.getTime() + elapsed * 60000);
+        const window = this.getServiceWindow(seg.line, seg.from, seg.to, boardAt);
+        const leg = { line: seg.line, from: seg.from, to: seg.to, boardAt: formatBeijingTime(boardAt) };
+
+        if (!window) {
+          leg.status = 'unknown';
+        } else {
+          leg.line = window.line;
+          leg.firstDeparture = formatBeijingTime(window.first);
+          leg.lastDeparture = formatBeijingTime(window.last);
+
+          if (boardAt > window.last) {
+            leg.status = 'missed';
+            leg.lateMinutes = Math.ceil((boardAt - window.last) / 60000);
+            feasible = false;
+          } else if (boardAt < window.first) {
+            const wait = Math.ceil((window.first - boardAt) / 60000);
+            leg.status = 'first_train';
+            leg.waitMinutes = wait;
+            waitMinutes += wait;
+            elapsed += wait;
+          } else if ((window.last - boardAt) / 60000 <= LAST_TRAIN_MARGIN) {
+            leg.status = 'last_train';
+          } else {
+            leg.status = 'ok';
+          }
+        }
+
+        legs.push(leg);
+      }
+
+      elapsed += seg.duration || 0;
+    }
+
+    return { feasible, waitMinutes, legs };
+  }
+
+  /**
+   * 运营日的北京时间零点
+   */
+  _serviceDay(time) {
+    return beijingMidnight(time, beijingClock(time).hour < SERVICE_DAY_START_HOUR ? -1 : 0);
+  }
+
+  _atServiceDay(serviceDay, hhmm, offsetMinutes) {
+    const [hour, minute] = hhmm.split(':').map(Number);
+    return new Date(serviceDay.getTime() + ((hour * 60 + minute) + offsetMinutes) * 60000);
+  }
+}
+
+export default new SubwaySchedule();
@@ -0,0 +1,38 @@
+/**
+ * 道路拥堵模型
+ * 按出发时刻查拥堵曲线,用于离线估算驾车用时,以及把实时路况用时换算到其他出发时刻
+ */
+
+import { HOURLY_CONGESTION } from '../data/trafficProfile.js';
+import { beijingClock } from '../utils/beijingTime.js';
+
+class TrafficProfile {
+  constructor(profile = HOURLY_CONGESTION) {
+    this.profile = profile;
+  }
+
+  /**
+   * 某时刻的行程时间指数(实际用时 / 畅通用时)
+   * @param {Date} time - 时刻
+   * @returns {number}
+   */
+  congestionIndex(time) {
+    const { day, hour, minute } = beijingClock(time);
+    const hours = this.profile[[0, 6].includes(day) ? 'weekend' : 'weekday'];
+    const next = hours[(hour + 1) % 24];
+    return hours[hour] + (next - hours[hour]) * minute / 60;
+  }
+
+  /**
+   * 把某时刻的驾车用时换算到另一时刻
+   * @param {number} minutes - from 时刻出发的用时(分钟)
+   * @param {Date} from - 原出发时刻
+   * @param {Date} to - 新出发时刻
+   * @returns {number} 新用时(分钟,向上取整)
+   */
+  rescale(minutes, from, to) {
+    return Math.ceil(minutes * this.congestionIndex(to) / this.congestionIndex(from));
+  }
+}
+
+export default new TrafficProfile();
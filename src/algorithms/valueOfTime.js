@@ -0,0 +1,105 @@
+/**
+ * 时间价值(广义费用)
+ * 把用时按用户的时间价值(元/小时)折算为金额,与实际花费相加得到广义费用,
+ * 不依赖候选方案之间的归一化,新增一个极端方案不会改变其他方案的相对排序;
+ * 拥挤或站立乘车的时间可按更高的时间价值计算
+ */
+
+const CROWDED_LOAD = 1.0; // 满载率超过该值的乘车时间按 crowded 计价
+
+// 请求未给出时间价值但需要按广义费用比较时(如调整行程站点顺序)使用,元/小时
+export const DEFAULT_VALUE_OF_TIME = 50;
+
+/**
+ * 规范化时间价值参数
+ * @param {number|Object} value - 元/小时,或 {base, crowded, standing}(缺省项同 base)
+ * @returns {Object|null} {base, crowded, standing},未设置时返回 null
+ */
+export function normalizeValueOfTime(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return { base: value, crowded: value, standing: value };
+  return {
+    base: value.base,
+    crowded: value.crowded ?? value.base,
+    standing: value.standing ?? value.base
+  };
+}
+
+/**
+ * 方案的广义费用
+ * 地铁段按拥挤度(seg.crowding)拆分: 拥挤时整段按 crowded 计,无座部分再不低于 standing
+ * @param {Object} route - 方案
+ * @param {Object} valueOfTime - normalizeValueOfTime 的结果
+ * @returns {Object} {money, time, total} 单位元,time 为用时折算的金额
+ */
+export function generalizedCost(route, valueOfTime) {
+  const { base, crowded, standing } = valueOfTime;
+  let timeCost = 0;
+  let counted = 0;
+
+  for (const seg of route.segments) {
+    const minutes = seg.duration || 0;
+    counted += minutes;
+    if (!seg.crowding) {
+      timeCost += minutes * base / 60;
+      continue;
+    }
+
+    const rate = seg.crowding.loadFactor > CROWDED_LOAD ? Math.max(base, crowded) : base;
+    const standingMinutes = minutes * (1 - seg.crowding.seatProbability);
+    timeCost += ((minutes - standingMinutes) * rate + standingMinutes * Math.max(rate, standing)) / 60;
+  }
+
+  // 分段之外的用时(如首班车前等车)按 base 计
+  timeCost += Math.max(0, route.totalDuration - counted) * base / 60;
+
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    money: round(route.totalCost),
+    time: round(timeCost),
+    total: round(route.totalCost + timeCost)
+  };
+}
+
+/**
+ * 边际比较: 每个方案与"更便宜的方案中最快的一个"比较,给出多花的钱、省下的时间及折合的每小时价格
+ * 即按费用升序的用时-费用有效前沿上,费用仅次于它的方案;最便宜的方案没有比较对象
+ * @param {Array} routes - 已生成摘要(summary)的方案
+ * @param {Object} valueOfTime - normalizeValueOfTime 的结果,用于判断是否划算
+ * @returns {Map<Object, string>} 方案 → 比较说明
+ */
+export function marginalComparisons(routes, valueOfTime) {
+  const byCost = [...routes].sort((a, b) => a.totalCost - b.totalCost || a.totalDuration - b.totalDuration);
+  const frontier = [];
+  for (const route of byCost) {
+    if (frontier.length === 0 || route.totalDuration < frontier[frontier.length - 1].totalDuration) {
+      frontier.push(route);
+    }
+  }
+
+  const comparisons = new Map();
+  for (const route of routes) {
+    const reference = frontier.filter(other => other !== route && other.totalCost <= route.totalCost).pop();
+    if (!reference) continue;
+
+    const extraCost = Math.round((route.totalCost - reference.totalCost) * 10) / 10;
+    const savedMinutes = reference.totalDuration - route.totalDuration;
+    const name = reference.summary?.description || reference.id;
+
+    if (savedMinutes <= 0) {
+      // 又贵又慢仍可能因拥挤、站立时间少而广义费用更低
+      const roomier = route.generalizedCost && reference.generalizedCost &&
+        route.generalizedCost.total < reference.generalizedCost.total;
+      comparisons.set(route, (extraCost > 0
+        ? `比${name}多花¥${extraCost}${savedMinutes < 0 ? `且慢${-savedMinutes}分钟` : '且不省时间'}`
+        : `与${name}费用相同${savedMinutes < 0 ? `但慢${-savedMinutes}分钟` : ''}`) + (roomier ? ',但乘车更宽松' : ''));
+      continue;
+    }
+
+    const perHour = Math.round(extraCost / savedMinutes * 60);
+    const worth = perHour <= valueOfTime.base ? '划算' : '不划算';
+    comparisons.set(route, `比${name}多花¥${extraCost}省${savedMinutes}分钟,约¥${perHour}/小时,${worth}`);
+  }
+
+  return comparisons;
+}
@@ -0,0 +1,107 @@
+/**
+ * 接口错误码与错误响应
+ * 所有部署方式共用(见 router.js),响应体格式:
+ * {code: HTTP状态码, error: 错误码, message, errors?: [{field, code, message}]}
+ */
+
+import { PlaceResolutionError } from '../services/placeResolver.js';
+
+export const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED', // 参数校验失败,详情见 errors
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_COORDINATE: 'INVALID_COORDINATE',
+  OUT_OF_SERVICE_AREA: 'OUT_OF_SERVICE_AREA',
+  INVALID_ENUM: 'INVALID_ENUM',
+  INVALID_TIME: 'INVALID_TIME',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  PLACE_NOT_FOUND: 'PLACE_NOT_FOUND',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * 参数校验失败,包含所有字段级错误
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Array} errors - [{field, code, message}]
+   */
+  constructor(errors) {
+    super(errors.map(error => error.message).join('; '));
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 路由层错误(404/405 等),message 可直接返回给调用方
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP 状态码
+   * @param {string} code - 错误码
+   * @param {string} message - 错误描述
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * 异常 → {status, body}
+ * 未预期的异常只返回通用提示,不向调用方暴露内部错误信息
+ * @param {Error} error - 捕获的异常
+ * @param {string} internalMessage - 500 时的提示,如 "路线规划失败"
+ */
+export function toErrorResponse(error, internalMessage = '服务内部错误') {
+  if (error instanceof ValidationError) {
+    return {
+      status: 400,
+      body: {
+        code: 400,
+        error: ERROR_CODES.VALIDATION_FAILED,
+        message: error.message,
+        errors: error.errors
+      }
+    };
+  }
+
+  if (error instanceof PlaceResolutionError) {
+    const field = error.field;
+    return {
+      status: 400,
+      body: {
+        code: 400,
+        error: ERROR_CODES.PLACE_NOT_FOUND,
+        message: error.message,
+        errors: [{ field, code: ERROR_CODES.PLACE_NOT_FOUND, message: error.message }]
+      }
+    };
+  }
+
+  if (error instanceof HttpError) {
+    return {
+      status: error.status,
+      body: {
+        code: error.status,
+        error: error.code,
+        message: error.message
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      code: 500,
+      error: ERROR_CODES.INTERNAL_ERROR,
+      message: internalMessage
+    }
+  };
+}
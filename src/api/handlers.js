@@ -0,0 +1,55 @@
+/**
+ * 接口处理函数
+ * 与传输层无关: 输入为统一的请求对象 {query, body, requestId},返回响应数据(data),
+ * 异常交由 router 转换为错误响应
+ */
+
+import routePlanner from '../services/routePlannerService.js';
+import amapService from '../services/amapService.js';
+import { convertResultCrs } from '../utils/crs.js';
+import { validatePlanRequest, validateDepartureWindow, validateItinerary, validatePlaceSearch } from './validation.js';
+
+/**
+ * 健康检查
+ */
+export async function health() {
+  return {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    cache: amapService.getCacheStats()
+  };
+}
+
+/**
+ * 规划出行路线
+ * start/end 可为坐标、地址或 POI id,由规划服务解析
+ */
+export async function planRoute({ body }) {
+  const params = validatePlanRequest(body);
+  return routePlanner.planRoute(params);
+}
+
+/**
+ * 出发时刻扫描: 时间窗内各出发时刻的用时/费用及推荐出发时刻
+ */
+export async function planDepartureWindow({ body }) {
+  const params = validateDepartureWindow(body);
+  return routePlanner.planDepartureWindow(params);
+}
+
+/**
+ * 多站点行程: 按顺序(或调整后的顺序)逐段规划,到达时刻顺延为下一段的出发时刻
+ */
+export async function planItinerary({ body }) {
+  const params = validateItinerary(body);
+  return routePlanner.planItinerary(params);
+}
+
+/**
+ * 地点搜索(联想)
+ */
+export async function searchPlaces({ query }) {
+  const { keyword, limit, crs } = validatePlaceSearch(query);
+  const places = await routePlanner.placeResolver.search(keyword, { limit });
+  return convertResultCrs(places, crs);
+}
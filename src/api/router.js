@@ -0,0 +1,105 @@
+/**
+ * 与部署平台无关的请求处理核心
+ * 负责路由分发、CORS、请求体解析、统一响应格式 {code, message, data, requestId} 和错误转换,
+ * 各平台适配器(src/adapters/)只做请求/响应格式的转换
+ */
+
+import crypto from 'crypto';
+import * as handlers from './handlers.js';
+import { ERROR_CODES, HttpError, ValidationError, toErrorResponse } from './errors.js';
+
+/**
+ * 路由表
+ * 根路径同为健康检查,供前端探测服务状态
+ */
+export const ROUTES = [
+  { method: 'GET', path: '/', handler: handlers.health, description: '健康检查' },
+  { method: 'GET', path: '/health', handler: handlers.health, description: '健康检查' },
+  { method: 'POST', path: '/api/routes/plan', handler: handlers.planRoute, description: '规划路线', errorMessage: '路线规划失败' },
+  { method: 'POST', path: '/api/routes/departures', handler: handlers.planDepartureWindow, description: '出发时刻扫描', errorMessage: '出发时刻扫描失败' },
+  { method: 'POST', path: '/api/routes/itinerary', handler: handlers.planItinerary, description: '多站点行程', errorMessage: '行程规划失败' },
+  { method: 'GET', path: '/api/places/search', handler: handlers.searchPlaces, description: '地点搜索', errorMessage: '地点搜索失败' }
+];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+};
+
+/**
+ * 处理一个请求
+ * @param {Object} request
+ * @param {string} request.method - HTTP 方法
+ * @param {string} request.path - 路径(不含查询串)
+ * @param {Object} request.query - 查询参数
+ * @param {string|Object} request.body - 原始请求体(字符串)或已解析的对象
+ * @param {string} request.requestId - 平台提供的请求 id,缺省时生成
+ * @returns {Promise<Object>} {status, headers, body} body 为待序列化的对象(OPTIONS 时为 null)
+ */
+export async function handleRequest({ method = 'GET', path = '/', query = {}, body, requestId }) {
+  const id = requestId || crypto.randomUUID();
+  const verb = method.toUpperCase();
+
+  if (verb === 'OPTIONS') {
+    return { status: 204, headers: { ...CORS_HEADERS }, body: null };
+  }
+
+  const normalizedPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const candidates = ROUTES.filter(route => route.path === normalizedPath);
+  const route = candidates.find(item => item.method === verb);
+
+  try {
+    if (candidates.length === 0) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, `接口不存在: ${normalizedPath}`);
+    }
+    if (!route) {
+      throw new HttpError(405, ERROR_CODES.METHOD_NOT_ALLOWED, `${normalizedPath} 不支持 ${verb} 请求`);
+    }
+
+    const data = await route.handler({ query, body: parseBody(body), requestId: id });
+    return respond(200, { code: 0, message: 'success', data, requestId: id });
+  } catch (error) {
+    const { status, body: errorBody } = toErrorResponse(error, route?.errorMessage);
+    if (status >= 500) console.error(`${route?.errorMessage || '请求处理失败'}:`, error);
+    return respond(status, { ...errorBody, requestId: id });
+  }
+}
+
+function respond(status, body) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...CORS_HEADERS },
+    body
+  };
+}
+
+/**
+ * 请求体: 空串视为无请求体,字符串按 JSON 解析
+ */
+function parseBody(body) {
+  if (typeof body !== 'string') return body;
+  if (!body.trim()) return undefined;
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw invalidJsonError();
+  }
+}
+
+function invalidJsonError() {
+  return new ValidationError([
+    { field: 'body', code: ERROR_CODES.INVALID_JSON, message: '请求体不是合法的 JSON' }
+  ]);
+}
+
+/**
+ * 请求体无法读取时的响应(如平台预解析 JSON 失败),与核心解析失败时的 INVALID_JSON 响应一致
+ * @param {string} requestId - 平台提供的请求 id,缺省时生成
+ * @returns {Object} {status, headers, body}
+ */
+export function invalidJsonResponse(requestId) {
+  const { status, body } = toErrorResponse(invalidJsonError());
+  return respond(status, { ...body, requestId: requestId || crypto.randomUUID() });
+}
@@ -0,0 +1,516 @@
+/**
+ * 请求参数校验
+ * 校验通过返回规划服务/地点搜索可直接使用的参数,否则抛出 ValidationError(含全部字段错误)
+ */
+
+import { ERROR_CODES, ValidationError } from './errors.js';
+import { normalizeCrs, CRS_TYPES } from '../utils/crs.js';
+import taxiFare from '../pricing/taxiFare.js';
+import bikeFare from '../pricing/bikeFare.js';
+import { WEATHER_TYPES } from '../services/weatherService.js';
+import { parseBeijingTime } from '../utils/beijingTime.js';
+
+const PREFERENCES = ['time', 'cost', 'balance'];
+
+// 北京服务范围(含周边约10公里余量),不区分坐标系
+const SERVICE_AREA = { minLng: 115.3, maxLng: 117.6, minLat: 39.3, maxLat: 41.2 };
+
+const MAX_TEXT_LENGTH = 100;
+const MAX_SEARCH_LIMIT = 25;
+const MAX_API_CALLS = 200;
+const TIMEOUT_RANGE = [1000, 30000]; // 毫秒
+const MAX_ARRIVAL_BUFFER = 240; // 分钟
+const SWEEP_STEP_RANGE = [5, 120]; // 分钟
+const MAX_SWEEP_POINTS = 25; // 出发时刻扫描的最多时刻数
+const WEIGHT_KEYS = ['time', 'cost', 'comfort'];
+const MAX_WALK_DISTANCE = 10000; // 米
+const MAX_TRANSFERS = 5;
+const MAX_COST = 2000; // 元
+const MAX_AVOID_ITEMS = 20;
+const MAX_VALUE_OF_TIME = 1000; // 元/小时
+const VALUE_OF_TIME_KEYS = ['base', 'crowded', 'standing'];
+const ITINERARY_STOPS_RANGE = [2, 6]; // 行程站点数(含首尾)
+const MAX_DWELL_MINUTES = 480;
+
+// ISO 8601: 日期和时间,可带时区,如 2025-01-06T18:00:00+08:00;不带时区的按北京时间解析
+// 必须含时间部分: 仅有日期时 Date 按 UTC 零点解析,与北京日期不一致
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * 校验路线规划请求
+ * @param {Object} body - 请求体 {start, end, time, arriveBy, preference, valueOfTime, weather, luggage, crs, options}
+ * @returns {Object} planRoute 参数 {origin, destination, time, arriveBy, preference, valueOfTime, weather, luggage, options, crs}
+ * @throws {ValidationError}
+ */
+export function validatePlanRequest(body) {
+  const errors = [];
+  if (!isPlainObject(body)) {
+    throw new ValidationError([fieldError('body', ERROR_CODES.INVALID_TYPE, '请求体必须为 JSON 对象')]);
+  }
+
+  const crs = validateCrs(body.crs, 'crs', errors);
+  validatePlace(body.start, 'start', '起点', errors);
+  validatePlace(body.end, 'end', '终点', errors);
+
+  // arriveBy 为到达截止时刻,此时 time 表示最早出发时刻
+  const time = validateTime(body.time, 'time', errors) || new Date();
+  const arriveBy = validateTime(body.arriveBy, 'arriveBy', errors);
+  if (arriveBy && arriveBy <= time) {
+    errors.push(fieldError('arriveBy', ERROR_CODES.OUT_OF_RANGE, 'arriveBy 必须晚于出发时间 time(缺省为当前时间)'));
+  }
+
+  const preference = body.preference ?? 'balance';
+  if (!PREFERENCES.includes(preference)) {
+    errors.push(enumError('preference', preference, PREFERENCES));
+  }
+  validateValueOfTime(body.valueOfTime, errors);
+
+  const { weather, luggage } = validateConditions(body, errors);
+  const options = validateOptions(body.options, errors);
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  return {
+    origin: body.start,
+    destination: body.end,
+    time,
+    arriveBy,
+    preference,
+    valueOfTime: body.valueOfTime ?? null,
+    weather,
+    luggage,
+    options,
+    crs
+  };
+}
+
+/**
+ * 校验出发时刻扫描请求
+ * @param {Object} body - 请求体 {start, end, from, to, stepMinutes, preference, valueOfTime, weather, luggage, crs, options}
+ * @returns {Object} planDepartureWindow 参数 {origin, destination, from, to, stepMinutes, preference, valueOfTime, weather, luggage, options, crs}
+ * @throws {ValidationError}
+ */
+export function validateDepartureWindow(body) {
+  const errors = [];
+  if (!isPlainObject(body)) {
+    throw new ValidationError([fieldError('body', ERROR_CODES.INVALID_TYPE, '请求体必须为 JSON 对象')]);
+  }
+
+  const crs = validateCrs(body.crs, 'crs', errors);
+  validatePlace(body.start, 'start', '起点', errors);
+  validatePlace(body.end, 'end', '终点', errors);
+
+  const from = validateTime(body.from, 'from', errors);
+  const to = validateTime(body.to, 'to', errors);
+  for (const [field, value] of [['from', body.from], ['to', body.to]]) {
+    if (value === undefined || value === null) {
+      errors.push(fieldError(field, ERROR_CODES.MISSING_FIELD, `缺少出发时间窗 ${field}`));
+    }
+  }
+
+  const stepMinutes = body.stepMinutes ?? 15;
+  validateInteger(stepMinutes, 'stepMinutes', SWEEP_STEP_RANGE, errors);
+
+  if (from && to) {
+    if (to < from) {
+      errors.push(fieldError('to', ERROR_CODES.OUT_OF_RANGE, 'to 不能早于 from'));
+    } else if (Number.isInteger(stepMinutes) && (to - from) / 60000 / stepMinutes + 1 > MAX_SWEEP_POINTS) {
+      errors.push(fieldError('to', ERROR_CODES.OUT_OF_RANGE, `时间窗内最多扫描 ${MAX_SWEEP_POINTS} 个时刻,请缩短时间窗或增大 stepMinutes`));
+    }
+  }
+
+  const preference = body.preference ?? 'balance';
+  if (!PREFERENCES.includes(preference)) {
+    errors.push(enumError('preference', preference, PREFERENCES));
+  }
+  validateValueOfTime(body.valueOfTime, errors);
+
+  const { weather, luggage } = validateConditions(body, errors);
+  const options = validateOptions(body.options, errors);
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  return {
+    origin: body.start,
+    destination: body.end,
+    from,
+    to,
+    stepMinutes,
+    preference,
+    valueOfTime: body.valueOfTime ?? null,
+    weather,
+    luggage,
+    options,
+    crs
+  };
+}
+
+/**
+ * 校验多站点行程请求
+ * @param {Object} body - 请求体 {stops, time, optimizeOrder, preference, valueOfTime, weather, luggage, crs, options}
+ *   stops 为 [{place, dwellMinutes, window: {from, to}, fixed}],站点也可直接写地址字符串
+ * @returns {Object} planItinerary 参数 {stops, time, optimizeOrder, preference, valueOfTime, weather, luggage, options, crs}
+ * @throws {ValidationError}
+ */
+export function validateItinerary(body) {
+  const errors = [];
+  if (!isPlainObject(body)) {
+    throw new ValidationError([fieldError('body', ERROR_CODES.INVALID_TYPE, '请求体必须为 JSON 对象')]);
+  }
+
+  const crs = validateCrs(body.crs, 'crs', errors);
+  const time = validateTime(body.time, 'time', errors) || new Date();
+
+  const [minStops, maxStops] = ITINERARY_STOPS_RANGE;
+  let stops = [];
+  if (body.stops === undefined || body.stops === null) {
+    errors.push(fieldError('stops', ERROR_CODES.MISSING_FIELD, '缺少行程站点 stops'));
+  } else if (!Array.isArray(body.stops) || body.stops.length < minStops || body.stops.length > maxStops) {
+    errors.push(fieldError('stops', ERROR_CODES.OUT_OF_RANGE, `stops 必须为 ${minStops}~${maxStops} 个站点的数组`));
+  } else {
+    stops = body.stops.map((stop, index) => validateStop(stop, index, time, errors));
+  }
+
+  const optimizeOrder = body.optimizeOrder ?? false;
+  if (typeof optimizeOrder !== 'boolean') {
+    errors.push(fieldError('optimizeOrder', ERROR_CODES.INVALID_TYPE, 'optimizeOrder 必须为布尔值'));
+  }
+
+  const preference = body.preference ?? 'balance';
+  if (!PREFERENCES.includes(preference)) {
+    errors.push(enumError('preference', preference, PREFERENCES));
+  }
+  validateValueOfTime(body.valueOfTime, errors);
+
+  const { weather, luggage } = validateConditions(body, errors);
+  const options = validateOptions(body.options, errors);
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  return {
+    stops,
+    time,
+    optimizeOrder,
+    preference,
+    valueOfTime: body.valueOfTime ?? null,
+    weather,
+    luggage,
+    options,
+    crs
+  };
+}
+
+/**
+ * 校验地点搜索参数
+ * @param {Object} query - 查询参数 {q, limit, crs}
+ * @returns {Object} {keyword, limit, crs}
+ * @throws {ValidationError}
+ */
+export function validatePlaceSearch(query = {}) {
+  const errors = [];
+
+  const keyword = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!keyword) {
+    errors.push(fieldError('q', ERROR_CODES.MISSING_FIELD, '缺少搜索关键字 q'));
+  } else if (keyword.length > MAX_TEXT_LENGTH) {
+    errors.push(fieldError('q', ERROR_CODES.OUT_OF_RANGE, `q 不能超过 ${MAX_TEXT_LENGTH} 个字符`));
+  }
+
+  let limit = 10;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      errors.push(fieldError('limit', ERROR_CODES.OUT_OF_RANGE, `limit 必须为 1~${MAX_SEARCH_LIMIT} 的整数`));
+    }
+  }
+
+  const crs = validateCrs(query.crs, 'crs', errors);
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  return { keyword, limit, crs };
+}
+
+/**
+ * 起终点: 坐标对象 / 地址字符串 / {address} / {name} / {id}
+ */
+function validatePlace(value, field, label, errors) {
+  // 只含空白的地址视同缺失
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    errors.push(fieldError(field, ERROR_CODES.MISSING_FIELD, `缺少${label}参数`));
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (value.trim().length > MAX_TEXT_LENGTH) {
+      errors.push(fieldError(field, ERROR_CODES.OUT_OF_RANGE, `${label}地址不能超过 ${MAX_TEXT_LENGTH} 个字符`));
+    }
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    errors.push(fieldError(field, ERROR_CODES.INVALID_TYPE, `${label}必须为坐标对象或地址字符串`));
+    return;
+  }
+
+  if (value.lng !== undefined || value.lat !== undefined) {
+    validateCoordinates(value, field, label, errors);
+    return;
+  }
+
+  const text = value.id ?? value.address ?? value.name;
+  if (typeof text !== 'string' || !text.trim()) {
+    errors.push(fieldError(field, ERROR_CODES.MISSING_FIELD, `${label}需提供 lng/lat、address 或 id`));
+  }
+}
+
+/**
+ * 行程站点: 首站为出发地,不支持停留时长和到达时间窗;fixed 的站点在调整顺序时保持原位置(首尾站点总是固定)
+ * 地址字符串,或不含 place 而带 lng/lat、address、id 的对象,视为地点本身(写法同 start/end)
+ */
+function validateStop(stop, index, time, errors) {
+  const field = `stops[${index}]`;
+  const label = `第${index + 1}个站点`;
+  const spec = isStopSpec(stop) ? stop : { place: stop };
+
+  validatePlace(spec.place, `${field}.place`, label, errors);
+
+  const dwellMinutes = spec.dwellMinutes ?? 0;
+  validateInteger(dwellMinutes, `${field}.dwellMinutes`, [0, MAX_DWELL_MINUTES], errors);
+
+  let window = null;
+  if (spec.window !== undefined && spec.window !== null) {
+    if (!isPlainObject(spec.window)) {
+      errors.push(fieldError(`${field}.window`, ERROR_CODES.INVALID_TYPE, `${field}.window 必须为 {from, to}`));
+    } else {
+      window = {
+        from: validateTime(spec.window.from, `${field}.window.from`, errors),
+        to: validateTime(spec.window.to, `${field}.window.to`, errors)
+      };
+      if (!window.from && !window.to) {
+        errors.push(fieldError(`${field}.window`, ERROR_CODES.MISSING_FIELD, `${field}.window 至少提供 from 或 to`));
+      } else if (window.from && window.to && window.to < window.from) {
+        errors.push(fieldError(`${field}.window.to`, ERROR_CODES.OUT_OF_RANGE, `${field}.window.to 不能早于 from`));
+      } else if (window.to && window.to <= time) {
+        errors.push(fieldError(`${field}.window.to`, ERROR_CODES.OUT_OF_RANGE, `${field}.window.to 必须晚于出发时间 time(缺省为当前时间)`));
+      }
+    }
+  }
+
+  if (index === 0 && (dwellMinutes !== 0 || window)) {
+    errors.push(fieldError(field, ERROR_CODES.OUT_OF_RANGE, '首个站点为出发地,不支持 dwellMinutes 和 window'));
+  }
+
+  const fixed = spec.fixed ?? false;
+  if (typeof fixed !== 'boolean') {
+    errors.push(fieldError(`${field}.fixed`, ERROR_CODES.INVALID_TYPE, `${field}.fixed 必须为布尔值`));
+  }
+
+  return { place: spec.place, dwellMinutes, window, fixed };
+}
+
+function isStopSpec(stop) {
+  if (!isPlainObject(stop)) return false;
+  return 'place' in stop || !['lng', 'lat', 'address', 'id'].some(key => key in stop);
+}
+
+function validateCoordinates(point, field, label, errors) {
+  const errorCount = errors.length;
+
+  for (const axis of ['lng', 'lat']) {
+    const value = point[axis];
+    if (value === undefined || value === null) {
+      errors.push(fieldError(`${field}.${axis}`, ERROR_CODES.MISSING_FIELD, `缺少${label} ${axis}`));
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(fieldError(`${field}.${axis}`, ERROR_CODES.INVALID_TYPE, `${label} ${axis} 必须为数字`));
+    }
+  }
+  if (errors.length > errorCount) return;
+
+  if (Math.abs(point.lng) > 180 || Math.abs(point.lat) > 90) {
+    errors.push(fieldError(field, ERROR_CODES.INVALID_COORDINATE, `${label}坐标超出经纬度范围`));
+    return;
+  }
+
+  const { minLng, maxLng, minLat, maxLat } = SERVICE_AREA;
+  if (point.lng < minLng || point.lng > maxLng || point.lat < minLat || point.lat > maxLat) {
+    errors.push(fieldError(field, ERROR_CODES.OUT_OF_SERVICE_AREA, `${label}不在北京服务范围内`));
+  }
+}
+
+/**
+ * ISO 8601 日期时间(不带时区按北京时间),缺省返回 null
+ */
+function validateTime(value, field, errors) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !ISO_TIME.test(value) || Number.isNaN(Date.parse(value))) {
+    errors.push(fieldError(field, ERROR_CODES.INVALID_TIME, `${field} 必须为 ISO 8601 时间,如 2025-01-06T18:00:00`));
+    return null;
+  }
+  return parseBeijingTime(value);
+}
+
+/**
+ * 时间价值(元/小时): 数字,或 {base, crowded, standing} 分别给出平常、拥挤、站立乘车的时间价值
+ */
+function validateValueOfTime(value, errors) {
+  if (value === undefined || value === null) return;
+  if (typeof value === 'number') {
+    validateNumber(value, 'valueOfTime', [0, MAX_VALUE_OF_TIME], errors);
+    return;
+  }
+  if (!isPlainObject(value)) {
+    errors.push(fieldError('valueOfTime', ERROR_CODES.INVALID_TYPE, 'valueOfTime 必须为数字或 {base, crowded, standing}'));
+    return;
+  }
+
+  if (value.base === undefined) {
+    errors.push(fieldError('valueOfTime.base', ERROR_CODES.MISSING_FIELD, '缺少 valueOfTime.base'));
+  }
+  for (const [key, rate] of Object.entries(value)) {
+    if (!VALUE_OF_TIME_KEYS.includes(key)) {
+      errors.push(enumError(`valueOfTime.${key}`, key, VALUE_OF_TIME_KEYS));
+    } else {
+      validateNumber(rate, `valueOfTime.${key}`, [0, MAX_VALUE_OF_TIME], errors);
+    }
+  }
+}
+
+/**
+ * 出行条件: weather 缺省时由天气服务提供,luggage 缺省为 false
+ */
+function validateConditions(body, errors) {
+  const weather = body.weather ?? null;
+  if (weather !== null && !WEATHER_TYPES.includes(weather)) {
+    errors.push(enumError('weather', weather, WEATHER_TYPES));
+  }
+
+  const luggage = body.luggage ?? false;
+  if (typeof luggage !== 'boolean') {
+    errors.push(fieldError('luggage', ERROR_CODES.INVALID_TYPE, 'luggage 必须为布尔值'));
+  }
+
+  return { weather, luggage };
+}
+
+function validateCrs(value, field, errors) {
+  const crs = normalizeCrs(value);
+  if (!crs) errors.push(enumError(field, value, CRS_TYPES));
+  return crs;
+}
+
+function validateOptions(options, errors) {
+  if (options === undefined || options === null) return {};
+  if (!isPlainObject(options)) {
+    errors.push(fieldError('options', ERROR_CODES.INVALID_TYPE, 'options 必须为对象'));
+    return {};
+  }
+
+  const taxiProviders = taxiFare.getProviders().map(provider => provider.id);
+  if (options.taxiProvider !== undefined && !taxiProviders.includes(options.taxiProvider)) {
+    errors.push(enumError('options.taxiProvider', options.taxiProvider, taxiProviders));
+  }
+
+  const bikeProviders = bikeFare.getProviders();
+  if (options.bikeProvider !== undefined && !bikeProviders.some(provider => provider.id === options.bikeProvider)) {
+    errors.push(enumError('options.bikeProvider', options.bikeProvider, bikeProviders.map(provider => provider.id)));
+  }
+
+  const bikeCards = [...new Set(bikeProviders.flatMap(provider => provider.cards.map(card => card.id)))];
+  if (options.bikeCard !== undefined && options.bikeCard !== null && !bikeCards.includes(options.bikeCard)) {
+    errors.push(enumError('options.bikeCard', options.bikeCard, bikeCards));
+  }
+
+  if (options.bypassCache !== undefined && typeof options.bypassCache !== 'boolean') {
+    errors.push(fieldError('options.bypassCache', ERROR_CODES.INVALID_TYPE, 'options.bypassCache 必须为布尔值'));
+  }
+
+  validateInteger(options.maxApiCalls, 'options.maxApiCalls', [1, MAX_API_CALLS], errors);
+  validateInteger(options.timeoutMs, 'options.timeoutMs', TIMEOUT_RANGE, errors);
+  validateInteger(options.arrivalBuffer, 'options.arrivalBuffer', [0, MAX_ARRIVAL_BUFFER], errors);
+  validateWeights(options.weights, errors);
+  validateConstraints(options.constraints, errors);
+
+  return options;
+}
+
+/**
+ * 自定义权重 {time, cost, comfort}: 非负数,缺省项按0计,合计须大于0(服务端归一化)
+ */
+function validateWeights(weights, errors) {
+  if (weights === undefined) return;
+  if (!isPlainObject(weights)) {
+    errors.push(fieldError('options.weights', ERROR_CODES.INVALID_TYPE, 'options.weights 必须为对象 {time, cost, comfort}'));
+    return;
+  }
+
+  const errorCount = errors.length;
+  for (const [key, value] of Object.entries(weights)) {
+    if (!WEIGHT_KEYS.includes(key)) {
+      errors.push(enumError(`options.weights.${key}`, key, WEIGHT_KEYS));
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(fieldError(`options.weights.${key}`, ERROR_CODES.INVALID_TYPE, `options.weights.${key} 必须为非负数`));
+    }
+  }
+  if (errors.length === errorCount && WEIGHT_KEYS.every(key => !weights[key])) {
+    errors.push(fieldError('options.weights', ERROR_CODES.OUT_OF_RANGE, 'options.weights 至少一项大于0'));
+  }
+}
+
+/**
+ * 硬性约束,见 algorithms/routeConstraints.js
+ */
+function validateConstraints(constraints, errors) {
+  if (constraints === undefined) return;
+  if (!isPlainObject(constraints)) {
+    errors.push(fieldError('options.constraints', ERROR_CODES.INVALID_TYPE, 'options.constraints 必须为对象'));
+    return;
+  }
+
+  validateInteger(constraints.maxWalkDistance, 'options.constraints.maxWalkDistance', [0, MAX_WALK_DISTANCE], errors);
+  validateInteger(constraints.maxTransfers, 'options.constraints.maxTransfers', [0, MAX_TRANSFERS], errors);
+  validateNumber(constraints.maxCost, 'options.constraints.maxCost', [0, MAX_COST], errors);
+  validateNumber(constraints.maxTaxiShare, 'options.constraints.maxTaxiShare', [0, 1], errors);
+
+  for (const field of ['avoidLines', 'avoidStations']) {
+    const value = constraints[field];
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || value.length > MAX_AVOID_ITEMS ||
+      value.some(item => typeof item !== 'string' || !item.trim() || item.length > MAX_TEXT_LENGTH)) {
+      errors.push(fieldError(`options.constraints.${field}`, ERROR_CODES.INVALID_TYPE,
+        `options.constraints.${field} 必须为不超过 ${MAX_AVOID_ITEMS} 项的名称数组`));
+    }
+  }
+
+  for (const field of ['noTaxi', 'noSubway']) {
+    if (constraints[field] !== undefined && typeof constraints[field] !== 'boolean') {
+      errors.push(fieldError(`options.constraints.${field}`, ERROR_CODES.INVALID_TYPE, `options.constraints.${field} 必须为布尔值`));
+    }
+  }
+}
+
+function validateInteger(value, field, [min, max], errors) {
+  if (value === undefined) return;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(fieldError(field, ERROR_CODES.OUT_OF_RANGE, `${field} 必须为 ${min}~${max} 的整数`));
+  }
+}
+
+function validateNumber(value, field, [min, max], errors) {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    errors.push(fieldError(field, ERROR_CODES.OUT_OF_RANGE, `${field} 必须为 ${min}~${max} 的数字`));
+  }
+}
+
+function enumError(field, value, allowed) {
+  return fieldError(field, ERROR_CODES.INVALID_ENUM, `${field} 不支持 ${JSON.stringify(value)},可选 ${allowed.join(' / ')}`);
+}
+
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,14 @@
+/**
+ * 到达缓冲时间
+ * 终点为机场/火车站时,需在到达截止时间前预留值机、安检等时间
+ * 地点类型的识别规则见 placeTypes.js;单次请求可通过 options.arrivalBuffer(分钟)覆盖
+ *
+ * 字段说明:
+ * - name: 缓冲事项
+ * - minutes: 预留时长(分钟)
+ */
+
+export const ARRIVAL_BUFFERS = {
+  airport: { name: '机场值机安检', minutes: 60 },
+  railway: { name: '火车站安检检票', minutes: 30 }
+};
@@ -0,0 +1,32 @@
+/**
+ * 共享单车计价标准
+ * 北京市区常见价格的近似预设,可通过环境变量 BIKE_PROVIDER 指定默认平台
+ *
+ * 字段说明:
+ * - baseFare / baseMinutes: 起步价及其包含时长(分钟)
+ * - blockFare / blockMinutes: 超出起步时长后,每 blockMinutes 分钟加收 blockFare
+ * - cards: 骑行卡,每次骑行 freeMinutes 分钟内免费,超出部分按常规计价
+ */
+
+export const BIKE_TARIFFS = {
+  meituan: {
+    name: '美团单车',
+    baseFare: 1.5,
+    baseMinutes: 30,
+    blockFare: 1.5,
+    blockMinutes: 30,
+    cards: {
+      monthly: { name: '骑行月卡', freeMinutes: 120 }
+    }
+  },
+  hellobike: {
+    name: '哈啰单车',
+    baseFare: 1.5,
+    baseMinutes: 30,
+    blockFare: 1,
+    blockMinutes: 15,
+    cards: {
+      monthly: { name: '畅骑卡', freeMinutes: 120 }
+    }
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * 地点类型识别规则
+ * 机场/火车站影响到达缓冲(值机、安检)和打车排队时间
+ *
+ * 字段说明:
+ * - name: 类型名称
+ * - typecodes: 高德 POI 类型编码前缀(地点由地址/POI id 解析时使用)
+ * - keywords: 地点名称关键字(坐标输入无类型编码时使用)
+ */
+
+export const PLACE_TYPES = {
+  airport: {
+    name: '机场',
+    typecodes: ['1501'],
+    keywords: ['机场', '航站楼']
+  },
+  railway: {
+    name: '火车站',
+    typecodes: ['1502'],
+    keywords: ['火车站', '北京站', '北京南站', '北京西站', '北京北站', '北京东站', '北京朝阳站', '北京丰台站', '清河站']
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * 出行偏好的评分权重预设
+ * 请求未给出 options.weights 时按 preference 取用,再叠加场景规则的权重增减
+ *
+ * 字段说明:
+ * - time / cost / comfort: 时间、费用、舒适度得分的权重,三项之和为1
+ */
+
+export const PREFERENCE_WEIGHTS = {
+  time: { time: 0.7, cost: 0.2, comfort: 0.1 },
+  cost: { time: 0.2, cost: 0.7, comfort: 0.1 },
+  balance: { time: 0.4, cost: 0.4, comfort: 0.2 }
+};
+
+export const PREFERENCE_NAMES = {
+  time: '时间优先',
+  cost: '省钱优先',
+  balance: '均衡'
+};
@@ -0,0 +1,38 @@
+/**
+ * 行程时间波动参数
+ * 各分段用时按分布建模,用于计算方案用时的中位数、P90 和准点概率
+ *
+ * 字段说明:
+ * - SUBWAY_HEADWAYS: 地铁发车间隔(分钟),按 peak(早晚高峰) / offPeak(平峰) / night(22点后及6点前);
+ *   default 适用于未单独列出的线路
+ * - BUS_HEADWAYS: 公交发车间隔(分钟)
+ * - TAXI_WAIT: 平峰打车等车时间中位数(分钟),按上车点类型;机场/火车站需排队
+ * - TAXI_WAIT_FACTORS: 等车时间按时段的倍数
+ * - TAXI_WAIT_SIGMA: 等车时间对数标准差
+ * - DRIVING_SIGMA: 行驶时间对数标准差 = base + perCongestion × (拥堵指数 - 1)
+ * - SEGMENT_SIGMA: 其他分段用时的对数标准差
+ */
+
+export const SUBWAY_HEADWAYS = {
+  default: { peak: 3, offPeak: 6, night: 10 },
+  '大兴机场线': { peak: 8, offPeak: 10, night: 15 },
+  '首都机场线': { peak: 10, offPeak: 12, night: 15 },
+  '西郊线': { peak: 6, offPeak: 10, night: 12 },
+  '昌平线': { peak: 4, offPeak: 8, night: 10 },
+  '房山线': { peak: 4, offPeak: 8, night: 10 },
+  '亦庄线': { peak: 4, offPeak: 7, night: 10 },
+  '15号线': { peak: 4, offPeak: 7, night: 10 },
+  '16号线': { peak: 4, offPeak: 7, night: 10 }
+};
+
+export const BUS_HEADWAYS = { peak: 6, offPeak: 10, night: 20 };
+
+export const TAXI_WAIT = { airport: 12, railway: 10, street: 4 };
+
+export const TAXI_WAIT_FACTORS = { peak: 1.5, offPeak: 1, night: 1.3 };
+
+export const TAXI_WAIT_SIGMA = 0.5;
+
+export const DRIVING_SIGMA = { base: 0.1, perCongestion: 0.2 };
+
+export const SEGMENT_SIGMA = { walk: 0.05, bike: 0.1, subway: 0.05, rail: 0.02 };
@@ -0,0 +1,73 @@
+/**
+ * 出行场景规则
+ * 多个场景可同时生效,各自叠加权重和价格调整,而不是互相覆盖;
+ * 数组顺序即优先级,决定场景名称的排列
+ *
+ * 字段说明:
+ * - id / name: 场景标识与名称
+ * - when: 触发条件,列出的条件须全部满足
+ *   - hours: 小时区间 [[起, 止]](含两端)
+ *   - dayTypes: workday(工作日,含调休上班) / weekend(周末) / holiday(法定节假日)
+ *   - weather: clear / rain / snow
+ *   - placeTypes: 起点或终点的地点类型(airport / railway,识别规则见 placeTypes.js)
+ *   - luggage: 是否携带行李
+ * - weights: 在用户偏好权重上的增减 {time, cost, comfort},叠加后归一化
+ * - pricing: 打车计价调整 {peak: 启用网约车高峰加价, surge: 网约车动态加价倍数}
+ * - taxiWaitFactor: 打车等车时间倍数
+ * - excludeModes: 不生成含这些接驳方式的方案
+ * - comfort: 额外的舒适度扣分 {transfer: 每次换乘, walkPer500m: 每500米步行, bikePerKm: 每公里骑行}
+ */
+
+export const SCENARIO_RULES = [
+  {
+    id: 'hurry',
+    name: '赶路模式',
+    when: { placeTypes: ['airport', 'railway'] },
+    weights: { time: 0.3, cost: -0.2, comfort: -0.1 }
+  },
+  {
+    id: 'night',
+    name: '深夜模式',
+    when: { hours: [[23, 23], [0, 4]] },
+    weights: { comfort: 0.1, cost: -0.1 }
+  },
+  {
+    id: 'rush',
+    name: '高峰模式',
+    when: { hours: [[7, 9], [17, 19]], dayTypes: ['workday'] },
+    pricing: { peak: true }
+  },
+  {
+    id: 'snow',
+    name: '雪天',
+    when: { weather: ['snow'] },
+    weights: { comfort: 0.15, cost: -0.1, time: -0.05 },
+    pricing: { surge: 1.3 },
+    taxiWaitFactor: 2,
+    excludeModes: ['bike'],
+    comfort: { walkPer500m: 5 }
+  },
+  {
+    id: 'rain',
+    name: '雨天',
+    when: { weather: ['rain'] },
+    weights: { comfort: 0.1, cost: -0.05, time: -0.05 },
+    pricing: { surge: 1.2 },
+    taxiWaitFactor: 1.5,
+    comfort: { walkPer500m: 5, bikePerKm: 6 }
+  },
+  {
+    id: 'holiday',
+    name: '节假日',
+    when: { dayTypes: ['holiday'] },
+    weights: { cost: 0.05, time: -0.05 }
+  },
+  {
+    id: 'luggage',
+    name: '携带行李',
+    when: { luggage: true },
+    weights: { comfort: 0.15, cost: -0.1, time: -0.05 },
+    excludeModes: ['bike'],
+    comfort: { transfer: 10, walkPer500m: 5 }
+  }
+];
@@ -0,0 +1,60 @@
+/**
+ * 打车计价标准
+ * 出租车按北京市巡游出租汽车运价执行,网约车为常见价格的近似预设
+ * 可通过环境变量 TAXI_PROVIDER 指定默认计价方式
+ *
+ * 字段说明:
+ * - baseFare / baseDistance: 起步价及其包含里程(公里)
+ * - perKm / perMin: 超出起步里程后的里程单价、时长单价
+ * - longDistance: 超过 threshold 公里的部分每公里额外加收 perKm
+ * - night: start~end 时段起步价改为 baseFare,里程/时长费乘以 multiplier
+ * - lowSpeed: 低速等候费,每5分钟加收金额(高峰/平峰)
+ * - peak: 高峰时段动态加价倍数(仅网约车)
+ * - minFare: 最低消费
+ * - fuelSurcharge: 燃油附加费
+ * - rounding: 计价精度(元)
+ */
+
+export const PEAK_HOURS = [[7, 9], [17, 19]];
+
+export const TAXI_TARIFFS = {
+  taxi: {
+    name: '出租车',
+    baseFare: 13,
+    baseDistance: 3,
+    perKm: 2.3,
+    perMin: 0,
+    longDistance: { threshold: 15, perKm: 1.15 },
+    night: { start: 23, end: 5, baseFare: 14, multiplier: 1.2 },
+    lowSpeed: { peakPer5Min: 4.6, offPeakPer5Min: 2.3 },
+    minFare: 13,
+    fuelSurcharge: 1,
+    rounding: 1
+  },
+  express: {
+    name: '快车',
+    baseFare: 11,
+    baseDistance: 0,
+    perKm: 1.75,
+    perMin: 0.45,
+    longDistance: { threshold: 12, perKm: 0.8 },
+    night: { start: 23, end: 5, baseFare: 11, multiplier: 1.25 },
+    peak: { multiplier: 1.2 },
+    minFare: 13,
+    fuelSurcharge: 0,
+    rounding: 0.1
+  },
+  premier: {
+    name: '专车',
+    baseFare: 15,
+    baseDistance: 0,
+    perKm: 2.9,
+    perMin: 0.6,
+    longDistance: { threshold: 15, perKm: 1.0 },
+    night: { start: 23, end: 5, baseFare: 15, multiplier: 1.2 },
+    peak: { multiplier: 1.1 },
+    minFare: 25,
+    fuelSurcharge: 0,
+    rounding: 0.1
+  }
+};
@@ -0,0 +1,635 @@
+/**
+ * 北京地铁线网基础数据
+ * 站点坐标为 GCJ-02(与高德一致),线路站序按运营方向排列
+ * 同名站即视为换乘站
+ */
+
+/**
+ * 站点坐标 [lng, lat]
+ */
+export const STATIONS = {
+  // 1号线八通线
+  '古城': [116.190, 39.907],
+  '八角游乐园': [116.212, 39.907],
+  '八宝山': [116.236, 39.907],
+  '玉泉路': [116.253, 39.907],
+  '五棵松': [116.274, 39.907],
+  '万寿路': [116.295, 39.907],
+  '公主坟': [116.310, 39.907],
+  '军事博物馆': [116.322, 39.907],
+  '木樨地': [116.337, 39.907],
+  '南礼士路': [116.352, 39.907],
+  '复兴门': [116.357, 39.907],
+  '西单': [116.374, 39.907],
+  '天安门西': [116.391, 39.907],
+  '天安门东': [116.401, 39.908],
+  '王府井': [116.411, 39.908],
+  '东单': [116.418, 39.908],
+  '建国门': [116.435, 39.908],
+  '永安里': [116.450, 39.908],
+  '国贸': [116.461, 39.909],
+  '大望路': [116.476, 39.909],
+  '四惠': [116.496, 39.909],
+  '四惠东': [116.515, 39.909],
+  '高碑店': [116.532, 39.909],
+  '传媒大学': [116.554, 39.909],
+  '双桥': [116.576, 39.897],
+  '管庄': [116.598, 39.909],
+  '八里桥': [116.627, 39.906],
+  '通州北苑': [116.638, 39.904],
+  '果园': [116.648, 39.893],
+  '九棵树': [116.659, 39.889],
+  '梨园': [116.668, 39.883],
+  '临河里': [116.680, 39.868],
+  '土桥': [116.687, 39.862],
+  '花庄': [116.691, 39.855],
+  '环球度假区': [116.688, 39.847],
+
+  // 2号线
+  '西直门': [116.355, 39.940],
+  '积水潭': [116.373, 39.948],
+  '鼓楼大街': [116.394, 39.948],
+  '安定门': [116.408, 39.949],
+  '雍和宫': [116.417, 39.949],
+  '东直门': [116.434, 39.941],
+  '东四十条': [116.434, 39.933],
+  '朝阳门': [116.434, 39.924],
+  '北京站': [116.427, 39.904],
+  '崇文门': [116.417, 39.900],
+  '前门': [116.397, 39.900],
+  '和平门': [116.384, 39.900],
+  '宣武门': [116.374, 39.900],
+  '长椿街': [116.363, 39.900],
+  '阜成门': [116.356, 39.923],
+  '车公庄': [116.355, 39.932],
+
+  // 4号线大兴线
+  '安河桥北': [116.270, 40.012],
+  '北宫门': [116.276, 40.002],
+  '西苑': [116.290, 39.999],
+  '圆明园': [116.310, 39.999],
+  '北京大学东门': [116.316, 39.992],
+  '中关村': [116.316, 39.983],
+  '海淀黄庄': [116.318, 39.976],
+  '人民大学': [116.321, 39.967],
+  '魏公村': [116.323, 39.958],
+  '国家图书馆': [116.325, 39.943],
+  '动物园': [116.339, 39.938],
+  '新街口': [116.368, 39.940],
+  '平安里': [116.372, 39.934],
+  '西四': [116.373, 39.924],
+  '灵境胡同': [116.373, 39.916],
+  '菜市口': [116.374, 39.889],
+  '陶然亭': [116.374, 39.879],
+  '北京南站': [116.378, 39.865],
+  '马家堡': [116.371, 39.853],
+  '角门西': [116.371, 39.845],
+  '公益西桥': [116.370, 39.836],
+  '新宫': [116.366, 39.813],
+  '西红门': [116.329, 39.789],
+  '高米店北': [116.331, 39.767],
+  '高米店南': [116.331, 39.757],
+  '枣园': [116.331, 39.746],
+  '清源路': [116.332, 39.737],
+  '黄村西大街': [116.333, 39.727],
+  '黄村火车站': [116.336, 39.717],
+  '义和庄': [116.319, 39.700],
+  '生物医药基地': [116.315, 39.683],
+  '天宫院': [116.320, 39.670],
+
+  // 5号线
+  '天通苑北': [116.413, 40.083],
+  '天通苑': [116.412, 40.075],
+  '天通苑南': [116.413, 40.066],
+  '立水桥': [116.411, 40.052],
+  '立水桥南': [116.414, 40.042],
+  '北苑路北': [116.417, 40.030],
+  '大屯路东': [116.418, 40.003],
+  '惠新西街北口': [116.417, 39.988],
+  '惠新西街南口': [116.417, 39.977],
+  '和平西桥': [116.417, 39.968],
+  '和平里北街': [116.418, 39.958],
+  '北新桥': [116.417, 39.941],
+  '张自忠路': [116.417, 39.933],
+  '东四': [116.417, 39.924],
+  '灯市口': [116.417, 39.917],
+  '磁器口': [116.419, 39.893],
+  '天坛东门': [116.421, 39.882],
+  '蒲黄榆': [116.421, 39.866],
+  '刘家窑': [116.422, 39.858],
+  '宋家庄': [116.428, 39.846],
+
+  // 6号线
+  '金安桥': [116.163, 39.923],
+  '苹果园': [116.177, 39.926],
+  '杨庄': [116.196, 39.928],
+  '西黄村': [116.213, 39.929],
+  '廖公庄': [116.226, 39.929],
+  '田村': [116.240, 39.929],
+  '海淀五路居': [116.276, 39.932],
+  '慈寿寺': [116.293, 39.933],
+  '花园桥': [116.310, 39.932],
+  '白石桥南': [116.325, 39.933],
+  '二里沟': [116.338, 39.932],
+  '车公庄西': [116.344, 39.932],
+  '北海北': [116.387, 39.933],
+  '南锣鼓巷': [116.403, 39.933],
+  '东大桥': [116.451, 39.923],
+  '呼家楼': [116.461, 39.923],
+  '金台路': [116.478, 39.923],
+  '十里堡': [116.496, 39.923],
+  '青年路': [116.517, 39.923],
+  '褡裢坡': [116.557, 39.923],
+  '黄渠': [116.573, 39.923],
+  '常营': [116.600, 39.926],
+  '草房': [116.613, 39.924],
+  '物资学院路': [116.637, 39.925],
+  '通州北关': [116.660, 39.914],
+  '北运河西': [116.683, 39.901],
+  '北运河东': [116.698, 39.898],
+  '郝家府': [116.711, 39.900],
+  '东夏园': [116.725, 39.891],
+  '潞城': [116.740, 39.904],
+
+  // 7号线
+  '北京西站': [116.322, 39.895],
+  '湾子': [116.336, 39.893],
+  '达官营': [116.345, 39.892],
+  '广安门内': [116.358, 39.889],
+  '虎坊桥': [116.384, 39.889],
+  '珠市口': [116.398, 39.889],
+  '桥湾': [116.408, 39.889],
+  '广渠门内': [116.430, 39.894],
+  '广渠门外': [116.444, 39.894],
+  '双井': [116.461, 39.894],
+  '九龙山': [116.476, 39.893],
+  '大郊亭': [116.489, 39.893],
+  '百子湾': [116.502, 39.889],
+  '化工': [116.505, 39.880],
+  '南楼梓庄': [116.505, 39.870],
+  '欢乐谷景区': [116.515, 39.865],
+  '垡头': [116.530, 39.859],
+  '双合': [116.550, 39.857],
+  '焦化厂': [116.565, 39.855],
+  '黄厂': [116.590, 39.858],
+  '郎辛庄': [116.610, 39.858],
+  '黑庄户': [116.630, 39.858],
+  '万盛西': [116.653, 39.858],
+  '万盛东': [116.668, 39.858],
+  '群芳': [116.677, 39.855],
+  '高楼金': [116.685, 39.850],
+
+  // 8号线
+  '朱辛庄': [116.313, 40.105],
+  '育知路': [116.328, 40.086],
+  '平西府': [116.355, 40.090],
+  '回龙观东大街': [116.367, 40.080],
+  '霍营': [116.360, 40.071],
+  '育新': [116.352, 40.060],
+  '西小口': [116.357, 40.045],
+  '永泰庄': [116.366, 40.037],
+  '林萃桥': [116.373, 40.022],
+  '森林公园南门': [116.393, 40.011],
+  '奥林匹克公园': [116.392, 40.002],
+  '奥体中心': [116.393, 39.986],
+  '北土城': [116.394, 39.977],
+  '安华桥': [116.394, 39.968],
+  '安德里北街': [116.394, 39.958],
+  '什刹海': [116.395, 39.940],
+  '中国美术馆': [116.410, 39.925],
+  '金鱼胡同': [116.412, 39.914],
+  '天桥': [116.398, 39.881],
+  '永定门外': [116.398, 39.866],
+  '木樨园': [116.392, 39.855],
+  '海户屯': [116.389, 39.847],
+  '大红门南': [116.398, 39.839],
+  '和义': [116.402, 39.829],
+  '东高地': [116.421, 39.813],
+  '火箭万源': [116.427, 39.804],
+  '五福堂': [116.433, 39.795],
+  '德茂': [116.441, 39.786],
+  '瀛海': [116.458, 39.777],
+
+  // 9号线
+  '白堆子': [116.325, 39.921],
+  '六里桥东': [116.313, 39.885],
+  '六里桥': [116.302, 39.880],
+  '七里庄': [116.296, 39.867],
+  '丰台东大街': [116.292, 39.857],
+  '丰台南路': [116.293, 39.843],
+  '科怡路': [116.292, 39.828],
+  '丰台科技园': [116.289, 39.820],
+  '郭公庄': [116.300, 39.813],
+
+  // 10号线
+  '巴沟': [116.293, 39.974],
+  '苏州街': [116.306, 39.976],
+  '知春里': [116.328, 39.976],
+  '知春路': [116.339, 39.976],
+  '西土城': [116.353, 39.976],
+  '牡丹园': [116.371, 39.976],
+  '健德门': [116.382, 39.977],
+  '安贞门': [116.405, 39.977],
+  '芍药居': [116.432, 39.978],
+  '太阳宫': [116.446, 39.973],
+  '三元桥': [116.456, 39.961],
+  '亮马桥': [116.462, 39.950],
+  '农业展览馆': [116.464, 39.942],
+  '团结湖': [116.462, 39.933],
+  '金台夕照': [116.461, 39.916],
+  '劲松': [116.461, 39.884],
+  '潘家园': [116.461, 39.875],
+  '十里河': [116.459, 39.866],
+  '分钟寺': [116.456, 39.852],
+  '成寿寺': [116.448, 39.846],
+  '石榴庄': [116.416, 39.846],
+  '大红门': [116.400, 39.846],
+  '角门东': [116.385, 39.845],
+  '草桥': [116.350, 39.845],
+  '纪家庙': [116.330, 39.846],
+  '首经贸': [116.321, 39.845],
+  '丰台站': [116.301, 39.850],
+  '泥洼': [116.302, 39.859],
+  '西局': [116.301, 39.869],
+  '莲花桥': [116.310, 39.897],
+  '西钓鱼台': [116.300, 39.924],
+  '车道沟': [116.293, 39.947],
+  '长春桥': [116.294, 39.958],
+  '火器营': [116.294, 39.967],
+
+  // 13号线
+  '大钟寺': [116.343, 39.966],
+  '五道口': [116.338, 39.993],
+  '上地': [116.319, 40.033],
+  '西二旗': [116.306, 40.053],
+  '龙泽': [116.319, 40.071],
+  '回龙观': [116.336, 40.071],
+  '北苑': [116.434, 40.043],
+  '望京西': [116.448, 39.996],
+  '光熙门': [116.432, 39.968],
+  '柳芳': [116.433, 39.958],
+
+  // 14号线
+  '张郭庄': [116.189, 39.842],
+  '园博园': [116.199, 39.856],
+  '大瓦窑': [116.221, 39.862],
+  '郭庄子': [116.231, 39.862],
+  '大井': [116.262, 39.864],
+  '东管头': [116.316, 39.866],
+  '丽泽商务区': [116.328, 39.862],
+  '菜户营': [116.343, 39.859],
+  '西铁营': [116.356, 39.856],
+  '景风门': [116.368, 39.860],
+  '陶然桥': [116.389, 39.866],
+  '景泰': [116.410, 39.866],
+  '方庄': [116.436, 39.866],
+  '北工大西门': [116.475, 39.875],
+  '平乐园': [116.476, 39.883],
+  '红庙': [116.487, 39.916],
+  '朝阳公园': [116.479, 39.941],
+  '枣营': [116.480, 39.950],
+  '东风北桥': [116.482, 39.960],
+  '将台': [116.485, 39.970],
+  '望京南': [116.486, 39.983],
+  '阜通': [116.474, 39.990],
+  '望京': [116.476, 39.998],
+  '东湖渠': [116.462, 40.011],
+  '来广营': [116.463, 40.020],
+  '善各庄': [116.474, 40.028],
+
+  // 15号线
+  '清华东路西口': [116.346, 40.009],
+  '六道口': [116.350, 40.001],
+  '北沙滩': [116.372, 40.000],
+  '安立路': [116.406, 40.000],
+  '关庄': [116.432, 40.000],
+  '望京东': [116.487, 40.002],
+  '崔各庄': [116.504, 40.000],
+  '马泉营': [116.512, 40.031],
+  '孙河': [116.546, 40.040],
+  '国展': [116.555, 40.063],
+  '花梨坎': [116.572, 40.082],
+  '后沙峪': [116.566, 40.110],
+  '南法信': [116.610, 40.128],
+  '石门': [116.640, 40.131],
+  '顺义': [116.655, 40.129],
+  '俸伯': [116.686, 40.128],
+
+  // 16号线
+  '北安河': [116.123, 40.073],
+  '温阳路': [116.134, 40.060],
+  '稻香湖路': [116.171, 40.067],
+  '屯佃': [116.194, 40.064],
+  '永丰': [116.231, 40.072],
+  '永丰南': [116.244, 40.058],
+  '西北旺': [116.260, 40.048],
+  '马连洼': [116.275, 40.034],
+  '农大南路': [116.291, 40.021],
+  '万泉河桥': [116.301, 39.983],
+  '苏州桥': [116.307, 39.962],
+  '万寿寺': [116.309, 39.952],
+  '甘家口': [116.339, 39.921],
+  '玉渊潭东门': [116.338, 39.912],
+  '红莲南路': [116.336, 39.876],
+  '东管头南': [116.318, 39.859],
+  '富丰桥': [116.278, 39.833],
+  '看丹': [116.273, 39.823],
+  '榆树庄': [116.263, 39.811],
+  '洪泰庄': [116.232, 39.832],
+  '宛平城': [116.222, 39.850],
+
+  // 19号线
+  '新发地': [116.357, 39.826],
+  '牛街': [116.362, 39.882],
+  '太平桥': [116.358, 39.899],
+  '北太平庄': [116.372, 39.963],
+
+  // 昌平线
+  '昌平西山口': [116.198, 40.246],
+  '十三陵景区': [116.218, 40.245],
+  '昌平': [116.229, 40.221],
+  '昌平东关': [116.258, 40.223],
+  '北邵洼': [116.270, 40.221],
+  '南邵': [116.288, 40.207],
+  '沙河高教园': [116.281, 40.166],
+  '沙河': [116.283, 40.148],
+  '巩华城': [116.294, 40.131],
+  '生命科学园': [116.296, 40.094],
+  '清河站': [116.322, 40.041],
+  '上清桥': [116.347, 40.031],
+  '学院桥': [116.349, 39.990],
+
+  // 房山线
+  '阎村东': [116.112, 39.728],
+  '苏庄': [116.136, 39.716],
+  '良乡南关': [116.147, 39.720],
+  '良乡大学城西': [116.153, 39.733],
+  '良乡大学城': [116.173, 39.738],
+  '良乡大学城北': [116.184, 39.752],
+  '广阳城': [116.202, 39.767],
+  '篱笆房': [116.213, 39.783],
+  '长阳': [116.213, 39.799],
+  '稻田': [116.220, 39.806],
+  '大葆台': [116.256, 39.808],
+  '白盆窑': [116.307, 39.832],
+
+  // 亦庄线
+  '肖村': [116.446, 39.834],
+  '小红门': [116.462, 39.829],
+  '旧宫': [116.470, 39.808],
+  '亦庄桥': [116.485, 39.800],
+  '亦庄文化园': [116.499, 39.796],
+  '万源街': [116.507, 39.789],
+  '荣京东街': [116.517, 39.783],
+  '荣昌东街': [116.532, 39.776],
+  '同济南路': [116.551, 39.771],
+  '经海路': [116.573, 39.783],
+  '次渠南': [116.587, 39.793],
+  '次渠': [116.600, 39.803],
+  '亦庄火车站': [116.610, 39.812],
+
+  // 机场线
+  '大兴新城': [116.339, 39.732],
+  '大兴机场': [116.410, 39.509],
+  '3号航站楼': [116.614, 40.053],
+  '2号航站楼': [116.592, 40.080],
+
+  // 西郊线
+  '颐和园西门': [116.265, 39.993],
+  '茶棚': [116.246, 39.996],
+  '万安': [116.233, 40.000],
+  '植物园': [116.212, 40.004],
+  '香山': [116.195, 39.998]
+};
+
+/**
+ * 线路定义
+ * - speed: 含停站在内的平均旅行速度(km/h)
+ * - headway: 平峰发车间隔(分钟)
+ * - loop: 是否为环线
+ * - fareType: 'network' 计入路网里程计费, 'special' 单独计价
+ */
+export const LINES = [
+  {
+    name: '1号线',
+    speed: 36,
+    headway: 4,
+    fareType: 'network',
+    stations: [
+      '古城', '八角游乐园', '八宝山', '玉泉路', '五棵松', '万寿路', '公主坟',
+      '军事博物馆', '木樨地', '南礼士路', '复兴门', '西单', '天安门西', '天安门东',
+      '王府井', '东单', '建国门', '永安里', '国贸', '大望路', '四惠', '四惠东',
+      '高碑店', '传媒大学', '双桥', '管庄', '八里桥', '通州北苑', '果园', '九棵树',
+      '梨园', '临河里', '土桥', '花庄', '环球度假区'
+    ]
+  },
+  {
+    name: '2号线',
+    speed: 32,
+    headway: 3,
+    loop: true,
+    fareType: 'network',
+    stations: [
+      '西直门', '积水潭', '鼓楼大街', '安定门', '雍和宫', '东直门', '东四十条',
+      '朝阳门', '建国门', '北京站', '崇文门', '前门', '和平门', '宣武门', '长椿街',
+      '复兴门', '阜成门', '车公庄'
+    ]
+  },
+  {
+    name: '4号线',
+    speed: 38,
+    headway: 3,
+    fareType: 'network',
+    stations: [
+      '安河桥北', '北宫门', '西苑', '圆明园', '北京大学东门', '中关村', '海淀黄庄',
+      '人民大学', '魏公村', '国家图书馆', '动物园', '西直门', '新街口', '平安里',
+      '西四', '灵境胡同', '西单', '宣武门', '菜市口', '陶然亭', '北京南站', '马家堡',
+      '角门西', '公益西桥', '新宫', '西红门', '高米店北', '高米店南', '枣园',
+      '清源路', '黄村西大街', '黄村火车站', '义和庄', '生物医药基地', '天宫院'
+    ]
+  },
+  {
+    name: '5号线',
+    speed: 36,
+    headway: 3,
+    fareType: 'network',
+    stations: [
+      '天通苑北', '天通苑', '天通苑南', '立水桥', '立水桥南', '北苑路北', '大屯路东',
+      '惠新西街北口', '惠新西街南口', '和平西桥', '和平里北街', '雍和宫', '北新桥',
+      '张自忠路', '东四', '灯市口', '东单', '崇文门', '磁器口', '天坛东门', '蒲黄榆',
+      '刘家窑', '宋家庄'
+    ]
+  },
+  {
+    name: '6号线',
+    speed: 40,
+    headway: 4,
+    fareType: 'network',
+    stations: [
+      '金安桥', '苹果园', '杨庄', '西黄村', '廖公庄', '田村', '海淀五路居', '慈寿寺',
+      '花园桥', '白石桥南', '二里沟', '车公庄西', '车公庄', '平安里', '北海北',
+      '南锣鼓巷', '东四', '朝阳门', '东大桥', '呼家楼', '金台路', '十里堡', '青年路',
+      '褡裢坡', '黄渠', '常营', '草房', '物资学院路', '通州北关', '北运河西',
+      '北运河东', '郝家府', '东夏园', '潞城'
+    ]
+  },
+  {
+    name: '7号线',
+    speed: 36,
+    headway: 5,
+    fareType: 'network',
+    stations: [
+      '北京西站', '湾子', '达官营', '广安门内', '菜市口', '虎坊桥', '珠市口', '桥湾',
+      '磁器口', '广渠门内', '广渠门外', '双井', '九龙山', '大郊亭', '百子湾', '化工',
+      '南楼梓庄', '欢乐谷景区', '垡头', '双合', '焦化厂', '黄厂', '郎辛庄', '黑庄户',
+      '万盛西', '万盛东', '群芳', '高楼金', '花庄', '环球度假区'
+    ]
+  },
+  {
+    name: '8号线',
+    speed: 36,
+    headway: 4,
+    fareType: 'network',
+    stations: [
+      '朱辛庄', '育知路', '平西府', '回龙观东大街', '霍营', '育新', '西小口', '永泰庄',
+      '林萃桥', '森林公园南门', '奥林匹克公园', '奥体中心', '北土城', '安华桥',
+      '安德里北街', '鼓楼大街', '什刹海', '南锣鼓巷', '中国美术馆', '金鱼胡同',
+      '王府井', '前门', '珠市口', '天桥', '永定门外', '木樨园', '海户屯', '大红门南',
+      '和义', '东高地', '火箭万源', '五福堂', '德茂', '瀛海'
+    ]
+  },
+  {
+    name: '9号线',
+    speed: 34,
+    headway: 4,
+    fareType: 'network',
+    stations: [
+      '国家图书馆', '白石桥南', '白堆子', '军事博物馆', '北京西站', '六里桥东',
+      '六里桥', '七里庄', '丰台东大街', '丰台南路', '科怡路', '丰台科技园', '郭公庄'
+    ]
+  },
+  {
+    name: '10号线',
+    speed: 34,
+    headway: 3,
+    loop: true,
+    fareType: 'network',
+    stations: [
+      '巴沟', '苏州街', '海淀黄庄', '知春里', '知春路', '西土城', '牡丹园', '健德门',
+      '北土城', '安贞门', '惠新西街南口', '芍药居', '太阳宫', '三元桥', '亮马桥',
+      '农业展览馆', '团结湖', '呼家楼', '金台夕照', '国贸', '双井', '劲松', '潘家园',
+      '十里河', '分钟寺', '成寿寺', '宋家庄', '石榴庄', '大红门', '角门东', '角门西',
+      '草桥', '纪家庙', '首经贸', '丰台站', '泥洼', '西局', '六里桥', '莲花桥',
+      '公主坟', '西钓鱼台', '慈寿寺', '车道沟', '长春桥', '火器营'
+    ]
+  },
+  {
+    name: '13号线',
+    speed: 42,
+    headway: 4,
+    fareType: 'network',
+    stations: [
+      '西直门', '大钟寺', '知春路', '五道口', '上地', '西二旗', '龙泽', '回龙观',
+      '霍营', '立水桥', '北苑', '望京西', '芍药居', '光熙门', '柳芳', '东直门'
+    ]
+  },
+  {
+    name: '14号线',
+    speed: 38,
+    headway: 5,
+    fareType: 'network',
+    stations: [
+      '张郭庄', '园博园', '大瓦窑', '郭庄子', '大井', '七里庄', '西局', '东管头',
+      '丽泽商务区', '菜户营', '西铁营', '景风门', '北京南站', '陶然桥', '永定门外',
+      '景泰', '蒲黄榆', '方庄', '十里河', '北工大西门', '平乐园', '九龙山', '大望路',
+      '红庙', '金台路', '朝阳公园', '枣营', '东风北桥', '将台', '望京南', '阜通',
+      '望京', '东湖渠', '来广营', '善各庄'
+    ]
+  },
+  {
+    name: '15号线',
+    speed: 45,
+    headway: 5,
+    fareType: 'network',
+    stations: [
+      '清华东路西口', '六道口', '北沙滩', '奥林匹克公园', '安立路', '大屯路东', '关庄',
+      '望京西', '望京', '望京东', '崔各庄', '马泉营', '孙河', '国展', '花梨坎',
+      '后沙峪', '南法信', '石门', '顺义', '俸伯'
+    ]
+  },
+  {
+    name: '16号线',
+    speed: 42,
+    headway: 5,
+    fareType: 'network',
+    stations: [
+      '北安河', '温阳路', '稻香湖路', '屯佃', '永丰', '永丰南', '西北旺', '马连洼',
+      '农大南路', '西苑', '万泉河桥', '苏州街', '苏州桥', '万寿寺', '国家图书馆',
+      '二里沟', '甘家口', '玉渊潭东门', '木樨地', '达官营', '红莲南路', '丽泽商务区',
+      '东管头南', '丰台站', '丰台南路', '富丰桥', '看丹', '榆树庄', '洪泰庄', '宛平城'
+    ]
+  },
+  {
+    name: '19号线',
+    speed: 55,
+    headway: 6,
+    fareType: 'network',
+    stations: [
+      '新宫', '新发地', '草桥', '景风门', '牛街', '太平桥', '平安里', '积水潭',
+      '北太平庄', '牡丹园'
+    ]
+  },
+  {
+    name: '昌平线',
+    speed: 48,
+    headway: 5,
+    fareType: 'network',
+    stations: [
+      '昌平西山口', '十三陵景区', '昌平', '昌平东关', '北邵洼', '南邵', '沙河高教园',
+      '沙河', '巩华城', '朱辛庄', '生命科学园', '西二旗', '清河站', '上清桥',
+      '清华东路西口', '六道口', '学院桥', '西土城'
+    ]
+  },
+  {
+    name: '房山线',
+    speed: 50,
+    headway: 6,
+    fareType: 'network',
+    stations: [
+      '阎村东', '苏庄', '良乡南关', '良乡大学城西', '良乡大学城', '良乡大学城北',
+      '广阳城', '篱笆房', '长阳', '稻田', '大葆台', '郭公庄', '白盆窑', '首经贸',
+      '东管头南'
+    ]
+  },
+  {
+    name: '亦庄线',
+    speed: 42,
+    headway: 5,
+    fareType: 'network',
+    stations: [
+      '宋家庄', '肖村', '小红门', '旧宫', '亦庄桥', '亦庄文化园', '万源街', '荣京东街',
+      '荣昌东街', '同济南路', '经海路', '次渠南', '次渠', '亦庄火车站'
+    ]
+  },
+  {
+    name: '大兴机场线',
+    speed: 110,
+    headway: 10,
+    fareType: 'special',
+    stations: ['草桥', '大兴新城', '大兴机场']
+  },
+  {
+    name: '首都机场线',
+    speed: 60,
+    headway: 10,
+    fareType: 'special',
+    stations: ['北新桥', '东直门', '三元桥', '3号航站楼', '2号航站楼']
+  },
+  {
+    name: '西郊线',
+    speed: 22,
+    headway: 8,
+    fareType: 'special',
+    stations: ['巴沟', '颐和园西门', '茶棚', '万安', '植物园', '香山']
+  }
+];
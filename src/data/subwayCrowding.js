@@ -0,0 +1,138 @@
+/**
+ * 北京地铁拥挤度数据
+ * 满载率 = 车内乘客数 / 额定载客量(站立按6人/㎡计),1.0 即满载;
+ * 数值参考公开的客流和线路满载率报告近似取值,用于舒适度评分而非精确预测
+ */
+
+/**
+ * 各线路高峰小时满载率
+ * - peak: 早高峰主方向高峰小时的满载率
+ * - amDirection: 早高峰主方向(以终点站命名,与 subwayTimetable 的方向一致);晚高峰主方向为其反方向
+ *   环线不区分方向,按 HOURLY_LOAD.loop 取值
+ * - sections: 最拥挤区段的系数 [{from, to, factor}],两个方向通用,乘车经过该区段时取最大系数
+ */
+export const LINE_LOADS = {
+  '1号线': {
+    peak: 1.0,
+    amDirection: '古城',
+    sections: [{ from: '四惠东', to: '国贸', factor: 1.2 }]
+  },
+  '2号线': { peak: 0.8 },
+  '4号线': {
+    peak: 1.1,
+    amDirection: '安河桥北',
+    sections: [{ from: '新宫', to: '宣武门', factor: 1.15 }]
+  },
+  '5号线': {
+    peak: 1.2,
+    amDirection: '宋家庄',
+    sections: [{ from: '天通苑北', to: '惠新西街南口', factor: 1.2 }]
+  },
+  '6号线': {
+    peak: 1.1,
+    amDirection: '金安桥',
+    sections: [{ from: '草房', to: '呼家楼', factor: 1.2 }]
+  },
+  '7号线': { peak: 0.9, amDirection: '北京西站' },
+  '8号线': {
+    peak: 1.0,
+    amDirection: '瀛海',
+    sections: [{ from: '回龙观东大街', to: '森林公园南门', factor: 1.1 }]
+  },
+  '9号线': { peak: 0.8, amDirection: '国家图书馆' },
+  '10号线': { peak: 1.1 },
+  '13号线': {
+    peak: 1.1,
+    amDirection: '西直门',
+    sections: [{ from: '霍营', to: '西二旗', factor: 1.25 }]
+  },
+  '14号线': { peak: 0.9, amDirection: '善各庄' },
+  '15号线': { peak: 0.8, amDirection: '清华东路西口' },
+  '16号线': { peak: 0.8, amDirection: '宛平城' },
+  '19号线': { peak: 0.7, amDirection: '牡丹园' },
+  '昌平线': {
+    peak: 1.1,
+    amDirection: '西土城',
+    sections: [{ from: '沙河', to: '西二旗', factor: 1.25 }]
+  },
+  '房山线': { peak: 0.9, amDirection: '东管头南' },
+  '亦庄线': { peak: 1.0, amDirection: '宋家庄' },
+  '大兴机场线': { peak: 0.3, amDirection: '草桥' },
+  '首都机场线': { peak: 0.4, amDirection: '北新桥' },
+  '西郊线': { peak: 0.5, amDirection: '巴沟' }
+};
+
+/**
+ * 分时系数(早高峰主方向高峰小时为1),整点之间线性插值
+ * - withPeak / againstPeak: 工作日沿早高峰主方向 / 反方向
+ * - loop: 工作日环线
+ * - weekend: 周末及节假日(不区分方向)
+ */
+export const HOURLY_LOAD = {
+  withPeak: [
+    0.05, 0.00, 0.00, 0.00, 0.00, 0.15, // 00~05
+    0.55, 0.90, 1.00, 0.70, 0.40, 0.35, // 06~11
+    0.35, 0.35, 0.35, 0.35, 0.40, 0.50, // 12~17
+    0.55, 0.45, 0.35, 0.25, 0.15, 0.10 // 18~23
+  ],
+  againstPeak: [
+    0.05, 0.00, 0.00, 0.00, 0.00, 0.10, // 00~05
+    0.25, 0.40, 0.45, 0.40, 0.35, 0.35, // 06~11
+    0.35, 0.35, 0.35, 0.40, 0.55, 0.85, // 12~17
+    0.90, 0.65, 0.45, 0.30, 0.20, 0.10 // 18~23
+  ],
+  loop: [
+    0.05, 0.00, 0.00, 0.00, 0.00, 0.10, // 00~05
+    0.40, 0.75, 0.85, 0.60, 0.40, 0.35, // 06~11
+    0.35, 0.35, 0.35, 0.40, 0.50, 0.75, // 12~17
+    0.80, 0.55, 0.40, 0.30, 0.20, 0.10 // 18~23
+  ],
+  weekend: [
+    0.05, 0.00, 0.00, 0.00, 0.00, 0.05, // 00~05
+    0.15, 0.25, 0.35, 0.45, 0.50, 0.55, // 06~11
+    0.55, 0.55, 0.60, 0.60, 0.60, 0.60, // 12~17
+    0.55, 0.50, 0.40, 0.30, 0.20, 0.10 // 18~23
+  ]
+};
+
+/**
+ * 上车时有座概率(按上车时满载率分档),[满载率上限, 概率]
+ * 在始发站上车时概率不低于 TERMINAL_SEAT_CHANCE
+ */
+export const SEAT_CHANCE = [
+  [0.3, 0.95],
+  [0.5, 0.7],
+  [0.7, 0.4],
+  [0.9, 0.15],
+  [1.1, 0.05],
+  [Infinity, 0.01]
+];
+
+export const TERMINAL_SEAT_CHANCE = 0.8;
+
+/**
+ * 换乘站站内步行时间(分钟),未列出的按 default 计;同台换乘计1分钟
+ */
+export const TRANSFER_WALK_MINUTES = {
+  default: 4,
+  '西直门': 8,
+  '东直门': 7,
+  '知春路': 7,
+  '平安里': 6,
+  '国贸': 6,
+  '北京西站': 6,
+  '北京南站': 6,
+  '丰台站': 7,
+  '西二旗': 5,
+  '海淀黄庄': 5,
+  '复兴门': 5,
+  '宣武门': 5,
+  '西土城': 5,
+  '芍药居': 5,
+  '宋家庄': 3,
+  '惠新西街南口': 3,
+  '角门西': 3,
+  '国家图书馆': 1, // 4号线/9号线同台
+  '朱辛庄': 1, // 8号线/昌平线同台
+  '郭公庄': 1 // 9号线/房山线同台
+};
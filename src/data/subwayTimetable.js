@@ -0,0 +1,120 @@
+/**
+ * 北京地铁首末班车时刻
+ * 非环线: 按运行方向(以终点站命名)给出始发站的首/末班发车时刻,途经站按运行时间推算
+ * 环线: 外环(站序递增方向)/内环(站序递减方向),时刻近似适用于全线各站
+ * 00:00 之后的时刻写作 "24:10" 形式
+ * weekend 缺省时沿用 weekday
+ */
+
+export const TIMETABLES = {
+  '1号线': {
+    '环球度假区': {
+      weekday: { first: '05:05', last: '22:50' },
+      weekend: { first: '05:05', last: '23:20' }
+    },
+    '古城': {
+      weekday: { first: '05:00', last: '22:45' },
+      weekend: { first: '05:00', last: '23:15' }
+    }
+  },
+  '2号线': {
+    '外环': {
+      weekday: { first: '05:03', last: '22:50' },
+      weekend: { first: '05:03', last: '23:20' }
+    },
+    '内环': {
+      weekday: { first: '05:09', last: '22:45' },
+      weekend: { first: '05:09', last: '23:15' }
+    }
+  },
+  '4号线': {
+    '天宫院': { weekday: { first: '05:00', last: '22:50' } },
+    '安河桥北': { weekday: { first: '05:05', last: '22:30' } }
+  },
+  '5号线': {
+    '宋家庄': { weekday: { first: '04:59', last: '22:48' } },
+    '天通苑北': { weekday: { first: '05:19', last: '23:10' } }
+  },
+  '6号线': {
+    '潞城': { weekday: { first: '05:05', last: '22:55' } },
+    '金安桥': { weekday: { first: '05:00', last: '22:25' } }
+  },
+  '7号线': {
+    '环球度假区': { weekday: { first: '05:30', last: '23:00' } },
+    '北京西站': { weekday: { first: '05:20', last: '22:35' } }
+  },
+  '8号线': {
+    '瀛海': { weekday: { first: '05:10', last: '22:40' } },
+    '朱辛庄': { weekday: { first: '05:30', last: '22:50' } }
+  },
+  '9号线': {
+    '郭公庄': { weekday: { first: '05:30', last: '23:10' } },
+    '国家图书馆': { weekday: { first: '05:30', last: '23:00' } }
+  },
+  '10号线': {
+    '外环': {
+      weekday: { first: '04:57', last: '22:50' },
+      weekend: { first: '04:57', last: '23:20' }
+    },
+    '内环': {
+      weekday: { first: '05:06', last: '22:45' },
+      weekend: { first: '05:06', last: '23:15' }
+    }
+  },
+  '13号线': {
+    '东直门': { weekday: { first: '05:35', last: '22:42' } },
+    '西直门': { weekday: { first: '05:35', last: '22:45' } }
+  },
+  '14号线': {
+    '善各庄': { weekday: { first: '05:35', last: '23:00' } },
+    '张郭庄': { weekday: { first: '05:10', last: '22:40' } }
+  },
+  '15号线': {
+    '俸伯': {
+      weekday: { first: '05:40', last: '22:50' },
+      weekend: { first: '06:00', last: '22:50' }
+    },
+    '清华东路西口': {
+      weekday: { first: '05:05', last: '22:20' },
+      weekend: { first: '05:30', last: '22:20' }
+    }
+  },
+  '16号线': {
+    '宛平城': { weekday: { first: '05:10', last: '22:45' } },
+    '北安河': { weekday: { first: '05:20', last: '23:00' } }
+  },
+  '19号线': {
+    '牡丹园': { weekday: { first: '05:55', last: '22:50' } },
+    '新宫': { weekday: { first: '05:50', last: '23:10' } }
+  },
+  '昌平线': {
+    '西土城': { weekday: { first: '05:05', last: '22:30' } },
+    '昌平西山口': { weekday: { first: '05:40', last: '23:10' } }
+  },
+  '房山线': {
+    '东管头南': { weekday: { first: '05:15', last: '22:30' } },
+    '阎村东': { weekday: { first: '05:45', last: '23:05' } }
+  },
+  '亦庄线': {
+    '亦庄火车站': { weekday: { first: '05:20', last: '23:10' } },
+    '宋家庄': { weekday: { first: '05:00', last: '22:40' } }
+  },
+  '大兴机场线': {
+    '大兴机场': {
+      weekday: { first: '06:00', last: '22:30' },
+      weekend: { first: '06:00', last: '23:30' }
+    },
+    '草桥': {
+      weekday: { first: '06:00', last: '23:00' },
+      weekend: { first: '06:00', last: '24:00' }
+    }
+  },
+  '首都机场线': {
+    '2号航站楼': { weekday: { first: '06:00', last: '22:30' } },
+    '北新桥': { weekday: { first: '06:20', last: '23:10' } }
+  },
+  '西郊线': {
+    '香山': { weekday: { first: '05:30', last: '22:30' } },
+    '巴沟': { weekday: { first: '05:30', last: '22:00' } }
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * 北京道路拥堵曲线
+ * 各整点的行程时间指数(实际用时 / 畅通用时),参考北京交通发展研究院发布的交通指数日变化规律近似取值
+ * 整点之间线性插值;weekday 为工作日,weekend 为周末及节假日
+ */
+
+export const HOURLY_CONGESTION = {
+  weekday: [
+    1.00, 1.00, 1.00, 1.00, 1.00, 1.05, // 00~05
+    1.20, 1.55, 1.85, 1.60, 1.35, 1.30, // 06~11
+    1.25, 1.25, 1.30, 1.35, 1.50, 1.85, // 12~17
+    1.90, 1.60, 1.35, 1.20, 1.10, 1.05 // 18~23
+  ],
+  weekend: [
+    1.00, 1.00, 1.00, 1.00, 1.00, 1.00, // 00~05
+    1.05, 1.10, 1.20, 1.35, 1.45, 1.45, // 06~11
+    1.40, 1.40, 1.45, 1.50, 1.55, 1.55, // 12~17
+    1.50, 1.40, 1.30, 1.20, 1.10, 1.05 // 18~23
+  ]
+};
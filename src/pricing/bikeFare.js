@@ -0,0 +1,66 @@
+/**
+ * 共享单车费用计算
+ * 按骑行时长分段计价,持骑行卡时扣除卡内免费时长
+ */
+
+import dotenv from 'dotenv';
+import { BIKE_TARIFFS } from '../config/bikeTariffs.js';
+
+dotenv.config();
+
+class BikeFareCalculator {
+  constructor(tariffs = BIKE_TARIFFS, defaultProvider = process.env.BIKE_PROVIDER || 'meituan') {
+    this.tariffs = tariffs;
+    this.defaultProvider = tariffs[defaultProvider] ? defaultProvider : 'meituan';
+  }
+
+  /**
+   * 可选平台 [{id, name, cards: [{id, name}]}]
+   */
+  getProviders() {
+    return Object.entries(this.tariffs).map(([id, tariff]) => ({
+      id,
+      name: tariff.name,
+      cards: Object.entries(tariff.cards || {}).map(([cardId, card]) => ({ id: cardId, name: card.name }))
+    }));
+  }
+
+  /**
+   * 估算骑行费用
+   * @param {Object} params
+   * @param {number} params.duration - 骑行时长(分钟,不含找车开锁)
+   * @param {string} params.provider - 平台 meituan | hellobike
+   * @param {string} params.card - 骑行卡,如 monthly;该平台无此卡时按无卡计价
+   * @returns {Object} 费用明细,total 为应付金额
+   */
+  estimate({ duration, provider, card }) {
+    const providerId = this.tariffs[provider] ? provider : this.defaultProvider;
+    const tariff = this.tariffs[providerId];
+    const pass = card ? tariff.cards?.[card] : null;
+
+    const baseFare = tariff.baseFare;
+    const extraFare = Math.ceil(Math.max(0, duration - tariff.baseMinutes) / tariff.blockMinutes) * tariff.blockFare;
+    const fullFare = baseFare + extraFare;
+
+    // 骑行卡: 免费时长内不收费,超出部分按起步后的分段单价计
+    let total = fullFare;
+    if (pass) {
+      total = Math.ceil(Math.max(0, duration - pass.freeMinutes) / tariff.blockMinutes) * tariff.blockFare;
+    }
+
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+      provider: providerId,
+      providerName: tariff.name,
+      card: pass ? card : null,
+      cardName: pass ? pass.name : null,
+      baseFare,
+      extraFare: round(extraFare),
+      cardDiscount: round(fullFare - total),
+      total: round(total)
+    };
+  }
+}
+
+export default new BikeFareCalculator();
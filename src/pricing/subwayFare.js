@@ -0,0 +1,154 @@
+/**
+ * 北京地铁票价计算
+ * 路网线路按里程分段计价,机场线/西郊线单独计价
+ * 参考: 北京市轨道交通票制票价(2014起执行)
+ */
+
+import subwayNetwork from '../algorithms/subwayNetwork.js';
+import { haversineDistance } from '../utils/geo.js';
+
+/**
+ * 路网里程阶梯: [上限(公里), 票价(元)]
+ * 32公里以上每增加20公里加1元
+ */
+const NETWORK_BANDS = [
+  [6, 3],
+  [12, 4],
+  [22, 5],
+  [32, 6]
+];
+const NETWORK_EXTRA_STEP = 20;
+
+const TRACK_FACTOR = 1.2; // 缺少里程时,按站间直线距离估算
+const AVG_STATION_SPACING = 1500; // 缺少坐标时,按平均站间距估算(米)
+
+/**
+ * 单独计价线路
+ * - flat: 单一票价
+ * - stations: 按起讫站计价(普通车厢)
+ * - distance: 独立按路网阶梯计程,不与其他线路累计
+ */
+const SPECIAL_LINES = [
+  {
+    name: '首都机场线',
+    flat: 25
+  },
+  {
+    name: '大兴机场线',
+    stations: {
+      '草桥|大兴新城': 10,
+      '草桥|大兴机场': 35,
+      '大兴新城|大兴机场': 25
+    },
+    fallback: 35
+  },
+  {
+    name: '西郊线',
+    distance: true
+  }
+];
+
+class SubwayFareCalculator {
+  /**
+   * 计算一次地铁出行的票价
+   * 连续的路网线路(含换乘)里程累计后统一计价,特殊线路逐段计价
+   * @param {Array} segments - 方案分段,只计算 mode === 'subway' 的段
+   * @returns {Object} {total, items: [{lines, distance, fare}]}
+   */
+  calculate(segments) {
+    const items = [];
+    let networkLines = [];
+    let networkDistance = 0;
+
+    const flushNetwork = () => {
+      if (networkLines.length === 0) return;
+      items.push({
+        lines: networkLines,
+        distance: networkDistance,
+        fare: this.networkFare(networkDistance)
+      });
+      networkLines = [];
+      networkDistance = 0;
+    };
+
+    for (const seg of segments) {
+      if (seg.mode !== 'subway') continue;
+
+      const distance = this._segmentDistance(seg);
+      const special = this._findSpecialLine(seg.line);
+
+      if (special) {
+        flushNetwork();
+        items.push({
+          lines: [seg.line],
+          distance,
+          fare: this._specialFare(special, seg, distance)
+        });
+      } else {
+        networkLines.push(seg.line);
+        networkDistance += distance;
+      }
+    }
+    flushNetwork();
+
+    return {
+      total: items.reduce((sum, item) => sum + item.fare, 0),
+      items
+    };
+  }
+
+  /**
+   * 路网里程票价
+   * @param {number} distance - 乘车里程(米)
+   */
+  networkFare(distance) {
+    const km = distance / 1000;
+
+    for (const [limit, fare] of NETWORK_BANDS) {
+      if (km <= limit) return fare;
+    }
+
+    const [lastLimit, lastFare] = NETWORK_BANDS[NETWORK_BANDS.length - 1];
+    return lastFare + Math.ceil((km - lastLimit) / NETWORK_EXTRA_STEP);
+  }
+
+  /**
+   * 单独计价线路,线路名先经路网解析(兼容高德线路名及别名,如"机场线(东直门--3号航站楼)")
+   */
+  _findSpecialLine(lineName) {
+    const line = subwayNetwork.resolveLine(lineName);
+    return (line && SPECIAL_LINES.find(special => special.name === line.name)) || null;
+  }
+
+  _specialFare(special, seg, distance) {
+    if (special.flat) return special.flat;
+    if (special.distance) return this.networkFare(distance);
+
+    const from = this._stationId(seg.from);
+    const to = this._stationId(seg.to);
+    return special.stations[`${from}|${to}`] ??
+      special.stations[`${to}|${from}`] ??
+      special.fallback;
+  }
+
+  /**
+   * 分段乘车里程: 优先使用分段自带里程,其次按站点坐标估算,最后按站数估算
+   */
+  _segmentDistance(seg) {
+    if (seg.distance > 0) return Number(seg.distance);
+
+    const from = subwayNetwork.getStation(seg.from);
+    const to = subwayNetwork.getStation(seg.to);
+    if (from && to) {
+      return Math.round(haversineDistance(from, to) * TRACK_FACTOR);
+    }
+
+    return Math.max(1, (seg.stations || 2) - 1) * AVG_STATION_SPACING;
+  }
+
+  _stationId(name = '') {
+    return name.replace(/站$/, '');
+  }
+}
+
+export default new SubwayFareCalculator();
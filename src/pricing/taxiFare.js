@@ -0,0 +1,106 @@
+/**
+ * 打车费用计算
+ * 统一的出租车/网约车计价,按出发时刻和场景计价调整计算各项费用
+ */
+
+import dotenv from 'dotenv';
+import { TAXI_TARIFFS, PEAK_HOURS } from '../config/taxiTariffs.js';
+import { beijingClock } from '../utils/beijingTime.js';
+
+dotenv.config();
+
+const FREE_FLOW_SPEED = 40; // 畅通车速(km/h),超出畅通用时的部分按低速行驶计
+
+class TaxiFareCalculator {
+  constructor(tariffs = TAXI_TARIFFS, defaultProvider = process.env.TAXI_PROVIDER || 'express') {
+    this.tariffs = tariffs;
+    this.defaultProvider = tariffs[defaultProvider] ? defaultProvider : 'express';
+  }
+
+  /**
+   * 可选计价方式 [{id, name}]
+   */
+  getProviders() {
+    return Object.entries(this.tariffs).map(([id, tariff]) => ({ id, name: tariff.name }));
+  }
+
+  /**
+   * 估算打车费用
+   * @param {Object} params
+   * @param {number} params.distance - 行驶距离(米)
+   * @param {number} params.duration - 行驶时长(分钟)
+   * @param {Date} params.time - 上车时刻
+   * @param {Object} params.pricing - 场景计价调整 {peak: 启用高峰加价, surge: 动态加价倍数},仅对网约车生效
+   * @param {string} params.provider - 计价方式 taxi | express | premier
+   * @param {number} params.tolls - 过路费
+   * @returns {Object} 费用明细,total 为应付总额
+   */
+  estimate({ distance, duration, time = new Date(), pricing = {}, provider, tolls = 0 }) {
+    const providerId = this.tariffs[provider] ? provider : this.defaultProvider;
+    const tariff = this.tariffs[providerId];
+    const km = distance / 1000;
+    const { hour } = beijingClock(time);
+    const isNight = this._isNight(hour, tariff.night);
+    const isPeak = PEAK_HOURS.some(([start, end]) => hour >= start && hour <= end);
+
+    const baseFare = tariff.baseFare;
+    const distanceFare = Math.max(0, km - tariff.baseDistance) * tariff.perKm;
+    const longDistanceFare = tariff.longDistance
+      ? Math.max(0, km - tariff.longDistance.threshold) * tariff.longDistance.perKm
+      : 0;
+    const timeFare = duration * tariff.perMin;
+
+    let lowSpeedFare = 0;
+    if (tariff.lowSpeed) {
+      const lowSpeedMinutes = Math.max(0, duration - km / FREE_FLOW_SPEED * 60);
+      const per5Min = isPeak ? tariff.lowSpeed.peakPer5Min : tariff.lowSpeed.offPeakPer5Min;
+      lowSpeedFare = Math.floor(lowSpeedMinutes / 5) * per5Min;
+    }
+
+    let nightSurcharge = 0;
+    if (isNight) {
+      nightSurcharge = (tariff.night.baseFare - baseFare) +
+        (distanceFare + timeFare) * (tariff.night.multiplier - 1);
+    }
+
+    const subtotal = baseFare + distanceFare + longDistanceFare + timeFare + lowSpeedFare + nightSurcharge;
+
+    let peakSurcharge = 0;
+    if (tariff.peak) {
+      const multiplier = (pricing.peak ? tariff.peak.multiplier : 1) * (pricing.surge || 1);
+      peakSurcharge = subtotal * (multiplier - 1);
+    }
+
+    const minFareAdjustment = Math.max(0, tariff.minFare - (subtotal + peakSurcharge));
+    const fuelSurcharge = tariff.fuelSurcharge || 0;
+    const tollFare = Number(tolls) || 0;
+    const total = subtotal + peakSurcharge + minFareAdjustment + fuelSurcharge + tollFare;
+
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+      provider: providerId,
+      providerName: tariff.name,
+      baseFare: round(baseFare),
+      distanceFare: round(distanceFare),
+      longDistanceFare: round(longDistanceFare),
+      timeFare: round(timeFare),
+      lowSpeedFare: round(lowSpeedFare),
+      nightSurcharge: round(nightSurcharge),
+      peakSurcharge: round(peakSurcharge),
+      minFareAdjustment: round(minFareAdjustment),
+      fuelSurcharge,
+      tolls: tollFare,
+      total: round(Math.round(total / tariff.rounding) * tariff.rounding)
+    };
+  }
+
+  _isNight(hour, night) {
+    if (!night) return false;
+    return night.start > night.end
+      ? hour >= night.start || hour < night.end
+      : hour >= night.start && hour < night.end;
+  }
+}
+
+export default new TaxiFareCalculator();
@@ -0,0 +1,132 @@
+/**
+ * 高德接口错误类型
+ * 按 infocode 分类,区分可重试的临时故障和需要人工处理的配置/额度问题
+ * 文档: https://lbs.amap.com/api/webservice/guide/tools/info
+ */
+
+export class AmapError extends Error {
+  /**
+   * @param {string} message - 错误描述
+   * @param {Object} details
+   * @param {string} details.infocode - 高德 infocode(网络错误时为空)
+   * @param {string} details.info - 高德返回的 info
+   * @param {string} details.api - 接口路径
+   */
+  constructor(message, { infocode = null, info = null, api = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.infocode = infocode;
+    this.info = info;
+    this.api = api;
+  }
+
+  /** 是否可重试 */
+  get transient() {
+    return false;
+  }
+
+  /** 是否影响后续所有调用(如 Key 无效、额度用尽) */
+  get fatal() {
+    return false;
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      infocode: this.infocode,
+      info: this.info,
+      api: this.api,
+      message: this.message
+    };
+  }
+}
+
+/** Key 无效、签名错误、权限不足等 */
+export class AmapAuthError extends AmapError {
+  get fatal() {
+    return true;
+  }
+}
+
+/** 日调用量超限 */
+export class AmapQuotaError extends AmapError {
+  get fatal() {
+    return true;
+  }
+}
+
+/** QPS 超限 */
+export class AmapRateLimitError extends AmapError {
+  get transient() {
+    return true;
+  }
+}
+
+/** 服务端繁忙、网关超时等临时故障 */
+export class AmapServiceError extends AmapError {
+  get transient() {
+    return true;
+  }
+}
+
+/** 网络异常、HTTP 超时或非 200 响应 */
+export class AmapNetworkError extends AmapError {
+  get transient() {
+    return true;
+  }
+}
+
+/** 参数错误或该起终点无法规划 */
+export class AmapRequestError extends AmapError {}
+
+const INFOCODE_TYPES = {
+  10001: AmapAuthError, // INVALID_USER_KEY
+  10002: AmapAuthError, // SERVICE_NOT_AVAILABLE
+  10003: AmapQuotaError, // DAILY_QUERY_OVER_LIMIT
+  10004: AmapRateLimitError, // ACCESS_TOO_FREQUENT
+  10005: AmapAuthError, // INVALID_USER_IP
+  10006: AmapAuthError, // INVALID_USER_DOMAIN
+  10007: AmapAuthError, // INVALID_USER_SIGNATURE
+  10008: AmapAuthError, // INVALID_USER_SCODE
+  10009: AmapAuthError, // USERKEY_PLAT_NOMATCH
+  10010: AmapQuotaError, // IP_QUERY_OVER_LIMIT
+  10011: AmapRequestError, // NOT_SUPPORT_HTTPS
+  10012: AmapAuthError, // INSUFFICIENT_PRIVILEGES
+  10013: AmapAuthError, // USER_KEY_RECYCLED
+  10014: AmapRateLimitError, // QPS_HAS_EXCEEDED_THE_LIMIT
+  10015: AmapServiceError, // GATEWAY_TIMEOUT
+  10016: AmapServiceError, // SERVER_IS_BUSY
+  10017: AmapServiceError, // RESOURCE_UNAVAILABLE
+  10019: AmapRateLimitError, // CQPS_HAS_EXCEEDED_THE_LIMIT
+  10020: AmapRateLimitError, // CKQPS_HAS_EXCEEDED_THE_LIMIT
+  10021: AmapRateLimitError, // CUQPS_HAS_EXCEEDED_THE_LIMIT
+  10026: AmapRequestError, // INVALID_REQUEST
+  10029: AmapQuotaError, // ABROAD_DAILY_QUERY_OVER_LIMIT
+  10044: AmapQuotaError, // USER_DAILY_QUERY_OVER_LIMIT
+  10045: AmapQuotaError, // USER_ABROAD_DAILY_QUERY_OVER_LIMIT
+  20000: AmapRequestError, // INVALID_PARAMS
+  20001: AmapRequestError, // MISSING_REQUIRED_PARAMS
+  20002: AmapRequestError, // ILLEGAL_REQUEST
+  20003: AmapServiceError // UNKNOWN_ERROR
+};
+
+/**
+ * 由高德响应构造错误
+ * 未列出的 infocode: 3xxxx 为服务响应失败(可重试),其余(如 208xx 规划失败)按请求错误处理
+ */
+export function fromAmapResponse(data, api) {
+  const infocode = String(data.infocode || '');
+  const Type = INFOCODE_TYPES[infocode] ||
+    (infocode.startsWith('3') ? AmapServiceError : AmapRequestError);
+
+  return new Type(`高德接口错误 ${infocode}: ${data.info}`, { infocode, info: data.info, api });
+}
+
+/**
+ * 由 axios 异常构造错误
+ */
+export function fromNetworkError(error, api) {
+  const status = error.response?.status;
+  const message = status ? `高德接口 HTTP ${status}` : `高德接口网络异常: ${error.message}`;
+  return new AmapNetworkError(message, { info: error.code || null, api });
+}
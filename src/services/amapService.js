@@ -5,127 +5,622 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import NodeCache from 'node-cache';
+import subwayRouter from '../algorithms/subwayRouter.js';
+import subwayNetwork from '../algorithms/subwayNetwork.js';
+import subwayFare from '../pricing/subwayFare.js';
+import trafficProfile from '../algorithms/trafficProfile.js';
+import { TokenBucket } from '../utils/rateLimiter.js';
+import { haversineDistance } from '../utils/geo.js';
+import { BudgetExceededError } from '../utils/requestBudget.js';
+import { AmapError, AmapRequestError, fromAmapResponse, fromNetworkError } from './amapErrors.js';
+import { RoutingProvider } from './routingProvider.js';
 
 dotenv.config();
 
 const AMAP_KEY = process.env.AMAP_KEY;
-const BASE_URL = 'https://restapi.amap.com/v3';
+const BASE_URL = 'https://restapi.amap.com';
 
-class AmapService {
-  constructor() {
-    this.apiKey = AMAP_KEY;
+// 缓存配置: 公交方案较稳定,实时路况驾车结果很快过期
+const DRIVING_CACHE_TTL = Number(process.env.CACHE_TTL) || 300; // 秒
+const TRANSIT_CACHE_TTL = Number(process.env.TRANSIT_CACHE_TTL) || 3600; // 秒
+const PLACE_CACHE_TTL = Number(process.env.PLACE_CACHE_TTL) || 86400; // 秒,地点信息基本不变
+const COORD_PRECISION = 4; // 缓存键坐标保留小数位(约11米)
+
+// 离线骑行模型: 无 Key 或接口异常时按直线距离估算
+const BIKE_SPEED = 15; // 骑行速度(km/h)
+const BIKE_DETOUR_FACTOR = 1.3; // 骑行路程 / 直线距离
+
+// 离线驾车模型: 畅通车速 × 拥堵曲线,距离越远走快速路/高速的比例越高
+const DRIVING_BASE_SPEED = 30; // 短途畅通车速(km/h)
+const DRIVING_SPEED_PER_KM = 0.5; // 每公里里程提高的平均车速(km/h)
+const DRIVING_MAX_SPEED = 70; // 平均车速上限(km/h)
+const DRIVING_DETOUR_FACTOR = 1.3; // 道路里程 / 直线距离
+
+// 出发时刻与当前相差超过此值时,实时路况用时按拥堵曲线换算到出发时刻
+const LIVE_TRAFFIC_WINDOW = 30; // 分钟
+
+// 限流配置: 进程内所有请求共享同一个令牌桶
+const AMAP_QPS = Number(process.env.AMAP_QPS) || 10;
+const REQUEST_TIMEOUT = 5000; // 单次调用超时(毫秒)
+
+// 重试配置: 仅对限流、服务繁忙、网络异常等临时故障重试
+const AMAP_MAX_RETRIES = Number(process.env.AMAP_MAX_RETRIES ?? 2);
+const RETRY_BASE_DELAY = 200; // 毫秒,按 2^n 退避
+const FATAL_SUSPEND_MS = 60000; // Key 无效/额度用尽后暂停实时调用的时长
+
+export class AmapService extends RoutingProvider {
+  /**
+   * @param {Object} config
+   * @param {string|null} config.apiKey - 高德 Key,为空时全部使用离线数据
+   */
+  constructor({ apiKey = AMAP_KEY } = {}) {
+    super();
+    this.apiKey = apiKey;
     if (!this.apiKey) {
-      console.warn('⚠️  警告: AMAP_KEY 未设置,将使用模拟数据');
+      console.warn('⚠️  警告: AMAP_KEY 未设置,地铁使用离线路网计算,驾车按拥堵曲线离线估算');
     }
+
+    this.cache = new NodeCache({ checkperiod: 120 });
+    this.cacheStats = {
+      transit: { hits: 0, misses: 0 },
+      driving: { hits: 0, misses: 0 },
+      bicycling: { hits: 0, misses: 0 },
+      place: { hits: 0, misses: 0 }
+    };
+
+    this.rateLimiter = new TokenBucket({ rate: AMAP_QPS });
+    this.suspended = null; // {error, until} 致命错误后暂停实时调用
   }
 
   /**
    * 地铁路线规划
    * @param {Object} origin - 起点 {lng, lat, name}
    * @param {Object} destination - 终点 {lng, lat, name}
+   * @param {Object} options - 请求上下文 {bypassCache, budget, limit, errors},见 _request
    * @returns {Promise<Array>} 地铁方案列表
    */
-  async getSubwayRoutes(origin, destination) {
-    if (!this.apiKey) {
-      return this._mockSubwayRoutes(origin, destination);
+  async getSubwayRoutes(origin, destination, options = {}) {
+    if (!this.apiKey || this._isSuspended(options)) {
+      return this._offlineSubwayRoutes(origin, destination);
     }
 
+    const cacheKey = this._cacheKey('transit', origin, destination);
+    const cached = this._getCached('transit', cacheKey, options);
+    if (cached) return cached.map(route => ({ ...route, dataSource: 'cached' }));
+
     try {
-      const response = await axios.get(`${BASE_URL}/direction/transit/integrated`, {
-        params: {
-          key: this.apiKey,
-          origin: `${origin.lng},${origin.lat}`,
-          destination: `${destination.lng},${destination.lat}`,
-          city: '北京',
-          cityd: '北京',
-          output: 'json',
-          strategy: 0 // 0-最快捷, 1-最经济, 2-最少换乘, 3-最少步行
-        }
-      });
+      const data = await this._request('/v3/direction/transit/integrated', {
+        origin: `${origin.lng},${origin.lat}`,
+        destination: `${destination.lng},${destination.lat}`,
+        city: '北京',
+        cityd: '北京',
+        output: 'json',
+        strategy: 0 // 0-最快捷, 1-最经济, 2-最少换乘, 3-最少步行
+      }, options);
 
-      if (response.data.status === '1' && response.data.route) {
-        return this._parseSubwayRoutes(response.data.route.transits);
+      const routes = this._parseSubwayRoutes(data.route?.transits || [])
+        .map(route => ({ ...route, dataSource: 'live' }));
+      this.cache.set(cacheKey, routes, TRANSIT_CACHE_TTL);
+      return routes;
+    } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
+
+      // 该起终点无法规划,不属于故障,不降级也不记入 meta.apiErrors
+      if (error instanceof AmapRequestError) {
+        console.warn('地铁路线无结果:', error.message);
+        return [];
       }
 
-      return [];
-    } catch (error) {
-      console.error('地铁路线查询失败:', error.message);
-      return this._mockSubwayRoutes(origin, destination);
+      this._recordError(options, error);
+      console.error('地铁路线查询失败,改用离线路网:', error.message);
+      return this._offlineSubwayRoutes(origin, destination);
     }
   }
 
   /**
    * 驾车路线规划(用于打车估算)
+   * 高德返回的是当前路况下的用时,出发时刻(options.time)较远时按拥堵曲线换算
    * @param {Object} origin - 起点
    * @param {Object} destination - 终点
+   * @param {Object} options - 请求上下文 {time, bypassCache, budget, limit, errors},见 _request
    * @returns {Promise<Object>} 驾车方案
    */
-  async getDrivingRoute(origin, destination) {
-    if (!this.apiKey) {
-      return this._mockDrivingRoute(origin, destination);
+  async getDrivingRoute(origin, destination, options = {}) {
+    if (!this.apiKey || this._isSuspended(options)) {
+      return this._offlineDrivingRoute(origin, destination, options.time);
+    }
+
+    const cacheKey = this._cacheKey('driving', origin, destination);
+    const cached = this._getCached('driving', cacheKey, options);
+    if (cached) return this._atDepartureTime({ ...cached, dataSource: 'cached' }, options.time);
+
+    try {
+      const data = await this._request('/v3/direction/driving', {
+        origin: `${origin.lng},${origin.lat}`,
+        destination: `${destination.lng},${destination.lat}`,
+        extensions: 'all',
+        strategy: 10 // 10-考虑实时路况
+      }, options);
+
+      const path = data.route?.paths?.[0];
+      if (!path) return null;
+
+      const route = { ...this._parseDrivingRoute(path), dataSource: 'live' };
+      this.cache.set(cacheKey, route, DRIVING_CACHE_TTL);
+      return this._atDepartureTime(route, options.time);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
+
+      if (error instanceof AmapRequestError) {
+        console.warn('驾车路线无结果:', error.message);
+        return null;
+      }
+
+      this._recordError(options, error);
+      console.error('驾车路线查询失败,改用离线估算:', error.message);
+      return this._offlineDrivingRoute(origin, destination, options.time);
+    }
+  }
+
+  /**
+   * 骑行路线规划(用于共享单车段)
+   * 骑行时间不受路况影响,与公交方案使用相同的缓存时长
+   * @param {Object} origin - 起点
+   * @param {Object} destination - 终点
+   * @param {Object} options - 请求上下文 {bypassCache, budget, limit, errors},见 _request
+   * @returns {Promise<Object>} {distance, duration, dataSource}
+   */
+  async getBicyclingRoute(origin, destination, options = {}) {
+    if (!this.apiKey || this._isSuspended(options)) {
+      return this._offlineBicyclingRoute(origin, destination);
     }
 
+    const cacheKey = this._cacheKey('bicycling', origin, destination);
+    const cached = this._getCached('bicycling', cacheKey, options);
+    if (cached) return { ...cached, dataSource: 'cached' };
+
     try {
-      const response = await axios.get(`${BASE_URL}/direction/driving`, {
-        params: {
-          key: this.apiKey,
-          origin: `${origin.lng},${origin.lat}`,
-          destination: `${destination.lng},${destination.lat}`,
-          extensions: 'all',
-          strategy: 10 // 10-考虑实时路况
+      const data = await this._request('/v5/direction/bicycling', {
+        origin: `${origin.lng},${origin.lat}`,
+        destination: `${destination.lng},${destination.lat}`
+      }, options);
+
+      const path = data.route?.paths?.[0];
+      if (!path) return null;
+
+      const route = {
+        distance: Number(path.distance) || 0,
+        duration: Math.ceil(Number(path.duration) / 60), // 秒转分钟
+        dataSource: 'live'
+      };
+      this.cache.set(cacheKey, route, TRANSIT_CACHE_TTL);
+      return route;
+    } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
+
+      if (error instanceof AmapRequestError) {
+        console.warn('骑行路线无结果:', error.message);
+        return null;
+      }
+
+      this._recordError(options, error);
+      console.error('骑行路线查询失败,改用离线估算:', error.message);
+      return this._offlineBicyclingRoute(origin, destination);
+    }
+  }
+
+  /**
+   * 地点搜索(POI 关键字搜索,限北京市内)
+   * @param {string} keyword - 关键字
+   * @param {Object} query - {limit: 返回数量,默认10}
+   * @param {Object} options - 请求上下文 {bypassCache, budget, limit, errors},见 _request
+   * @returns {Promise<Array>} 地点列表,字段见 _parsePoi
+   */
+  async searchPlaces(keyword, { limit = 10 } = {}, options = {}) {
+    return this._placeQuery({
+      cacheKey: `place:search:${keyword}:${limit}`,
+      path: '/v3/place/text',
+      params: { keywords: keyword, city: '北京', citylimit: 'true', offset: limit, page: 1, extensions: 'all' },
+      parse: data => (data.pois || []).map(poi => this._parsePoi(poi)),
+      fallback: () => this._offlinePlaces(keyword, limit),
+      empty: []
+    }, options);
+  }
+
+  /**
+   * 按 POI id 查询地点详情
+   * @returns {Promise<Object|null>} 地点,id 无效时为 null
+   */
+  async getPlace(id, options = {}) {
+    return this._placeQuery({
+      cacheKey: `place:id:${id}`,
+      path: '/v3/place/detail',
+      params: { id },
+      parse: data => (data.pois?.[0] ? this._parsePoi(data.pois[0]) : null),
+      fallback: () => null,
+      empty: null
+    }, options);
+  }
+
+  /**
+   * 地理编码: 结构化地址 → 坐标
+   * @returns {Promise<Object|null>} 地点(无 POI id/入口),无法解析时为 null
+   */
+  async geocode(address, options = {}) {
+    return this._placeQuery({
+      cacheKey: `place:geo:${address}`,
+      path: '/v3/geocode/geo',
+      params: { address, city: '北京' },
+      parse: data => (data.geocodes?.[0] ? this._parseGeocode(data.geocodes[0]) : null),
+      fallback: () => this._offlinePlaces(address, 1)[0] || null,
+      empty: null
+    }, options);
+  }
+
+  /**
+   * 地点类查询的公共流程: 缓存 → 调用 → 解析,异常时降级
+   * @param {Object} query - {cacheKey, path, params, parse, fallback, empty}
+   */
+  async _placeQuery({ cacheKey, path, params, parse, fallback, empty }, options) {
+    if (!this.apiKey || this._isSuspended(options)) {
+      return fallback();
+    }
+
+    const cached = this._getCached('place', cacheKey, options);
+    if (cached !== undefined) return this._markSource(cached, 'cached');
+
+    try {
+      const data = await this._request(path, params, options);
+      const result = this._markSource(parse(data), 'live');
+      this.cache.set(cacheKey, result, PLACE_CACHE_TTL);
+      return result;
+    } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
+
+      if (error instanceof AmapRequestError) {
+        console.warn('地点查询无结果:', error.message);
+        return empty;
+      }
+
+      this._recordError(options, error);
+      console.error('地点查询失败,改用离线站点数据:', error.message);
+      return fallback();
+    }
+  }
+
+  _markSource(result, dataSource) {
+    if (Array.isArray(result)) return result.map(item => ({ ...item, dataSource }));
+    return result && { ...result, dataSource };
+  }
+
+  /**
+   * 调用高德接口
+   * 依次经过: 请求内并发限制(limit) → 调用预算(budget) → 全局限流 → HTTP
+   * 临时故障按指数退避重试,每次重试同样占用预算
+   * @param {string} path - 接口路径
+   * @param {Object} params - 查询参数(不含 key)
+   * @param {Object} options - {budget: RequestBudget, limit: 并发限制器}
+   * @returns {Promise<Object>} status 为 '1' 的响应体
+   * @throws {AmapError|BudgetExceededError}
+   */
+  async _request(path, params, options = {}) {
+    const { budget, limit } = options;
+
+    const call = async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this._send(path, params, budget);
+        } catch (error) {
+          if (!(error instanceof AmapError) || !error.transient || attempt >= AMAP_MAX_RETRIES) {
+            throw error;
+          }
+
+          const delay = RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+          if (budget && Date.now() + delay >= budget.deadline) throw error;
+
+          console.warn(`高德接口临时故障,${Math.round(delay)}ms 后重试(${attempt + 1}/${AMAP_MAX_RETRIES}):`, error.message);
+          await new Promise(resolve => setTimeout(resolve, delay));
         }
+      }
+    };
+
+    return limit ? limit(call) : call();
+  }
+
+  /**
+   * 发送单次请求
+   */
+  async _send(path, params, budget) {
+    budget?.consume();
+
+    const acquired = await this.rateLimiter.acquire(budget ? budget.deadline : Infinity);
+    if (!acquired) budget.expire();
+
+    let response;
+    try {
+      response = await axios.get(`${BASE_URL}${path}`, {
+        params: { key: this.apiKey, ...params },
+        timeout: budget ? Math.max(1, Math.min(REQUEST_TIMEOUT, budget.remainingTime())) : REQUEST_TIMEOUT
       });
+    } catch (error) {
+      // 因请求截止时间被中断的调用按预算耗尽处理,而不是接口故障
+      if (budget?.expired) budget.expire();
+      throw fromNetworkError(error, path);
+    }
 
-      if (response.data.status === '1' && response.data.route) {
-        return this._parseDrivingRoute(response.data.route.paths[0]);
+    if (response.data.status !== '1') {
+      const error = fromAmapResponse(response.data, path);
+      if (error.fatal) {
+        this.suspended = { error, until: Date.now() + FATAL_SUSPEND_MS };
       }
+      throw error;
+    }
 
-      return null;
-    } catch (error) {
-      console.error('驾车路线查询失败:', error.message);
-      return this._mockDrivingRoute(origin, destination);
+    return response.data;
+  }
+
+  /**
+   * Key 无效或额度用尽后,一段时间内不再发起实时调用,直接降级
+   */
+  _isSuspended(options) {
+    if (!this.suspended) return false;
+    if (Date.now() >= this.suspended.until) {
+      this.suspended = null;
+      return false;
+    }
+
+    this._recordError(options, this.suspended.error);
+    return true;
+  }
+
+  /**
+   * 记录到请求上下文,供 meta 汇报(网络、限流、额度、Key 等导致降级的错误;无结果不记录)
+   */
+  _recordError(options, error) {
+    if (options.errors && !options.errors.includes(error)) {
+      options.errors.push(error);
     }
   }
 
+  /**
+   * 缓存命中统计
+   * @returns {Object} {transit: {hits, misses, hitRate}, driving: {...}, keys}
+   */
+  getCacheStats() {
+    const withRate = ({ hits, misses }) => ({
+      hits,
+      misses,
+      hitRate: hits + misses === 0 ? 0 : Math.round(hits / (hits + misses) * 1000) / 1000
+    });
+
+    return {
+      transit: withRate(this.cacheStats.transit),
+      driving: withRate(this.cacheStats.driving),
+      bicycling: withRate(this.cacheStats.bicycling),
+      place: withRate(this.cacheStats.place),
+      keys: this.cache.keys().length
+    };
+  }
+
+  /**
+   * 清空缓存
+   */
+  clearCache() {
+    this.cache.flushAll();
+  }
+
+  /**
+   * 缓存键: 类型 + 起终点坐标(按精度取整,相邻请求可共享)
+   */
+  _cacheKey(type, origin, destination) {
+    const round = point => `${Number(point.lng).toFixed(COORD_PRECISION)},${Number(point.lat).toFixed(COORD_PRECISION)}`;
+    return `${type}:${round(origin)}>${round(destination)}`;
+  }
+
+  _getCached(type, key, options) {
+    if (options.bypassCache) return undefined;
+
+    const value = this.cache.get(key);
+    if (value === undefined) {
+      this.cacheStats[type].misses++;
+    } else {
+      this.cacheStats[type].hits++;
+    }
+    return value;
+  }
+
   /**
    * 解析地铁路线数据
    */
   _parseSubwayRoutes(transits) {
-    return transits.slice(0, 3).map((transit, index) => ({
-      id: `subway_${index}`,
-      type: 'subway',
-      duration: Math.ceil(transit.duration / 60), // 秒转分钟
-      distance: transit.distance,
-      cost: transit.cost || 9, // 默认票价
-      walkDistance: transit.walking_distance,
-      segments: this._parseTransitSegments(transit.segments)
-    }));
+    return transits.slice(0, 3).map((transit, index) => {
+      const segments = this._parseTransitSegments(transit.segments);
+      const fare = subwayFare.calculate(segments);
+
+      // 含公交/铁路/出租车段时地铁票价不完整,使用高德给出的全程票价
+      const hasOtherFares = segments.some(seg => ['bus', 'rail', 'taxi'].includes(seg.mode));
+      const cost = hasOtherFares
+        ? Number(transit.cost) || fare.total
+        : fare.total || Number(transit.cost) || 0;
+
+      return {
+        id: `subway_${index}`,
+        type: 'subway',
+        duration: Math.ceil(transit.duration / 60), // 秒转分钟
+        distance: Number(transit.distance) || 0,
+        cost,
+        fare,
+        walkDistance: Number(transit.walking_distance) || 0,
+        segments
+      };
+    });
   }
 
   /**
-   * 解析地铁换乘段
+   * 解析公交方案分段
+   * 高德的每个 segment 可同时包含步行(前往上车点)和一种乘车方式,
+   * 缺省字段返回空数组或空对象,需逐项判断
    */
   _parseTransitSegments(segments) {
-    return segments.map(seg => {
-      if (seg.bus && seg.bus.buslines && seg.bus.buslines[0]) {
-        const line = seg.bus.buslines[0];
-        return {
-          mode: 'subway',
-          line: line.name,
-          from: line.departure_stop.name,
-          to: line.arrival_stop.name,
-          stations: line.via_num + 2,
-          duration: Math.ceil(line.duration / 60)
-        };
-      } else if (seg.walking) {
-        return {
+    return segments.flatMap(seg => {
+      const parsed = [];
+
+      if (Number(seg.walking?.distance) > 0) {
+        parsed.push({
           mode: 'walk',
-          distance: seg.walking.distance,
+          distance: Number(seg.walking.distance),
           duration: Math.ceil(seg.walking.duration / 60)
-        };
+        });
+      }
+
+      const line = seg.bus?.buslines?.[0];
+      if (line) {
+        parsed.push(this._parseBusline(line, seg, seg.bus.buslines.slice(1)));
+      } else if (seg.railway?.name) {
+        parsed.push(this._parseRailway(seg.railway));
+      } else if (Number(seg.taxi?.distance) > 0) {
+        parsed.push({
+          mode: 'taxi',
+          from: seg.taxi.startname || '',
+          to: seg.taxi.endname || '',
+          fromLocation: this._parseLocation(seg.taxi.startpoint),
+          distance: Number(seg.taxi.distance),
+          duration: Math.ceil(seg.taxi.drivetime / 60),
+          cost: Number(seg.taxi.price) || 0,
+          waitTime: 0
+        });
       }
-      return null;
-    }).filter(Boolean);
+
+      return parsed;
+    });
+  }
+
+  /**
+   * 公交/地铁线路段,按线路类型区分
+   */
+  _parseBusline(line, seg, alternatives) {
+    const lineType = typeof line.type === 'string' ? line.type : '';
+    const segment = {
+      mode: this._lineMode(line.name, lineType),
+      line: line.name,
+      lineType,
+      from: line.departure_stop.name,
+      to: line.arrival_stop.name,
+      fromLocation: this._parseLocation(line.departure_stop.location),
+      toLocation: this._parseLocation(line.arrival_stop.location),
+      stations: Number(line.via_num) + 2, // 含上下车站(via_num 为 "3" 形式的字符串)
+      distance: Number(line.distance) || 0,
+      duration: Math.ceil(line.duration / 60)
+    };
+
+    if (segment.mode === 'subway') {
+      segment.entrance = seg.entrance?.name || null;
+      segment.exit = seg.exit?.name || null;
+    }
+    if (alternatives.length > 0) {
+      segment.alternatives = alternatives.map(alt => alt.name);
+    }
+
+    return segment;
+  }
+
+  /**
+   * 火车/市郊铁路段
+   */
+  _parseRailway(railway) {
+    const departure = railway.departure_stop || {};
+    const arrival = railway.arrival_stop || {};
+    const duration = this._railwayMinutes(departure.time, arrival.time) ?? Math.ceil(Number(railway.time) / 60);
+
+    return {
+      mode: 'rail',
+      line: railway.name,
+      lineType: railway.type || '',
+      trip: railway.trip || null,
+      from: departure.name,
+      to: arrival.name,
+      fromLocation: this._parseLocation(departure.location),
+      toLocation: this._parseLocation(arrival.location),
+      departureTime: departure.time || null,
+      arrivalTime: arrival.time || null,
+      distance: Number(railway.distance) || 0,
+      duration: duration || 0,
+      cost: Number(railway.spaces?.[0]?.cost) || 0
+    };
+  }
+
+  /**
+   * 线路类型 → 分段方式
+   * 高德 type 如 "地铁线路" / "普通公交线路" / "市郊铁路"
+   */
+  _lineMode(name, type) {
+    if (type.includes('铁路')) return 'rail';
+    if (type.includes('地铁') || type.includes('轻轨') || name.startsWith('地铁')) return 'subway';
+    return 'bus';
+  }
+
+  /**
+   * 由发车/到站时刻("HHMM")计算运行分钟数,跨零点时加一天
+   */
+  _railwayMinutes(departTime, arriveTime) {
+    const toMinutes = hhmm => (/^\d{4}$/.test(hhmm || '') ? Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(2)) : null);
+    const depart = toMinutes(departTime);
+    const arrive = toMinutes(arriveTime);
+    if (depart === null || arrive === null) return null;
+    return (arrive - depart + 1440) % 1440;
+  }
+
+  /**
+   * "lng,lat" → {lng, lat}
+   */
+  _parseLocation(location) {
+    if (typeof location !== 'string' || !location.includes(',')) return null;
+    const [lng, lat] = location.split(',').map(Number);
+    return { lng, lat };
+  }
+
+  /**
+   * 解析 POI
+   * 高德缺省字段返回空数组,统一转为 null
+   */
+  _parsePoi(poi) {
+    const text = value => (typeof value === 'string' && value ? value : null);
+    const location = this._parseLocation(poi.location);
+
+    return {
+      id: poi.id,
+      name: poi.name,
+      type: text(poi.type),
+      typecode: text(poi.typecode),
+      district: text(poi.adname),
+      adcode: text(poi.adcode),
+      address: text(poi.address),
+      lng: location?.lng,
+      lat: location?.lat,
+      entrance: this._parseLocation(poi.entr_location)
+    };
+  }
+
+  /**
+   * 解析地理编码结果,type 为匹配级别(如 "门址"、"兴趣点")
+   */
+  _parseGeocode(geocode) {
+    const text = value => (typeof value === 'string' && value ? value : null);
+    const location = this._parseLocation(geocode.location);
+
+    return {
+      id: null,
+      name: geocode.formatted_address,
+      type: text(geocode.level),
+      typecode: null,
+      district: text(geocode.district),
+      adcode: text(geocode.adcode),
+      address: geocode.formatted_address,
+      lng: location?.lng,
+      lat: location?.lat,
+      entrance: null
+    };
   }
 
   /**
@@ -133,78 +628,87 @@ class AmapService {
    */
   _parseDrivingRoute(path) {
     return {
-      distance: path.distance, // 米
-      duration: Math.ceil(path.duration / 60), // 秒转分钟
-      traffic: path.traffic_lights || 0, // 红绿灯数
-      tolls: path.tolls || 0 // 过路费
+      distance: Number(path.distance) || 0, // 米(高德返回字符串)
+      duration: Math.ceil(Number(path.duration) / 60), // 秒转分钟
+      traffic: Number(path.traffic_lights) || 0, // 红绿灯数
+      tolls: Number(path.tolls) || 0 // 过路费
     };
   }
 
   /**
-   * 模拟地铁数据(测试用)
+   * 离线地铁方案(基于内置线网的最短路径)
    */
-  _mockSubwayRoutes(origin, destination) {
-    console.log('🔧 使用模拟地铁数据');
-    return [
-      {
-        id: 'subway_mock_1',
-        type: 'subway',
-        duration: 65,
-        distance: 45000,
-        cost: 9,
-        walkDistance: 800,
-        segments: [
-          {
-            mode: 'walk',
-            distance: 300,
-            duration: 4
-          },
-          {
-            mode: 'subway',
-            line: '大兴机场线',
-            from: '大兴机场站',
-            to: '草桥站',
-            stations: 3,
-            duration: 20
-          },
-          {
-            mode: 'subway',
-            line: '4号线',
-            from: '草桥站',
-            to: '西直门站',
-            stations: 18,
-            duration: 35
-          },
-          {
-            mode: 'subway',
-            line: '昌平线',
-            from: '西直门站',
-            to: '生命科学园站',
-            stations: 4,
-            duration: 10
-          },
-          {
-            mode: 'walk',
-            distance: 500,
-            duration: 6
-          }
-        ]
-      }
-    ];
+  _offlineSubwayRoutes(origin, destination) {
+    console.log('🔧 使用离线地铁路网计算');
+    return subwayRouter.planRoutes(origin, destination)
+      .map(route => ({ ...route, dataSource: 'offline' }));
   }
 
   /**
-   * 模拟驾车数据(测试用)
+   * 离线地点搜索: 只能匹配内置线网中的地铁站
    */
-  _mockDrivingRoute(origin, destination) {
-    console.log('🔧 使用模拟驾车数据');
+  _offlinePlaces(keyword, limit) {
+    const query = keyword.replace(/^(北京)?(地铁)?/, '').replace(/(地铁)?站$/, '');
+    if (!query) return [];
+
+    return subwayNetwork.getStations()
+      .filter(station => station.id.includes(query))
+      .sort((a, b) => Number(b.id.startsWith(query)) - Number(a.id.startsWith(query)) || a.id.length - b.id.length)
+      .slice(0, limit)
+      .map(station => ({
+        id: null,
+        name: station.name,
+        type: '交通设施服务;地铁站;地铁站',
+        typecode: '150500',
+        district: null,
+        adcode: null,
+        address: station.lines.join(';'),
+        lng: station.lng,
+        lat: station.lat,
+        entrance: null,
+        dataSource: 'offline'
+      }));
+  }
+
+  /**
+   * 离线骑行估算(按直线距离和平均车速)
+   */
+  _offlineBicyclingRoute(origin, destination) {
+    const distance = Math.round(haversineDistance(origin, destination) * BIKE_DETOUR_FACTOR);
     return {
-      distance: 52000,
-      duration: 78,
-      traffic: 25,
-      tolls: 0
+      distance,
+      duration: Math.ceil(distance / 1000 / BIKE_SPEED * 60),
+      dataSource: 'offline'
     };
   }
+
+  /**
+   * 离线驾车估算: 直线距离 × 绕行系数,畅通车速 × 出发时刻的拥堵指数
+   * 不含过路费和红绿灯数
+   */
+  _offlineDrivingRoute(origin, destination, time = new Date()) {
+    console.log('🔧 使用离线驾车估算');
+    const distance = Math.round(haversineDistance(origin, destination) * DRIVING_DETOUR_FACTOR);
+    const km = distance / 1000;
+    const speed = Math.min(DRIVING_MAX_SPEED, DRIVING_BASE_SPEED + km * DRIVING_SPEED_PER_KM);
+    const freeFlow = km / speed * 60;
+    return {
+      distance,
+      duration: Math.max(1, Math.ceil(freeFlow * trafficProfile.congestionIndex(time))),
+      traffic: 0,
+      tolls: 0,
+      dataSource: 'offline'
+    };
+  }
+
+  /**
+   * 实时路况用时换算到出发时刻(出发时刻接近当前时不换算)
+   */
+  _atDepartureTime(route, time) {
+    const now = new Date();
+    if (!time || Math.abs(time - now) <= LIVE_TRAFFIC_WINDOW * 60000) return route;
+    return { ...route, duration: trafficProfile.rescale(route.duration, now, time), trafficModel: 'profile' };
+  }
 }
 
 export default new AmapService();
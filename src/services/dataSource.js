@@ -0,0 +1,19 @@
+/**
+ * 方案数据来源
+ * - live: 本次请求实时调用高德
+ * - cached: 命中高德结果缓存
+ * - replay: 录像回放(见 recordReplayProvider)
+ * - offline: 内置地铁路网离线计算或按距离估算
+ */
+
+export const DATA_SOURCES = ['live', 'cached', 'replay', 'offline'];
+
+/**
+ * 合并多个来源,取可信度最低者(如打车段为 offline 则整个混合方案为 offline)
+ */
+export function combineSources(...sources) {
+  return sources
+    .filter(Boolean)
+    .reduce((worst, source) =>
+      DATA_SOURCES.indexOf(source) > DATA_SOURCES.indexOf(worst) ? source : worst, 'live');
+}
@@ -0,0 +1,90 @@
+/**
+ * 起终点解析
+ * 请求中的 start/end 支持:
+ * - 坐标 {lng, lat, name?}
+ * - 自由文本地址: 字符串,或 {address} / 仅有 {name}
+ * - POI id: {id}
+ * 地址先按 POI 搜索取第一条,搜不到再做地理编码
+ * 输入坐标按 options.crs 转换为 GCJ-02,解析得到的地点本身即为 GCJ-02
+ */
+
+import { toGcj02 } from '../utils/crs.js';
+
+const MAX_SEARCH_LIMIT = 25; // 高德 POI 搜索单页上限
+
+export class PlaceResolutionError extends Error {
+  /**
+   * @param {string} message - 错误描述
+   * @param {Object} details - {field: 'start' | 'end', query: 原始输入}
+   */
+  constructor(message, { field = null, query = null } = {}) {
+    super(message);
+    this.name = 'PlaceResolutionError';
+    this.field = field;
+    this.query = query;
+  }
+}
+
+export class PlaceResolver {
+  /**
+   * @param {RoutingProvider} provider - 路线数据提供方
+   */
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * 地点搜索(联想)
+   * @param {string} keyword - 关键字
+   * @param {Object} query - {limit: 1~25,默认10}
+   */
+  search(keyword, { limit = 10 } = {}, options = {}) {
+    const size = Math.min(Math.max(1, Math.floor(Number(limit)) || 10), MAX_SEARCH_LIMIT);
+    return this.provider.searchPlaces(keyword, { limit: size }, options);
+  }
+
+  /**
+   * 解析单个起点/终点
+   * @param {Object|string} input - 请求中的 start / end
+   * @param {string} field - start | end,行程站点为 stops[i].place
+   * @param {Object} options - 请求上下文 {crs, ...}
+   * @returns {Promise<Object>} {lng, lat, name, ...地点信息},坐标为 GCJ-02
+   * @throws {PlaceResolutionError}
+   */
+  async resolve(input, field, options = {}) {
+    const label = { start: '起点', end: '终点' }[field] || '站点';
+    const spec = typeof input === 'string' ? { address: input } : input;
+
+    if (!spec || typeof spec !== 'object') {
+      throw new PlaceResolutionError(`${label}格式错误`, { field, query: input });
+    }
+
+    if (this._hasCoordinates(spec)) {
+      const point = { ...spec, lng: Number(spec.lng), lat: Number(spec.lat), name: spec.name || label };
+      return toGcj02(point, options.crs);
+    }
+
+    const address = typeof spec.address === 'string' ? spec.address.trim() : spec.name?.trim();
+    let place = null;
+
+    if (spec.id) {
+      place = await this.provider.getPlace(spec.id, options);
+    } else if (address) {
+      const [first = null] = await this.provider.searchPlaces(address, { limit: 1 }, options);
+      place = first || await this.provider.geocode(address, options);
+    } else {
+      throw new PlaceResolutionError(`${label}需提供坐标、地址或 POI id`, { field, query: input });
+    }
+
+    if (!place || !this._hasCoordinates(place)) {
+      throw new PlaceResolutionError(`无法解析${label}: ${spec.id || address}`, { field, query: input });
+    }
+
+    return { ...place, name: spec.name || place.name, query: spec.id || address };
+  }
+
+  _hasCoordinates(point) {
+    return point.lng != null && point.lat != null &&
+      Number.isFinite(Number(point.lng)) && Number.isFinite(Number(point.lat));
+  }
+}
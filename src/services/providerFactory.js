@@ -0,0 +1,24 @@
+/**
+ * 按配置创建路线数据提供方
+ * ROUTING_PROVIDER: amap(默认) / offline / record / replay
+ * ROUTING_CASSETTE: 录像文件路径
+ */
+
+import dotenv from 'dotenv';
+import amapService, { AmapService } from './amapService.js';
+import { RecordReplayProvider } from './recordReplayProvider.js';
+
+dotenv.config();
+
+const DEFAULT_CASSETTE = 'fixtures/routing/default.json';
+
+export function createRoutingProvider({
+  mode = process.env.ROUTING_PROVIDER || 'amap',
+  cassette = process.env.ROUTING_CASSETTE || DEFAULT_CASSETTE
+} = {}) {
+  if (mode === 'amap') return amapService;
+  if (mode === 'offline') return new AmapService({ apiKey: null });
+
+  console.log(`🎞️  路线数据${mode === 'record' ? '录制' : '回放'}: ${cassette}`);
+  return new RecordReplayProvider({ mode, cassette, provider: amapService });
+}
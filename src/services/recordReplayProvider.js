@@ -0,0 +1,138 @@
+/**
+ * 录制/回放数据提供方
+ * record: 调用内层提供方,并把实时结果写入录像文件
+ * replay: 只读录像文件,不发起任何网络请求,结果可复现
+ *
+ * 录像文件为 JSON 对象 {key: result},key 由方法名和参数组成,坐标保留4位小数(与缓存一致)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RoutingProvider } from './routingProvider.js';
+
+const COORD_PRECISION = 4;
+
+// 只录制真实数据,离线结果回放没有意义
+const RECORDABLE_SOURCES = ['live', 'cached'];
+
+export class ReplayMissError extends Error {
+  constructor(key, cassette) {
+    super(`录像中没有该请求: ${key}(${cassette}),请先用 record 模式录制`);
+    this.name = 'ReplayMissError';
+    this.key = key;
+  }
+}
+
+export class RecordReplayProvider extends RoutingProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.mode - record | replay
+   * @param {string} config.cassette - 录像文件路径
+   * @param {RoutingProvider} config.provider - record 模式下的内层提供方
+   */
+  constructor({ mode, cassette, provider }) {
+    super();
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`未知的录制模式: ${mode}`);
+    }
+    if (mode === 'record' && !provider) {
+      throw new Error('record 模式需要内层提供方');
+    }
+
+    // 回放时录像文件必须存在,否则每个请求都会失败并被当作生成失败吞掉
+    if (mode === 'replay' && !fs.existsSync(cassette)) {
+      throw new Error(`录像文件不存在: ${cassette},请先用 record 模式录制`);
+    }
+
+    this.mode = mode;
+    this.cassette = cassette;
+    this.provider = provider;
+    this.records = fs.existsSync(cassette) ? JSON.parse(fs.readFileSync(cassette, 'utf8')) : {};
+    this.writing = Promise.resolve();
+  }
+
+  getSubwayRoutes(origin, destination, options = {}) {
+    return this._call('getSubwayRoutes', [origin, destination], options);
+  }
+
+  getDrivingRoute(origin, destination, options = {}) {
+    return this._call('getDrivingRoute', [origin, destination], options);
+  }
+
+  getBicyclingRoute(origin, destination, options = {}) {
+    return this._call('getBicyclingRoute', [origin, destination], options);
+  }
+
+  searchPlaces(keyword, query = {}, options = {}) {
+    return this._call('searchPlaces', [keyword, query], options);
+  }
+
+  getPlace(id, options = {}) {
+    return this._call('getPlace', [id], options);
+  }
+
+  geocode(address, options = {}) {
+    return this._call('geocode', [address], options);
+  }
+
+  /**
+   * 等待录像写盘完成
+   */
+  flush() {
+    return this.writing;
+  }
+
+  async _call(method, args, options) {
+    const key = this._key(method, args);
+
+    if (this.mode === 'replay') {
+      if (!(key in this.records)) {
+        throw new ReplayMissError(key, this.cassette);
+      }
+      return this._markReplay(structuredClone(this.records[key]));
+    }
+
+    const result = await this.provider[method](...args, options);
+    if (this._isRecordable(result)) {
+      this.records[key] = result;
+      this._save();
+    }
+    return result;
+  }
+
+  _key(method, args) {
+    const parts = args.map(arg => {
+      if (typeof arg !== 'object' || arg === null) return String(arg);
+      if ('lng' in arg && 'lat' in arg) {
+        return `${Number(arg.lng).toFixed(COORD_PRECISION)},${Number(arg.lat).toFixed(COORD_PRECISION)}`;
+      }
+      return JSON.stringify(arg);
+    });
+    return `${method}:${parts.join('|')}`;
+  }
+
+  _isRecordable(result) {
+    if (result === null) return false;
+    const items = Array.isArray(result) ? result : [result];
+    return items.every(item => RECORDABLE_SOURCES.includes(item.dataSource));
+  }
+
+  _markReplay(result) {
+    if (Array.isArray(result)) {
+      return result.map(item => ({ ...item, dataSource: 'replay' }));
+    }
+    return result && { ...result, dataSource: 'replay' };
+  }
+
+  /**
+   * 写盘串行进行,避免并发请求交错写同一文件
+   */
+  _save() {
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.cassette), { recursive: true });
+        await fs.promises.writeFile(this.cassette, JSON.stringify(this.records, null, 2));
+      })
+      .catch(error => console.error('录像写入失败:', error.message));
+  }
+}
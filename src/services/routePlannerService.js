@@ -3,117 +3,699 @@
  * 集成: 混合方案生成 + 评分系统 + 场景识别 + 智能推荐
  */
 
-import amapService from '../services/amapService.js';
-import mixedRouteGenerator from '../algorithms/mixedRouteGenerator.js';
+import { createRoutingProvider } from './providerFactory.js';
+import { MixedRouteGenerator } from '../algorithms/mixedRouteGenerator.js';
+import { PlaceResolver } from './placeResolver.js';
+import taxiFare from '../pricing/taxiFare.js';
+import subwaySchedule from '../algorithms/subwaySchedule.js';
+import arrivalDeadline from '../algorithms/arrivalDeadline.js';
+import trafficProfile from '../algorithms/trafficProfile.js';
+import { paretoFront, ROUTE_OBJECTIVES } from '../algorithms/paretoFront.js';
+import { arriveAtStop, stopOrders, estimateOrder, compareEstimates } from '../algorithms/itinerary.js';
+import reliabilityModel from '../algorithms/reliabilityModel.js';
+import crowdingModel from '../algorithms/crowdingModel.js';
+import { normalizeValueOfTime, generalizedCost, marginalComparisons, DEFAULT_VALUE_OF_TIME } from '../algorithms/valueOfTime.js';
+import scenarioEngine from '../algorithms/scenarioEngine.js';
+import recommendationExplainer from '../algorithms/recommendationExplainer.js';
+import { weightedScore } from '../algorithms/routeScore.js';
+import { RouteConstraints } from '../algorithms/routeConstraints.js';
+import defaultWeatherService from './weatherService.js';
+import { PREFERENCE_WEIGHTS } from '../config/preferenceWeights.js';
+import { classifyPlace } from '../utils/placeType.js';
+import { RequestBudget, BudgetExceededError } from '../utils/requestBudget.js';
+import { createLimiter } from '../utils/concurrency.js';
+import { DATA_SOURCES } from './dataSource.js';
+import { normalizeCrs, convertResultCrs } from '../utils/crs.js';
+import { formatBeijingTime, formatBeijingDateTime } from '../utils/beijingTime.js';
+
+// 单次规划的高德调用控制(可通过 options.maxApiCalls / options.timeoutMs 覆盖)
+const PLAN_MAX_API_CALLS = Number(process.env.PLAN_MAX_API_CALLS) || 60;
+const PLAN_TIMEOUT_MS = Number(process.env.PLAN_TIMEOUT_MS) || 8000;
+const PLAN_CONCURRENCY = Number(process.env.PLAN_CONCURRENCY) || 6;
+
+// 公共交通乘车方式(计算换乘次数)
+const TRANSIT_MODES = ['subway', 'bus', 'rail'];
+
+// allRoutes 返回的方案数(帕累托前沿上的方案总是返回,可超出此数)
+const MAX_ROUTES = 10;
+
+// 到达时间模式的帕累托目标: 出发余量扣除路况波动后越多越好,代替用时
+const ARRIVE_BY_OBJECTIVES = [
+  { name: 'margin', value: route => route.arriveBy.slack - route.arriveBy.riskMinutes, minimize: false },
+  ...ROUTE_OBJECTIVES.filter(objective => objective.name !== 'duration')
+];
+
+// 方案摘要中的分段名称,按此顺序列出
+const MODE_NAMES = { taxi: '打车', bike: '骑行', subway: '地铁', bus: '公交', rail: '铁路' };
+
+export class RoutePlannerService {
+  /**
+   * @param {Object} deps
+   * @param {RoutingProvider} deps.provider - 路线数据提供方,默认按 ROUTING_PROVIDER 创建
+   * @param {MixedRouteGenerator} deps.mixedRouteGenerator - 混合方案生成器,默认使用同一提供方
+   * @param {Object} deps.weatherService - 天气数据 {getWeather(location, time)},默认读取环境变量 WEATHER
+   */
+  constructor({ provider = createRoutingProvider(), mixedRouteGenerator, weatherService = defaultWeatherService } = {}) {
+    this.provider = provider;
+    this.mixedRouteGenerator = mixedRouteGenerator || new MixedRouteGenerator(provider);
+    this.placeResolver = new PlaceResolver(provider);
+    this.weatherService = weatherService;
+  }
 
-class RoutePlannerService {
   /**
    * 规划出行路线
-   * @param {Object} params - 规划参数
+   * @param {Object} params - 规划参数;params.budget 为多次规划共用的调用预算(行程估算访问顺序时),缺省按 options 新建
    * @returns {Promise<Object>} 完整方案结果
    */
   async planRoute(params) {
     const {
-      origin,
-      destination,
-      time = new Date(),
+      time = new Date(), // 出发时刻;到达时间模式下为最早出发时刻
+      arriveBy = null, // 到达截止时刻(到达时间模式)
       preference = 'balance', // 'time' | 'cost' | 'balance'
       options = {}
     } = params;
+    const valueOfTime = normalizeValueOfTime(params.valueOfTime); // 时间价值模式(元/小时)
+
+    const context = this._createContext(time, options, params.crs, params.budget);
+    const { budget, crs } = context;
+
+    // 0. 起终点解析(地址/POI id → 坐标)
+    const { origin, destination } = await this._resolvePlaces(params, context);
 
     console.log(`\n========== 开始路线规划 ==========`);
     console.log(`起点: ${origin.name}`);
     console.log(`终点: ${destination.name}`);
-    console.log(`偏好: ${preference}`);
+    console.log(`偏好: ${options.weights ? JSON.stringify(options.weights) : preference}`);
+
+    // 0.5 到达时间模式: 扣除到达缓冲得到截止时刻,按粗估用时倒推规划用的出发时刻
+    let arrival = null;
+    if (arriveBy) {
+      const buffer = arrivalDeadline.getBuffer(destination, options.arrivalBuffer);
+      const deadline = new Date(arriveBy.getTime() - buffer.minutes * 60000);
+      context.time = arrivalDeadline.estimateDeparture(origin, destination, deadline, time);
+      arrival = { arriveBy, buffer, deadline };
+      console.log(`到达截止: ${formatBeijingDateTime(arriveBy)}${buffer.minutes ? `(预留${buffer.name}${buffer.minutes}分钟)` : ''}`);
+    }
 
-    // 1. 场景识别
-    const scenario = this._detectScenario({ origin, destination, time });
-    console.log(`场景识别: ${scenario}`);
+    // 1. 场景识别(可同时生效多个场景)
+    const weather = params.weather ?? await this.weatherService.getWeather(origin, context.time);
+    const scenario = this._detectScenario({ origin, destination, time: context.time, weather, luggage: params.luggage });
+    context.scenario = scenario;
+    console.log(`场景识别: ${scenario.name}`);
 
     // 2. 生成所有候选方案
-    const allRoutes = await this._generateAllRoutes(origin, destination);
+    const allRoutes = await this._generateAllRoutes(origin, destination, context);
     console.log(`生成候选方案: ${allRoutes.length} 个`);
+    if (budget.exhausted) {
+      console.log(`⚠️  调用预算耗尽(${budget.exceeded}),返回已生成的方案`);
+    }
 
-    // 3. 综合评分
-    const scoredRoutes = this._calculateScores(allRoutes, preference, scenario);
+    // 2.4 首末班车校验(到达时间模式下按各方案的最晚出发时刻校验,并剔除赶不上截止时间的方案)
+    let runnableRoutes;
+    let dropped;
+    let droppedByDeadline = 0;
+    if (arrival) {
+      ({ routes: runnableRoutes, droppedByServiceHours: dropped, droppedByDeadline } = arrivalDeadline.apply(allRoutes, {
+        deadline: arrival.deadline,
+        earliestDeparture: time
+      }));
+      if (droppedByDeadline > 0) {
+        console.log(`无法按时到达,剔除方案: ${droppedByDeadline} 个`);
+      }
+    } else {
+      ({ routes: runnableRoutes, dropped } = this._applyServiceHours(allRoutes, time));
+      // 用时分布(中位数/P90),到达时间模式下已按最晚出发时刻计算
+      runnableRoutes = runnableRoutes.map(route => reliabilityModel.evaluate(route, time));
+    }
+    if (dropped > 0) {
+      console.log(`地铁已停运,剔除方案: ${dropped} 个`);
+    }
+
+    // 地铁拥挤度按实际出发时刻估算(到达时间模式下为建议出发时刻)
+    runnableRoutes = runnableRoutes.map(route =>
+      crowdingModel.annotate(route, route.arriveBy ? new Date(route.arriveBy.recommendedDeparture) : time));
+
+    const dataSources = this._summarizeDataSources(runnableRoutes);
+    if (context.errors.length > 0) {
+      console.log(`⚠️  高德接口异常 ${context.errors.length} 次,部分结果来自离线数据`);
+    }
+
+    // 3. 综合评分(到达时间模式下以准点得分代替时间得分,并按出发余量排序;时间价值模式按广义费用排序,
+    //    两者同时使用时,余量足以覆盖用时波动的方案排在可能迟到的方案之前)
+    const baseWeights = this._baseWeights(preference, options.weights);
+    let scoredRoutes = this._calculateScores(runnableRoutes, baseWeights, scenario, valueOfTime);
+    if (valueOfTime) {
+      const comparisons = marginalComparisons(scoredRoutes, valueOfTime);
+      scoredRoutes = scoredRoutes
+        .map(route => (comparisons.has(route) ? { ...route, tags: [comparisons.get(route)] } : route))
+        .sort((a, b) => deadlineRisk(a) - deadlineRisk(b) || a.generalizedCost.total - b.generalizedCost.total);
+    } else if (arrival) {
+      scoredRoutes.sort((a, b) => (b.arriveBy.slack - b.arriveBy.riskMinutes) - (a.arriveBy.slack - a.arriveBy.riskMinutes));
+    }
+
+    // 3.5 帕累托前沿: 用时(到达时间模式为出发余量)、费用、舒适度上不被其他方案支配的方案
+    const front = paretoFront(scoredRoutes, arrival ? ARRIVE_BY_OBJECTIVES : ROUTE_OBJECTIVES);
+    scoredRoutes = scoredRoutes.map(route => ({ ...route, pareto: front.includes(route) }));
+    console.log(`帕累托前沿: ${front.length} 个方案`);
 
     // 4. 智能推荐
-    const recommendation = this._recommend(scoredRoutes, scenario, preference);
+    const recommendation = this._recommend(scoredRoutes, scenario, this._getWeights(baseWeights, scenario), valueOfTime);
 
     console.log(`========== 规划完成 ==========\n`);
 
-    return {
+    // 坐标按请求的坐标系输出
+    return convertResultCrs({
       recommended: recommendation.recommended,
       fastest: recommendation.fastest,
       cheapest: recommendation.cheapest,
-      allRoutes: scoredRoutes.slice(0, 10),
+      allRoutes: this._selectRoutes(scoredRoutes),
+      paretoFront: scoredRoutes
+        .filter(route => route.pareto)
+        .sort((a, b) => a.totalDuration - b.totalDuration)
+        .map(route => ({
+          id: route.id,
+          type: route.type,
+          description: route.summary.description,
+          duration: route.totalDuration,
+          cost: route.totalCost,
+          comfort: route.scores.comfort,
+          score: route.scores.total
+        })),
       meta: {
-        scenario,
+        origin,
+        destination,
+        scenario: scenario.name,
+        scenarios: scenario.active,
+        weather,
+        weights: this._getWeights(baseWeights, scenario),
         preference,
+        valueOfTime,
+        constraints: context.constraints.toJSON(),
         totalCandidates: allRoutes.length,
+        droppedByServiceHours: dropped,
+        arriveBy: arrival && {
+          arriveBy: arrival.arriveBy.toISOString(),
+          buffer: arrival.buffer,
+          deadline: arrival.deadline.toISOString(),
+          earliestDeparture: time.toISOString(),
+          planningTime: context.time.toISOString(),
+          droppedByDeadline
+        },
+        partial: budget.exhausted,
+        budget: budget.toJSON(),
+        dataSources,
+        degraded: context.errors.length > 0 || dataSources.offline > 0,
+        apiErrors: context.errors.map(error => error.toJSON()),
+        crs,
         calculatedAt: new Date().toISOString()
       }
+    }, crs);
+  }
+
+  /**
+   * 出发时刻扫描: 在出发时间窗内按步长逐个时刻评估候选方案,给出各方式的用时/费用曲线和推荐出发时刻
+   * 候选方案只在窗口起点生成一次(不额外消耗调用),各时刻按拥堵曲线换算打车用时、重新计价并校验首末班车
+   * @param {Object} params - {origin, destination, from, to, stepMinutes, preference, valueOfTime, weather, luggage, options, crs}
+   * @returns {Promise<Object>} {recommendedDeparture, timeline, meta}
+   */
+  async planDepartureWindow(params) {
+    const {
+      from,
+      to,
+      stepMinutes = 15,
+      preference = 'balance',
+      options = {}
+    } = params;
+
+    const context = this._createContext(from, options, params.crs);
+    const { budget, crs } = context;
+    const { origin, destination } = await this._resolvePlaces(params, context);
+
+    console.log(`\n========== 开始出发时刻扫描 ==========`);
+    console.log(`起点: ${origin.name}`);
+    console.log(`终点: ${destination.name}`);
+    console.log(`时间窗: ${formatBeijingDateTime(from)} ~ ${formatBeijingDateTime(to)},每${stepMinutes}分钟`);
+
+    const weather = params.weather ?? await this.weatherService.getWeather(origin, from);
+    const facts = { origin, destination, weather, luggage: params.luggage };
+    context.scenario = this._detectScenario({ ...facts, time: from });
+    const allRoutes = await this._generateAllRoutes(origin, destination, context);
+    console.log(`生成候选方案: ${allRoutes.length} 个`);
+    const baseWeights = this._baseWeights(preference, options.weights);
+    const valueOfTime = normalizeValueOfTime(params.valueOfTime);
+
+    const timeline = [];
+    const pool = [];
+    const scenarios = new Map(); // 出发时刻 → 场景,合并评分时各方案按自己出发时刻的场景调整权重和舒适度
+    for (let time = new Date(from); time <= to; time = new Date(time.getTime() + stepMinutes * 60000)) {
+      const scenario = this._detectScenario({ ...facts, time });
+      // 打车费用随时段变化,换算后可能超出费用上限
+      const retimed = allRoutes
+        .map(route => this._retimeRoute(route, from, time, scenario, context))
+        .filter(route => !context.constraints.violation(route));
+      const runnableRoutes = this._applyServiceHours(retimed, time).routes
+        .map(route => crowdingModel.annotate(reliabilityModel.evaluate(route, time), time));
+      const scoredRoutes = this._calculateScores(runnableRoutes, baseWeights, scenario, valueOfTime);
+      const { recommended } = this._recommend(scoredRoutes, scenario, this._getWeights(baseWeights, scenario), valueOfTime);
+
+      timeline.push({
+        departAt: time.toISOString(),
+        scenario: scenario.name,
+        modes: this._bestByType(scoredRoutes, time),
+        recommended: recommended && this._timelineEntry(recommended, time)
+      });
+      scenarios.set(time.toISOString(), scenario);
+      pool.push(...runnableRoutes.map(route => ({ ...route, departAt: time.toISOString() })));
+    }
+
+    // 推荐出发时刻: 各时刻的方案合并评分(时间/费用在整个时间窗内归一化),得分相同取较早时刻
+    const best = this._calculateScores(pool, baseWeights, route => scenarios.get(route.departAt), valueOfTime)
+      .reduce((top, route) => (!top || route.scores.total > top.scores.total ? route : top), null);
+    const dataSources = this._summarizeDataSources(allRoutes);
+
+    console.log(`推荐出发: ${best ? formatBeijingDateTime(new Date(best.departAt)) : '无可行方案'}`);
+    console.log(`========== 扫描完成 ==========\n`);
+
+    return convertResultCrs({
+      recommendedDeparture: best && {
+        departAt: best.departAt,
+        route: { ...best, tags: ['推荐出发时刻', best.summary.description] }
+      },
+      timeline,
+      meta: {
+        origin,
+        destination,
+        window: { from: from.toISOString(), to: to.toISOString(), stepMinutes },
+        weather,
+        preference,
+        valueOfTime,
+        constraints: context.constraints.toJSON(),
+        totalCandidates: allRoutes.length,
+        partial: budget.exhausted,
+        budget: budget.toJSON(),
+        dataSources,
+        degraded: context.errors.length > 0 || dataSources.offline > 0,
+        apiErrors: context.errors.map(error => error.toJSON()),
+        crs,
+        calculatedAt: new Date().toISOString()
+      }
+    }, crs);
+  }
+
+  /**
+   * 多站点行程: 按站点顺序逐段规划,每段的出发时刻为上一站的到达时刻加等待和停留时长,
+   * 各段按实际出发时刻识别场景;站点有到达时间窗时优先选能按时到达的方案
+   * optimizeOrder 时先按行程出发时刻估算站点之间的广义费用,选出迟到最少、广义费用最低的访问顺序再逐段规划;
+   * 未给出 valueOfTime 时按 DEFAULT_VALUE_OF_TIME 估算,各段仍按 preference 评分
+   * 估算顺序的全部站点对共用一份调用预算,之后逐段规划时每段单独计算(options.maxApiCalls / timeoutMs)
+   * @param {Object} params - {stops, time, optimizeOrder, preference, valueOfTime, weather, luggage, options, crs}
+   *   stops 为 [{place, dwellMinutes, window: {from, to}|null, fixed}]
+   * @returns {Promise<Object>} {order, stops, legs, summary, meta}
+   */
+  async planItinerary(params) {
+    const {
+      time = new Date(), // 从首站出发的时刻
+      preference = 'balance',
+      options = {}
+    } = params;
+    const valueOfTime = normalizeValueOfTime(params.valueOfTime);
+    const orderingValueOfTime = valueOfTime || normalizeValueOfTime(DEFAULT_VALUE_OF_TIME);
+
+    const context = this._createContext(time, options, params.crs);
+    const { crs } = context;
+
+    // 站点只解析一次,各段直接以 GCJ-02 坐标规划
+    const places = await Promise.all(params.stops.map((stop, index) =>
+      this.placeResolver.resolve(stop.place, `stops[${index}].place`, context)));
+    const stops = params.stops.map((stop, index) => ({ ...stop, place: places[index] }));
+
+    console.log(`\n========== 开始行程规划 ==========`);
+    console.log(`站点: ${places.map(place => place.name).join(' → ')}`);
+
+    // 同一段在同一时刻出发只规划一次(估算顺序时的首段可直接复用),预算耗尽的不完整结果不复用
+    const plans = new Map();
+    const planLeg = async (from, to, departAt, budget) => {
+      const key = `${from}-${to}@${departAt.getTime()}`;
+      if (!plans.has(key)) {
+        plans.set(key, this.planRoute({
+          origin: stops[from].place,
+          destination: stops[to].place,
+          time: departAt,
+          preference,
+          valueOfTime: params.valueOfTime,
+          weather: params.weather,
+          luggage: params.luggage,
+          options,
+          crs: 'gcj02',
+          budget
+        }));
+      }
+      const result = await plans.get(key);
+      if (result.meta.partial) plans.delete(key);
+      return result;
+    };
+
+    // 1. 访问顺序
+    const requested = stops.map((stop, index) => index);
+    const ordering = params.optimizeOrder
+      ? await this._optimizeStopOrder(stops, time, planLeg, orderingValueOfTime, this._createBudget(options))
+      : { order: requested, evaluatedOrders: 1, estimatedSaving: null, budget: null };
+    const { order } = ordering;
+
+    // 2. 按顺序逐段规划,到达时刻顺延为下一段的出发时刻
+    const visits = [{ index: order[0], name: places[order[0]].name, place: places[order[0]], departAt: time.toISOString() }];
+    const legs = [];
+    const results = [];
+    let departAt = time;
+    for (let i = 1; i < order.length; i++) {
+      const stop = stops[order[i]];
+      const result = await planLeg(order[i - 1], order[i], departAt);
+      results.push(result);
+
+      const choice = this._chooseLegRoute(result, departAt, stop);
+      if (!choice) {
+        console.log(`⚠️  ${places[order[i - 1]].name} → ${stop.place.name} 无可行方案,行程中断`);
+        break;
+      }
+
+      const visit = arriveAtStop(stop, new Date(departAt.getTime() + choice.route.totalDuration * 60000));
+      legs.push({
+        from: order[i - 1],
+        to: order[i],
+        departAt: departAt.toISOString(),
+        arriveAt: visit.arriveAt.toISOString(),
+        scenario: result.meta.scenario,
+        weather: result.meta.weather,
+        chosenBy: choice.chosenBy,
+        route: choice.route
+      });
+      visits.push({
+        index: order[i],
+        name: stop.place.name,
+        place: stop.place,
+        arriveAt: visit.arriveAt.toISOString(),
+        waitMinutes: visit.waitMinutes,
+        lateMinutes: visit.lateMinutes,
+        ...(i < order.length - 1 && { dwellMinutes: stop.dwellMinutes || 0, departAt: visit.departAt.toISOString() }),
+        window: stop.window && { from: stop.window.from?.toISOString() ?? null, to: stop.window.to?.toISOString() ?? null }
+      });
+      departAt = visit.departAt;
+    }
+
+    const feasible = legs.length === order.length - 1;
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    const waitMinutes = sum(visits.map(visit => visit.waitMinutes || 0));
+    const arriveAt = visits[visits.length - 1].arriveAt;
+    const summary = {
+      feasible,
+      departAt: time.toISOString(),
+      arriveAt: feasible ? arriveAt : null,
+      totalMinutes: feasible ? Math.round((new Date(arriveAt) - time) / 60000) : null,
+      travelMinutes: sum(legs.map(leg => leg.route.totalDuration)),
+      waitMinutes,
+      dwellMinutes: sum(visits.map(visit => visit.dwellMinutes || 0)),
+      lateMinutes: sum(visits.map(visit => visit.lateMinutes || 0)),
+      totalCost: Math.round(sum(legs.map(leg => leg.route.totalCost)) * 10) / 10,
+      // 广义费用含等待时间窗开始的时间成本
+      generalizedCost: valueOfTime
+        ? Math.round((sum(legs.map(leg => leg.route.generalizedCost.total)) + waitMinutes * valueOfTime.base / 60) * 10) / 10
+        : null
     };
+
+    console.log(`行程${feasible ? `到达: ${formatBeijingDateTime(new Date(arriveAt))}` : '不可行'}`);
+    console.log(`========== 行程规划完成 ==========\n`);
+
+    return convertResultCrs({
+      order,
+      stops: visits,
+      legs,
+      summary,
+      meta: {
+        preference,
+        valueOfTime,
+        ordering: {
+          optimized: Boolean(params.optimizeOrder),
+          requested,
+          valueOfTime: params.optimizeOrder ? orderingValueOfTime : null,
+          evaluatedOrders: ordering.evaluatedOrders,
+          estimatedSaving: ordering.estimatedSaving,
+          budget: ordering.budget
+        },
+        partial: Boolean(ordering.budget?.exceeded) || results.some(result => result.meta.partial),
+        degraded: context.errors.length > 0 || results.some(result => result.meta.degraded),
+        apiErrors: [...context.errors.map(error => error.toJSON()), ...results.flatMap(result => result.meta.apiErrors)],
+        crs,
+        calculatedAt: new Date().toISOString()
+      }
+    }, crs);
   }
 
   /**
-   * 1. 场景识别引擎
+   * 选出广义费用最低的访问顺序
+   * 相邻可能出现的站点对都按行程出发时刻规划一次,用推荐方案的用时和广义费用推算各候选顺序
+   * 广义费用按 valueOfTime 重新计算,各段未按时间价值模式评分时推荐方案上没有 generalizedCost
+   * 各站点对共用 budget,预算耗尽后不再规划剩余站点对,耗尽时规划到一半的站点对不计入估算,含未估算站点对的顺序不参与比较
+   * @returns {Promise<Object>} {order, evaluatedOrders, estimatedSaving, budget} estimatedSaving 为相对请求顺序预估节省的广义费用(元)
    */
-  _detectScenario(params) {
-    const { origin, destination, time } = params;
-    const hour = time.getHours();
+  async _optimizeStopOrder(stops, time, planLeg, valueOfTime, budget) {
+    const orders = stopOrders(stops);
+    const pairs = new Map();
+    for (const order of orders) {
+      for (let i = 1; i < order.length; i++) pairs.set(`${order[i - 1]}-${order[i]}`, [order[i - 1], order[i]]);
+    }
 
-    // 场景1: 机场/火车站
-    if (destination.name?.includes('机场') || destination.name?.includes('火车站')) {
-      return '赶路模式';
+    // 逐对规划,避免同时发起过多高德调用
+    const estimates = new Map();
+    for (const [key, [from, to]] of pairs) {
+      const { recommended, meta } = await planLeg(from, to, time, budget);
+      if (meta.partial || budget.exhausted) break;
+      estimates.set(key, recommended && {
+        duration: recommended.totalDuration,
+        generalizedCost: generalizedCost(recommended, valueOfTime).total
+      });
     }
 
-    // 场景2: 深夜出行
-    if (hour >= 23 || hour < 5) {
-      return '深夜模式';
+    const candidates = orders
+      .map(order => estimateOrder(order, stops, time, (from, to) => estimates.get(`${from}-${to}`), valueOfTime.base))
+      .filter(Boolean);
+    if (budget.exhausted) {
+      console.log(`⚠️  估算访问顺序时调用预算耗尽(${budget.exceeded}),已规划 ${estimates.size}/${pairs.size} 个站点对`);
+    }
+    if (candidates.length === 0) {
+      return { order: orders[0], evaluatedOrders: orders.length, estimatedSaving: null, budget: budget.toJSON() };
     }
 
-    // 场景3: 早晚高峰
-    if ((hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 19)) {
-      return '高峰模式';
+    const best = [...candidates].sort(compareEstimates)[0];
+    const requested = candidates.find(candidate => candidate.order === orders[0]);
+    console.log(`访问顺序: 评估 ${orders.length} 种,选定 ${best.order.join(' → ')}`);
+
+    return {
+      order: best.order,
+      evaluatedOrders: orders.length,
+      estimatedSaving: requested ? Math.round((requested.generalizedCost - best.generalizedCost) * 10) / 10 : null,
+      budget: budget.toJSON()
+    };
+  }
+
+  /**
+   * 行程中一段选用的方案: 推荐方案能在站点时间窗结束前到达则用推荐方案,
+   * 否则取能按时到达的方案中综合得分最高的,都赶不上时取最快方案
+   * @returns {Object|null} {route, chosenBy: recommended | window | fastest},无可行方案时返回 null
+   */
+  _chooseLegRoute(result, departAt, stop) {
+    const { recommended } = result;
+    if (!recommended) return null;
+
+    const deadline = stop.window?.to;
+    const onTime = route => new Date(departAt.getTime() + route.totalDuration * 60000) <= deadline;
+    if (!deadline || onTime(recommended)) return { route: recommended, chosenBy: 'recommended' };
+
+    const best = result.allRoutes
+      .filter(onTime)
+      .reduce((top, route) => (!top || route.scores.total > top.scores.total ? route : top), null);
+    return best ? { route: best, chosenBy: 'window' } : { route: result.fastest, chosenBy: 'fastest' };
+  }
+
+  /**
+   * 返回给客户端的方案: 帕累托前沿上的方案全部保留,其余按综合得分补足 MAX_ROUTES 个,保持原顺序
+   */
+  _selectRoutes(scoredRoutes) {
+    const others = scoredRoutes
+      .filter(route => !route.pareto)
+      .sort((a, b) => b.scores.total - a.scores.total);
+    const frontSize = scoredRoutes.length - others.length;
+    const selected = new Set(others.slice(0, Math.max(0, MAX_ROUTES - frontSize)));
+    return scoredRoutes.filter(route => route.pareto || selected.has(route));
+  }
+
+  /**
+   * 单次请求的上下文,作为 options 传给提供方和方案生成器
+   * @param {RequestBudget} budget - 共用的调用预算,缺省按 options 新建
+   */
+  _createContext(time, options, requestedCrs, budget = null) {
+    // 输入/输出坐标系,内部统一使用 GCJ-02
+    const crs = normalizeCrs(requestedCrs);
+    if (!crs) {
+      throw new Error(`不支持的坐标系: ${requestedCrs}`);
     }
 
-    return '日常模式';
+    return {
+      time,
+      scenario: null,
+      constraints: new RouteConstraints(options.constraints),
+      taxiProvider: options.taxiProvider,
+      bikeProvider: options.bikeProvider,
+      bikeCard: options.bikeCard,
+      bypassCache: Boolean(options.bypassCache),
+      budget: budget || this._createBudget(options),
+      limit: createLimiter(PLAN_CONCURRENCY),
+      errors: [], // 本次规划遇到的高德错误
+      crs
+    };
   }
 
   /**
-   * 2. 生成所有候选方案
+   * 按 options.maxApiCalls / timeoutMs 新建调用预算
    */
-  async _generateAllRoutes(origin, destination) {
-    const allRoutes = [];
+  _createBudget(options) {
+    return new RequestBudget({
+      maxCalls: options.maxApiCalls || PLAN_MAX_API_CALLS,
+      timeoutMs: options.timeoutMs || PLAN_TIMEOUT_MS
+    });
+  }
+
+  /**
+   * 起终点解析(地址/POI id → 坐标)
+   */
+  async _resolvePlaces(params, context) {
+    const [origin, destination] = await Promise.all([
+      this.placeResolver.resolve(params.origin, 'start', context),
+      this.placeResolver.resolve(params.destination, 'end', context)
+    ]);
+    return { origin, destination };
+  }
+
+  /**
+   * 把在 baseTime 出发生成的方案换算到 time 出发
+   * 打车段按拥堵曲线换算行驶时间、按时段重估等车时间并重新计价,其余分段不受路况影响
+   */
+  _retimeRoute(route, baseTime, time, scenario, context) {
+    let baseElapsed = 0;
+    let elapsed = 0;
+    let durationDelta = 0;
+    let costDelta = 0;
+
+    const segments = route.segments.map(seg => {
+      const baseStart = new Date(baseTime.getTime() + baseElapsed * 60000);
+      const start = new Date(time.getTime() + elapsed * 60000);
+      baseElapsed += seg.duration;
+
+      if (seg.mode !== 'taxi' || seg.driveDuration === undefined) {
+        elapsed += seg.duration;
+        return seg;
+      }
 
-    try {
-      // 2.1 纯地铁方案
-      console.log('  - 生成纯地铁方案...');
-      const subwayRoutes = await amapService.getSubwayRoutes(origin, destination);
-      subwayRoutes.forEach(route => {
-        route.type = 'subway';
-        route.totalDuration = route.duration;
-        route.totalCost = route.cost;
-        route.totalDistance = route.distance;
+      const driveDuration = trafficProfile.rescale(seg.driveDuration, baseStart, start);
+      const waitTime = reliabilityModel.taxiWait(seg.pickupType, start, scenario.taxiWaitFactor);
+      const fare = taxiFare.estimate({
+        distance: seg.distance,
+        duration: driveDuration,
+        time: start,
+        pricing: scenario.pricing,
+        provider: context.taxiProvider,
+        tolls: seg.fare.tolls
       });
-      allRoutes.push(...subwayRoutes);
+      const duration = driveDuration + waitTime;
 
-      // 2.2 纯打车方案
-      console.log('  - 生成纯打车方案...');
-      const taxiRoute = await this._generateTaxiRoute(origin, destination);
-      if (taxiRoute) {
-        allRoutes.push(taxiRoute);
+      durationDelta += duration - seg.duration;
+      costDelta += fare.total - seg.cost;
+      elapsed += duration;
+      return { ...seg, duration, driveDuration, waitTime, cost: fare.total, fare };
+    });
+
+    return {
+      ...route,
+      segments,
+      totalDuration: route.totalDuration + durationDelta,
+      totalCost: Math.round((route.totalCost + costDelta) * 10) / 10
+    };
+  }
+
+  /**
+   * 各方案类型(subway/taxi/mixed)中得分最高的方案
+   */
+  _bestByType(scoredRoutes, time) {
+    const best = {};
+    for (const route of scoredRoutes) {
+      if (!best[route.type] || route.scores.total > best[route.type].scores.total) {
+        best[route.type] = route;
       }
+    }
+    return Object.fromEntries(Object.entries(best).map(([type, route]) => [type, this._timelineEntry(route, time)]));
+  }
+
+  _timelineEntry(route, time) {
+    return {
+      id: route.id,
+      description: route.summary.description,
+      duration: route.totalDuration,
+      cost: route.totalCost,
+      arriveAt: new Date(time.getTime() + route.totalDuration * 60000).toISOString(),
+      score: route.scores.total
+    };
+  }
+
+  /**
+   * 1. 场景识别引擎
+   * 规则见 config/scenarioRules.js: 高峰、深夜、机场/火车站(起终点任一)、雨雪、节假日、携带行李
+   * @param {Object} facts - {origin, destination, time, weather, luggage}
+   * @returns {Object} 场景画像,见 ScenarioEngine.detect
+   */
+  _detectScenario(facts) {
+    return scenarioEngine.detect(facts);
+  }
+
+  /**
+   * 2. 生成所有候选方案
+   * 纯地铁、纯打车、混合方案并发生成,任一类失败(含预算耗尽)不影响其他类
+   * 不满足用户约束的方案在生成时剔除(混合方案见 MixedRouteGenerator),剔除情况记录在 context.constraints
+   */
+  async _generateAllRoutes(origin, destination, context) {
+    console.log('  - 生成纯地铁/纯打车/混合方案...');
+    const { constraints } = context;
+    const taxiAllowed = constraints.allowsMode('taxi');
+    if (!taxiAllowed) constraints.reject('noTaxi', 'taxi_full');
+
+    const results = await Promise.allSettled([
+      // 2.1 纯地铁方案(禁用地铁时仍保留纯公交方案)
+      // 复制后再补充字段,不改动提供方缓存或录像中的对象
+      this.provider.getSubwayRoutes(origin, destination, context).then(subwayRoutes => constraints.filter(
+        subwayRoutes.map(route => ({
+          ...route,
+          type: 'subway',
+          totalDuration: route.duration,
+          totalCost: route.cost,
+          totalDistance: route.distance
+        }))
+      )),
+
+      // 2.2 纯打车方案
+      taxiAllowed
+        ? this._generateTaxiRoute(origin, destination, context).then(taxiRoute => constraints.filter(taxiRoute ? [taxiRoute] : []))
+        : Promise.resolve([]),
 
       // 2.3 混合方案
-      console.log('  - 生成混合方案...');
-      const stations = await mixedRouteGenerator.getSubwayStationsAlongRoute(origin, destination);
-      const mixedRoutes = await mixedRouteGenerator.generateMixedRoutes(origin, destination, stations);
-      allRoutes.push(...mixedRoutes);
+      this.mixedRouteGenerator.getSubwayStationsAlongRoute(origin, destination)
+        .then(stations => this.mixedRouteGenerator.generateMixedRoutes(origin, destination, stations, context))
+    ]);
 
-    } catch (error) {
-      console.error('生成路线失败:', error.message);
+    const allRoutes = [];
+    for (const result of results) {
+      if (result.status === 'fulfilled') {
+        allRoutes.push(...result.value);
+      } else if (!(result.reason instanceof BudgetExceededError)) {
+        console.error('生成路线失败:', result.reason.message);
+      }
     }
 
     return allRoutes;
@@ -122,11 +704,22 @@ class RoutePlannerService {
   /**
    * 生成纯打车方案
    */
-  async _generateTaxiRoute(origin, destination) {
-    const driving = await amapService.getDrivingRoute(origin, destination);
+  async _generateTaxiRoute(origin, destination, context) {
+    const driving = await this.provider.getDrivingRoute(origin, destination, context);
     if (!driving) return null;
 
-    const cost = this._estimateTaxiCost(driving.distance, driving.duration);
+    const fare = taxiFare.estimate({
+      distance: driving.distance,
+      duration: driving.duration,
+      time: context.time,
+      pricing: context.scenario.pricing,
+      provider: context.taxiProvider,
+      tolls: driving.tolls
+    });
+
+    // 等车时间按上车点类型(机场/火车站排队)和时段估算
+    const pickupType = classifyPlace(origin);
+    const waitTime = reliabilityModel.taxiWait(pickupType, context.time, context.scenario.taxiWaitFactor);
 
     return {
       id: 'taxi_full',
@@ -136,46 +729,81 @@ class RoutePlannerService {
         from: origin.name,
         to: destination.name,
         distance: driving.distance,
-        duration: driving.duration,
-        cost,
-        waitTime: 5
+        duration: driving.duration + waitTime,
+        driveDuration: driving.duration,
+        cost: fare.total,
+        fare,
+        waitTime,
+        pickupType
       }],
-      totalDuration: driving.duration + 5,
-      totalCost: cost,
-      totalDistance: driving.distance
+      totalDuration: driving.duration + waitTime,
+      totalCost: fare.total,
+      totalDistance: driving.distance,
+      dataSource: driving.dataSource
     };
   }
 
   /**
-   * 打车费用估算(考虑高峰/深夜加价)
+   * 各数据来源的方案数 {live, cached, replay, offline}
    */
-  _estimateTaxiCost(distance, duration, scenario = '日常模式') {
-    const baseFare = 13;
-    const perKm = 2.3;
-    const perMin = 0.5;
-
-    let cost = baseFare;
-    cost += Math.max(0, (distance / 1000 - 3)) * perKm;
-    cost += duration * perMin;
-
-    // 高峰加价
-    if (scenario === '高峰模式') {
-      cost *= 1.3;
+  _summarizeDataSources(routes) {
+    const counts = Object.fromEntries(DATA_SOURCES.map(source => [source, 0]));
+    for (const route of routes) {
+      if (route.dataSource) counts[route.dataSource]++;
     }
+    return counts;
+  }
+
+  /**
+   * 首末班车校验
+   * 剔除地铁段已停运的方案;首班车前出发的计入等车时间;需赶末班车的明确提示
+   */
+  _applyServiceHours(routes, time) {
+    const result = [];
+    let dropped = 0;
+
+    for (const route of routes) {
+      if (!route.segments.some(seg => seg.mode === 'subway')) {
+        result.push(route);
+        continue;
+      }
+
+      const check = subwaySchedule.checkRoute(route, time);
+      if (!check.feasible) {
+        dropped++;
+        continue;
+      }
+
+      const warnings = [...(route.warnings || [])];
+      if (check.waitMinutes > 0) {
+        warnings.push(`需等待首班车约${check.waitMinutes}分钟`);
+      }
+      check.legs
+        .filter(leg => leg.status === 'last_train')
+        .forEach(leg => warnings.push(`需在${leg.from}赶乘${leg.line}末班车(${leg.lastDeparture})`));
 
-    // 深夜加价
-    if (scenario === '深夜模式') {
-      cost *= 1.5;
+      result.push({
+        ...route,
+        totalDuration: route.totalDuration + check.waitMinutes,
+        serviceHours: check,
+        warnings
+      });
     }
 
-    return Math.round(cost * 10) / 10;
+    return { routes: result, dropped };
   }
 
   /**
    * 3. 综合评分系统
+   * 时间价值模式下综合得分 = 最低广义费用 / 本方案广义费用(0~1,最优方案为1),只与最优方案比较,不随其他方案的增减变化
+   * @param {Object|Function} scenario - 场景;合并评分不同出发时刻的方案时为 route => 该方案出发时刻的场景
    */
-  _calculateScores(routes, preference, scenario) {
+  _calculateScores(routes, baseWeights, scenario, valueOfTime = null) {
     if (routes.length === 0) return [];
+    const scenarioOf = typeof scenario === 'function' ? scenario : () => scenario;
+
+    const generalized = valueOfTime && routes.map(route => generalizedCost(route, valueOfTime));
+    const minGeneralized = generalized && Math.min(...generalized.map(cost => cost.total));
 
     // 找到最值用于归一化
     const minTime = Math.min(...routes.map(r => r.totalDuration));
@@ -183,34 +811,37 @@ class RoutePlannerService {
     const minCost = Math.min(...routes.map(r => r.totalCost));
     const maxCost = Math.max(...routes.map(r => r.totalCost));
 
-    return routes.map(route => {
+    return routes.map((route, index) => {
       // 时间得分 (0-100)
       const timeScore = maxTime === minTime ? 100 :
         100 * (1 - (route.totalDuration - minTime) / (maxTime - minTime));
 
+      // 准点得分 (0-100,仅到达时间模式): 按最早出发时刻出发能在截止时间前到达的概率
+      const punctualityScore = route.arriveBy ? 100 * route.reliability.onTimeProbability : null;
+
       // 费用得分 (0-100)
       const costScore = maxCost === minCost ? 100 :
         100 * (1 - (route.totalCost - minCost) / (maxCost - minCost));
 
       // 舒适度得分 (0-100)
-      const comfortScore = this._calculateComfortScore(route);
+      const comfortScore = this._calculateComfortScore(route, scenarioOf(route));
 
       // 根据偏好和场景调整权重
-      const weights = this._getWeights(preference, scenario);
+      const weights = this._getWeights(baseWeights, scenarioOf(route));
 
       // 综合得分
-      const totalScore = (
-        timeScore * weights.time +
-        costScore * weights.cost +
-        comfortScore * weights.comfort
-      ) / 100;
+      const totalScore = generalized
+        ? (generalized[index].total > 0 ? minGeneralized / generalized[index].total : 1)
+        : weightedScore({ time: timeScore, punctuality: punctualityScore, cost: costScore, comfort: comfortScore }, weights) / 100;
 
       return {
         ...route,
+        ...(generalized && { generalizedCost: generalized[index] }),
         scores: {
           time: Math.round(timeScore),
           cost: Math.round(costScore),
           comfort: Math.round(comfortScore),
+          ...(punctualityScore !== null && { punctuality: Math.round(punctualityScore) }),
           total: Math.round(totalScore * 10) / 10
         },
         summary: this._generateSummary(route)
@@ -220,23 +851,38 @@ class RoutePlannerService {
 
   /**
    * 舒适度评分
+   * @param {Object} route - 方案
+   * @param {Object} scenario - 场景画像,雨雪、行李等场景对换乘/步行/骑行额外扣分
    */
-  _calculateComfortScore(route) {
+  _calculateComfortScore(route, scenario) {
+    const extra = scenario?.comfort || { transfer: 0, walkPer500m: 0, bikePerKm: 0 };
     let score = 100;
 
-    // 计算换乘次数
-    const transfers = route.segments.filter((seg, i) =>
-      i > 0 && seg.mode === 'subway' && route.segments[i - 1].mode === 'subway'
-    ).length;
+    // 计算换乘次数(公共交通乘车段之间,中间步行不打断换乘)
+    const transitLegs = route.segments.filter(seg => TRANSIT_MODES.includes(seg.mode));
+    const transfers = Math.max(0, transitLegs.length - 1);
 
-    score -= transfers * 15;
+    // 每次换乘按站内步行时间加扣(同台换乘扣分最少,西直门等长通道换乘扣分多)
+    const transferWalk = transitLegs.slice(0, -1).reduce((sum, seg) => sum + crowdingModel.transferWalk(seg.to), 0);
+    score -= transfers * (10 + extra.transfer) + transferWalk * 1.5;
+
+    // 地铁拥挤: 满载率超过0.7的部分扣分,预计站立乘车的时间另行扣分
+    for (const seg of transitLegs) {
+      if (!seg.crowding) continue;
+      score -= Math.max(0, seg.crowding.loadFactor - 0.7) * 25;
+      score -= seg.duration * (1 - seg.crowding.seatProbability) * 0.2;
+    }
+
+    // 公交受路况影响、站立时间长,舒适度低于轨道交通
+    const busLegs = transitLegs.filter(seg => seg.mode === 'bus').length;
+    score -= busLegs * 5;
 
     // 计算步行距离
     const walkDistance = route.segments
       .filter(seg => seg.mode === 'walk')
       .reduce((sum, seg) => sum + seg.distance, 0);
 
-    score -= Math.floor(walkDistance / 500) * 5;
+    score -= Math.floor(walkDistance / 500) * (5 + extra.walkPer500m);
 
     // 打车等待
     const taxiWait = route.segments
@@ -245,36 +891,47 @@ class RoutePlannerService {
 
     score -= taxiWait * 2;
 
+    // 骑行体力消耗
+    const bikeDistance = route.segments
+      .filter(seg => seg.mode === 'bike')
+      .reduce((sum, seg) => sum + seg.distance, 0);
+
+    score -= Math.floor(bikeDistance / 1000) * (4 + extra.bikePerKm);
+
     return Math.max(0, score);
   }
 
   /**
-   * 获取权重(根据偏好和场景)
+   * 基础权重: 用户自定义权重(归一化)优先,否则取偏好预设
+   * @param {string} preference - time | cost | balance
+   * @param {Object} custom - options.weights {time, cost, comfort},缺省项按0计
    */
-  _getWeights(preference, scenario) {
-    // 基础权重
-    const baseWeights = {
-      time: { time: 0.7, cost: 0.2, comfort: 0.1 },
-      cost: { time: 0.2, cost: 0.7, comfort: 0.1 },
-      balance: { time: 0.4, cost: 0.4, comfort: 0.2 }
-    };
-
-    let weights = baseWeights[preference] || baseWeights.balance;
-
-    // 场景调整
-    if (scenario === '赶路模式') {
-      weights = { time: 0.8, cost: 0.1, comfort: 0.1 };
-    } else if (scenario === '深夜模式') {
-      weights = { time: 0.4, cost: 0.3, comfort: 0.3 }; // 更重视舒适
+  _baseWeights(preference, custom) {
+    if (custom) {
+      const weights = { time: custom.time || 0, cost: custom.cost || 0, comfort: custom.comfort || 0 };
+      const total = weights.time + weights.cost + weights.comfort;
+      return Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, weight / total]));
     }
 
-    return weights;
+    return PREFERENCE_WEIGHTS[preference] || PREFERENCE_WEIGHTS.balance;
+  }
+
+  /**
+   * 获取权重: 在基础权重上叠加各生效场景的权重增减
+   */
+  _getWeights(baseWeights, scenario) {
+    return scenarioEngine.applyWeights(baseWeights, scenario);
   }
 
   /**
    * 4. 智能推荐
+   * 推荐方案附带 explanation(得分构成、与其他方案的比较及反事实),见 recommendationExplainer
+   * @param {Array} scoredRoutes - 已评分的方案
+   * @param {Object} scenario - 场景画像
+   * @param {Object} weights - 叠加场景后的权重
+   * @param {Object} valueOfTime - 时间价值,未设置为 null
    */
-  _recommend(scoredRoutes, scenario, preference) {
+  _recommend(scoredRoutes, scenario, weights, valueOfTime = null) {
     if (scoredRoutes.length === 0) {
       return { recommended: null, fastest: null, cheapest: null };
     }
@@ -282,46 +939,51 @@ class RoutePlannerService {
     // 按不同维度排序
     const byTime = [...scoredRoutes].sort((a, b) => a.totalDuration - b.totalDuration);
     const byCost = [...scoredRoutes].sort((a, b) => a.totalCost - b.totalCost);
-    const byScore = [...scoredRoutes].sort((a, b) => b.scores.total - a.scores.total);
-
-    // 添加标签
-    const fastest = { ...byTime[0], tags: ['最快方案', `比最慢快${Math.round((byTime[byTime.length - 1].totalDuration - byTime[0].totalDuration))}分钟`] };
-    const cheapest = { ...byCost[0], tags: ['最省钱', `比最贵省¥${Math.round((byCost[byCost.length - 1].totalCost - byCost[0].totalCost))}`] };
-    const recommended = { ...byScore[0], tags: ['推荐方案', this._getRecommendReason(byScore[0], scenario)] };
+    // scores.total 已取整,得分相同时按各项得分重新加权区分(时间价值模式按广义费用,且可能迟到的方案靠后)
+    const byScore = [...scoredRoutes].sort((a, b) => (valueOfTime
+      ? deadlineRisk(a) - deadlineRisk(b) || b.scores.total - a.scores.total || a.generalizedCost.total - b.generalizedCost.total
+      : b.scores.total - a.scores.total || weightedScore(b.scores, weights) - weightedScore(a.scores, weights)));
+
+    // 添加标签(保留方案已有的标签,如时间价值模式的边际比较)
+    const fastest = { ...byTime[0], tags: ['最快方案', `比最慢快${Math.round((byTime[byTime.length - 1].totalDuration - byTime[0].totalDuration))}分钟`, ...(byTime[0].tags || [])] };
+    const cheapest = { ...byCost[0], tags: ['最省钱', `比最贵省¥${Math.round((byCost[byCost.length - 1].totalCost - byCost[0].totalCost))}`, ...(byCost[0].tags || [])] };
+    const explanation = recommendationExplainer.explain({ recommended: byScore[0], routes: scoredRoutes, weights, scenario, valueOfTime });
+    const recommended = {
+      ...byScore[0],
+      tags: ['推荐方案', this._getRecommendReason(byScore[0], explanation), ...(byScore[0].tags || [])],
+      explanation
+    };
 
     return { recommended, fastest, cheapest };
   }
 
   /**
-   * 生成推荐理由
+   * 生成推荐理由(标签): 到达时间模式给出最晚出发时刻,时间价值模式给出广义费用,否则取相对次优方案的主要优势
    */
-  _getRecommendReason(route, scenario) {
-    if (scenario === '高峰模式') {
-      return route.type === 'subway' ? '高峰期地铁更稳定' : '省时且不堵车';
+  _getRecommendReason(route, explanation) {
+    if (route.arriveBy) {
+      const hhmm = formatBeijingTime(new Date(route.arriveBy.latestDeparture));
+      return `最晚${hhmm}出发,余量${route.arriveBy.slack}分钟`;
     }
-    if (scenario === '深夜模式') {
-      return '安全便捷';
+    if (route.generalizedCost) {
+      return `综合成本最低(约¥${Math.round(route.generalizedCost.total)},含时间成本)`;
     }
-    if (scenario === '赶路模式') {
-      return '最快到达';
-    }
-    return '综合性价比最高';
+    return explanation.reason;
   }
 
   /**
    * 生成方案摘要
    */
   _generateSummary(route) {
-    const taxiCount = route.segments.filter(s => s.mode === 'taxi').length;
-    const subwayCount = route.segments.filter(s => s.mode === 'subway').length;
+    const legCounts = Object.entries(MODE_NAMES)
+      .map(([mode, name]) => [name, route.segments.filter(s => s.mode === mode).length])
+      .filter(([, count]) => count > 0);
 
     let description = '';
-    if (route.type === 'taxi') {
-      description = '全程打车';
-    } else if (route.type === 'subway') {
-      description = '全程地铁';
+    if (legCounts.length === 1) {
+      description = `全程${legCounts[0][0]}`;
     } else {
-      description = `打车${taxiCount}段 + 地铁${subwayCount}段`;
+      description = legCounts.map(([name, count]) => `${name}${count}段`).join(' + ');
     }
 
     return {
@@ -335,4 +997,11 @@ class RoutePlannerService {
   }
 }
 
+/**
+ * 到达时间模式下出发余量低于用时波动(按 P90 可能迟到)的方案为1,其他为0
+ */
+function deadlineRisk(route) {
+  return route.arriveBy && route.arriveBy.slack < route.arriveBy.riskMinutes ? 1 : 0;
+}
+
 export default new RoutePlannerService();
@@ -0,0 +1,57 @@
+/**
+ * 路线数据提供方接口
+ * 规划服务只依赖这里列出的方法,可替换为高德以外的实现或录制回放实现
+ *
+ * 点位参数统一为 {lng, lat, name?},options 为规划上下文(见 RoutePlannerService)
+ */
+
+export class RoutingProvider {
+  /**
+   * 公交/地铁方案
+   * @returns {Promise<Array>} 方案列表,每项含 duration/distance/cost/segments/dataSource
+   */
+  async getSubwayRoutes(origin, destination, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 getSubwayRoutes`);
+  }
+
+  /**
+   * 驾车路线
+   * @returns {Promise<Object|null>} {distance, duration, tolls, dataSource},无法规划时为 null
+   */
+  async getDrivingRoute(origin, destination, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 getDrivingRoute`);
+  }
+
+  /**
+   * 骑行路线
+   * @returns {Promise<Object|null>} {distance, duration, dataSource},无法规划时为 null
+   */
+  async getBicyclingRoute(origin, destination, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 getBicyclingRoute`);
+  }
+
+  /**
+   * 地点搜索(POI 关键字)
+   * @param {Object} query - {limit}
+   * @returns {Promise<Array>} [{id, name, type, typecode, district, adcode, address, lng, lat, entrance, dataSource}]
+   */
+  async searchPlaces(keyword, query = {}, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 searchPlaces`);
+  }
+
+  /**
+   * 按 POI id 查询地点
+   * @returns {Promise<Object|null>} 字段同 searchPlaces
+   */
+  async getPlace(id, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 getPlace`);
+  }
+
+  /**
+   * 地理编码(地址 → 坐标)
+   * @returns {Promise<Object|null>} 字段同 searchPlaces
+   */
+  async geocode(address, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 geocode`);
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * 天气数据
+ * 本地替代实现: 读取环境变量 WEATHER(clear | rain | snow),缺省为晴;
+ * 接入真实天气服务时实现同样的 getWeather 接口,通过 RoutePlannerService({weatherService}) 注入
+ * 请求中显式传入 weather 时以请求为准
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const WEATHER_TYPES = ['clear', 'rain', 'snow'];
+
+export class LocalWeatherService {
+  constructor(weather = process.env.WEATHER) {
+    this.weather = WEATHER_TYPES.includes(weather) ? weather : 'clear';
+  }
+
+  /**
+   * 某地某时刻的天气
+   * @param {Object} location - {lng, lat}
+   * @param {Date} time - 时刻
+   * @returns {Promise<string>} clear | rain | snow
+   */
+  async getWeather(location, time) {
+    return this.weather;
+  }
+}
+
+export default new LocalWeatherService();
@@ -1,9 +1,20 @@
 /**
  * 测试脚本 - 验证Phase 2功能
  * 模拟: 大兴机场 → 北京人家小区(昌平)
+ *
+ * 默认使用离线数据(离线路网和估算),不访问网络、结果可复现;
+ * ROUTING_PROVIDER=record 时调用高德并录制(需配置 AMAP_KEY),ROUTING_PROVIDER=replay 时回放录像
  */
 
-import routePlanner from './services/routePlannerService.js';
+import { RoutePlannerService } from './services/routePlannerService.js';
+import { createRoutingProvider } from './services/providerFactory.js';
+import { formatBeijingTime, formatBeijingDateTime } from './utils/beijingTime.js';
+
+const CASSETTE = new URL('../fixtures/routing/daxing-changping.json', import.meta.url).pathname;
+
+// 回放模式下录像文件不存在时,创建提供方即报错
+const provider = createRoutingProvider({ mode: process.env.ROUTING_PROVIDER || 'offline', cassette: CASSETTE });
+const routePlanner = new RoutePlannerService({ provider });
 
 console.log('====================================');
 console.log('北京出行优化服务 - Phase 2 测试');
@@ -21,7 +32,16 @@ const testCase = {
     lat: 40.072345,
     name: '北京人家小区(昌平)'
   },
-  time: new Date('2025-01-06 18:00:00'), // 晚高峰
+  time: new Date('2025-01-06T18:00:00+08:00'), // 晚高峰
+  preference: 'balance'
+};
+
+// 到达时间模式: 反向赶飞机,20:30 前到达机场(自动预留值机时间)
+const arriveByCase = {
+  origin: testCase.destination,
+  destination: testCase.origin,
+  time: new Date('2025-01-06T16:00:00+08:00'),
+  arriveBy: new Date('2025-01-06T20:30:00+08:00'),
   preference: 'balance'
 };
 
@@ -30,7 +50,7 @@ async function runTest() {
     console.log('📍 测试场景:');
     console.log(`   起点: ${testCase.origin.name}`);
     console.log(`   终点: ${testCase.destination.name}`);
-    console.log(`   时间: ${testCase.time.toLocaleString('zh-CN')}`);
+    console.log(`   时间: ${formatBeijingDateTime(testCase.time)}`);
     console.log(`   偏好: ${testCase.preference}\n`);
 
     const result = await routePlanner.planRoute(testCase);
@@ -42,6 +62,9 @@ async function runTest() {
     // 推荐方案
     console.log('🏆 【推荐方案】');
     printRoute(result.recommended);
+    if (result.recommended) {
+      console.log(`\n   推荐解释: ${result.recommended.explanation.text}`);
+    }
 
     // 最快方案
     console.log('\n⚡ 【最快方案】');
@@ -59,12 +82,102 @@ async function runTest() {
       console.log(`   时间:${route.totalDuration}分钟 | 费用:¥${route.totalCost} | 综合得分:${route.scores.total}`);
     });
 
+    // 帕累托前沿
+    console.log('\n📈 【帕累托前沿】(用时/费用/舒适度互不支配)');
+    result.paretoFront.forEach(entry => {
+      console.log(`   ${entry.description} | ${entry.duration}分钟 | ¥${entry.cost} | 舒适度:${entry.comfort}`);
+    });
+
     // 元数据
     console.log('\n📌 【元数据】');
-    console.log(`   场景识别: ${result.meta.scenario}`);
+    console.log(`   场景识别: ${result.meta.scenario}(天气: ${result.meta.weather})`);
+    console.log(`   评分权重: ${JSON.stringify(result.meta.weights)}`);
     console.log(`   候选方案数: ${result.meta.totalCandidates}`);
+    console.log(`   停运剔除数: ${result.meta.droppedByServiceHours}`);
+    console.log(`   数据来源: ${JSON.stringify(result.meta.dataSources)}${result.meta.degraded ? ' (已降级)' : ''}`);
+    result.meta.apiErrors.forEach(error => {
+      console.log(`   接口错误: ${error.type} ${error.infocode || ''} ${error.message}`);
+    });
     console.log(`   计算时间: ${result.meta.calculatedAt}\n`);
 
+    // 到达时间模式
+    console.log('⏰ 【到达时间模式】');
+    console.log(`   ${arriveByCase.origin.name} → ${arriveByCase.destination.name},${formatBeijingDateTime(arriveByCase.arriveBy)} 前到达`);
+    const arriveByResult = await routePlanner.planRoute(arriveByCase);
+    const { buffer, droppedByDeadline } = arriveByResult.meta.arriveBy;
+    console.log(`   到达缓冲: ${buffer.name || '无'} ${buffer.minutes}分钟 | 无法按时到达剔除: ${droppedByDeadline}`);
+    arriveByResult.allRoutes.forEach((route, index) => {
+      const { latestDeparture, slack, riskMinutes } = route.arriveBy;
+      console.log(`${index + 1}. ${route.summary.description}`);
+      console.log(`   最晚出发:${formatBeijingTime(new Date(latestDeparture))} | 余量:${slack}分钟 | 波动:${riskMinutes}分钟 | 准点概率:${Math.round(route.reliability.onTimeProbability * 100)}% | 综合得分:${route.scores.total}`);
+    });
+    console.log('');
+
+    // 出发时刻扫描: 晚高峰前后每30分钟
+    console.log('🕒 【出发时刻扫描】');
+    const sweep = await routePlanner.planDepartureWindow({
+      ...testCase,
+      from: new Date('2025-01-06T17:00:00+08:00'),
+      to: new Date('2025-01-06T20:00:00+08:00'),
+      stepMinutes: 30
+    });
+    sweep.timeline.forEach(point => {
+      const modes = Object.entries(point.modes)
+        .map(([type, entry]) => `${getRouteTypeText(type)} ${entry.duration}分钟/¥${entry.cost}`)
+        .join(' | ');
+      console.log(`   ${formatBeijingTime(new Date(point.departAt))} ${point.scenario} | ${modes}`);
+    });
+    const best = sweep.recommendedDeparture;
+    console.log(`   推荐出发: ${best ? `${formatBeijingTime(new Date(best.departAt))} ${best.route.summary.description}` : '无'}\n`);
+
+    // 时间价值模式: 按广义费用(花费 + 用时 × 时间价值)排序,并给出边际比较
+    console.log('💰 【时间价值模式】¥60/小时,拥挤时¥90/小时');
+    const valued = await routePlanner.planRoute({ ...testCase, valueOfTime: { base: 60, crowded: 90 } });
+    valued.allRoutes.slice(0, 5).forEach((route, index) => {
+      console.log(`${index + 1}. ${route.summary.description} | ${route.totalDuration}分钟 | ¥${route.totalCost} | 广义费用:¥${route.generalizedCost.total}`);
+      if (route.tags) console.log(`   ${route.tags.join(' | ')}`);
+    });
+    if (valued.recommended) console.log(`   推荐解释: ${valued.recommended.explanation.text}`);
+    console.log('');
+
+    // 自定义权重与硬性约束: 不打车、最多换乘3次
+    console.log('🚫 【自定义权重与约束】');
+    const constrained = await routePlanner.planRoute({
+      ...testCase,
+      options: {
+        weights: { time: 2, cost: 1, comfort: 1 },
+        constraints: { noTaxi: true, maxTransfers: 3 }
+      }
+    });
+    console.log(`   评分权重: ${JSON.stringify(constrained.meta.weights)}`);
+    Object.entries(constrained.meta.constraints.eliminated).forEach(([constraint, candidates]) => {
+      console.log(`   ${constraint} 剔除: ${candidates.join(', ')}`);
+    });
+    console.log(`   推荐: ${constrained.recommended ? constrained.recommended.summary.description : '无满足约束的方案'}\n`);
+
+    // 多站点行程: 机场 → 西二旗(停留30分钟) → 昌平,按广义费用调整顺序
+    console.log('🧭 【多站点行程】');
+    const itinerary = await routePlanner.planItinerary({
+      time: testCase.time,
+      stops: [
+        { place: testCase.origin },
+        { place: { lng: 116.306, lat: 40.053, name: '西二旗' }, dwellMinutes: 30 },
+        { place: { lng: 116.348, lat: 39.999, name: '五道口' }, dwellMinutes: 20 },
+        { place: testCase.destination }
+      ],
+      optimizeOrder: true,
+      valueOfTime: 60
+    });
+    const { ordering } = itinerary.meta;
+    console.log(`   访问顺序: ${itinerary.stops.map(stop => stop.name).join(' → ')}(评估${ordering.evaluatedOrders}种,预估节省¥${ordering.estimatedSaving})`);
+    itinerary.legs.forEach(leg => {
+      console.log(`   ${formatBeijingTime(new Date(leg.departAt))} → ${formatBeijingTime(new Date(leg.arriveAt))} ${leg.scenario} | ${leg.route.summary.description} | ¥${leg.route.totalCost}`);
+    });
+    const { summary } = itinerary;
+    console.log(`   全程${summary.totalMinutes}分钟(乘车${summary.travelMinutes}分钟) | ¥${summary.totalCost} | 广义费用:¥${summary.generalizedCost}\n`);
+
+    await provider.flush?.();
+
     console.log('====================================');
     console.log('✅ 测试完成!');
     console.log('====================================\n');
@@ -83,22 +196,43 @@ function printRoute(route) {
 
   console.log(`   类型: ${getRouteTypeText(route.type)}`);
   console.log(`   总时间: ${route.totalDuration} 分钟`);
+  if (route.reliability) {
+    console.log(`   用时分布: 中位数 ${route.reliability.median} 分钟 | P90 ${route.reliability.p90} 分钟`);
+  }
   console.log(`   总费用: ¥${route.totalCost}`);
   console.log(`   综合得分: ${route.scores?.total || 'N/A'}/10`);
+  console.log(`   数据来源: ${route.dataSource || 'N/A'}`);
 
   if (route.tags && route.tags.length > 0) {
     console.log(`   标签: ${route.tags.join(' | ')}`);
   }
 
+  if (route.warnings && route.warnings.length > 0) {
+    console.log(`   ⚠️  提示: ${route.warnings.join(' | ')}`);
+  }
+
   console.log('\n   路线详情:');
   route.segments.forEach((seg, i) => {
     const icon = getModeIcon(seg.mode);
     if (seg.mode === 'taxi') {
       console.log(`   ${i + 1}. ${icon} 打车 ${seg.from} → ${seg.to}`);
-      console.log(`      距离:${(seg.distance / 1000).toFixed(1)}km | 时长:${seg.duration}分钟 | 费用:¥${seg.cost}`);
+      console.log(`      距离:${(seg.distance / 1000).toFixed(1)}km | 时长:${seg.duration}分钟 | 费用:¥${seg.cost}${seg.fare ? `(${seg.fare.providerName})` : ''}`);
+    } else if (seg.mode === 'bike') {
+      console.log(`   ${i + 1}. ${icon} 骑行 ${seg.from} → ${seg.to}`);
+      console.log(`      距离:${(seg.distance / 1000).toFixed(1)}km | 时长:${seg.duration}分钟 | 费用:¥${seg.cost}(${seg.fare.providerName}${seg.fare.cardName ? `·${seg.fare.cardName}` : ''})`);
     } else if (seg.mode === 'subway') {
       console.log(`   ${i + 1}. ${icon} ${seg.line} ${seg.from} → ${seg.to}`);
+      const gates = [seg.entrance && `${seg.entrance}进站`, seg.exit && `${seg.exit}出站`].filter(Boolean);
+      console.log(`      ${seg.stations}站 | ${seg.duration}分钟${gates.length ? ` | ${gates.join(' ')}` : ''}`);
+      if (seg.crowding) {
+        console.log(`      ${seg.crowding.level}(满载率${Math.round(seg.crowding.loadFactor * 100)}%) | 有座概率:${Math.round(seg.crowding.seatProbability * 100)}%`);
+      }
+    } else if (seg.mode === 'bus') {
+      console.log(`   ${i + 1}. ${icon} 公交 ${seg.line} ${seg.from} → ${seg.to}`);
       console.log(`      ${seg.stations}站 | ${seg.duration}分钟`);
+    } else if (seg.mode === 'rail') {
+      console.log(`   ${i + 1}. ${icon} ${seg.lineType || '铁路'} ${seg.trip || seg.line} ${seg.from} → ${seg.to}`);
+      console.log(`      ${seg.departureTime || '--'}发车 | ${seg.duration}分钟 | 费用:¥${seg.cost}`);
     } else if (seg.mode === 'walk') {
       console.log(`   ${i + 1}. 🚶 步行 ${seg.distance}米 | ${seg.duration}分钟`);
     }
@@ -117,7 +251,10 @@ function getRouteTypeText(type) {
 function getModeIcon(mode) {
   const icons = {
     'taxi': '🚕',
+    'bike': '🚲',
     'subway': '🚇',
+    'bus': '🚌',
+    'rail': '🚆',
     'walk': '🚶'
   };
   return icons[mode] || '📍';
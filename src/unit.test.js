@@ -0,0 +1,1450 @@
+/**
+ * 单元测试(node --test)
+ * 覆盖不依赖高德接口的模块,结果可精确断言;调用高德的端到端场景见 test.js
+ */
+
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import subwayNetwork from './algorithms/subwayNetwork.js';
+import subwayRouter from './algorithms/subwayRouter.js';
+import subwaySchedule from './algorithms/subwaySchedule.js';
+import { dominates, paretoFront, collapseNearDuplicates } from './algorithms/paretoFront.js';
+import trafficProfile from './algorithms/trafficProfile.js';
+import { RouteConstraints } from './algorithms/routeConstraints.js';
+import { normalizeValueOfTime, generalizedCost, marginalComparisons, DEFAULT_VALUE_OF_TIME } from './algorithms/valueOfTime.js';
+import { arriveAtStop, stopOrders, estimateOrder, compareEstimates } from './algorithms/itinerary.js';
+import recommendationExplainer from './algorithms/recommendationExplainer.js';
+import crowdingModel from './algorithms/crowdingModel.js';
+import scenarioEngine from './algorithms/scenarioEngine.js';
+import reliabilityModel from './algorithms/reliabilityModel.js';
+import arrivalDeadline from './algorithms/arrivalDeadline.js';
+import subwayFare from './pricing/subwayFare.js';
+import taxiFare from './pricing/taxiFare.js';
+import bikeFare from './pricing/bikeFare.js';
+import amapService from './services/amapService.js';
+import { fromAmapResponse, fromNetworkError, AmapAuthError, AmapServiceError, AmapRequestError } from './services/amapErrors.js';
+import { combineSources, DATA_SOURCES } from './services/dataSource.js';
+import { RecordReplayProvider, ReplayMissError } from './services/recordReplayProvider.js';
+import { RoutingProvider } from './services/routingProvider.js';
+import { createRoutingProvider } from './services/providerFactory.js';
+import { RoutePlannerService } from './services/routePlannerService.js';
+import { PlaceResolver, PlaceResolutionError } from './services/placeResolver.js';
+import { haversineDistance } from './utils/geo.js';
+import { beijingClock, beijingMidnight, formatBeijingTime } from './utils/beijingTime.js';
+import { validatePlanRequest, validatePlaceSearch, validateDepartureWindow, validateItinerary } from './api/validation.js';
+import { ValidationError, toErrorResponse } from './api/errors.js';
+import { handleRequest } from './api/router.js';
+import { createFcHandler } from './adapters/fc.js';
+import { createVercelHandler } from './adapters/vercel.js';
+import { classifyPlace } from './utils/placeType.js';
+import { normalizeCrs, wgs84ToGcj02, gcj02ToWgs84, bd09ToGcj02, gcj02ToBd09, convertResultCrs } from './utils/crs.js';
+import { TokenBucket } from './utils/rateLimiter.js';
+import { createLimiter } from './utils/concurrency.js';
+import { RequestBudget, BudgetExceededError } from './utils/requestBudget.js';
+
+test('地铁线网: 站名查询、换乘站线路与环线邻接', () => {
+  const xizhimen = subwayNetwork.getStation('西直门站');
+  assert.equal(subwayNetwork.getStation('西直门'), xizhimen);
+  assert.equal(xizhimen.name, '西直门站');
+  assert.deepEqual(xizhimen.lines, ['2号线', '4号线', '13号线']);
+  assert.equal(subwayNetwork.getStation('不存在'), null);
+
+  // 2号线为环线,首末站相邻
+  const line2 = subwayNetwork.getLine('2号线');
+  assert.equal(line2.loop, true);
+  assert.ok(subwayNetwork.getNeighbors(line2.stations[0]).some(({ to, line }) => to === line2.stations.at(-1) && line === '2号线'));
+
+  // 区间双向登记,里程相同
+  for (const { to, line, distance } of subwayNetwork.getNeighbors('西直门')) {
+    assert.ok(subwayNetwork.getNeighbors(to).some(back => back.to === '西直门' && back.line === line && back.distance === distance));
+  }
+});
+
+test('地铁线网: 最近站点与换乘站候选', () => {
+  const xizhimen = subwayNetwork.getStation('西直门');
+  const nearest = subwayNetwork.nearestStations({ lng: xizhimen.lng + 0.001, lat: xizhimen.lat }, { limit: 3 });
+  assert.equal(nearest.length, 3);
+  assert.equal(nearest[0].station, xizhimen);
+  assert.ok(nearest[0].distance < nearest[1].distance && nearest[1].distance <= nearest[2].distance);
+
+  // 大兴机场 → 昌平: 上车候选靠近起点,下车候选靠近终点,打车段都不短于2公里
+  const origin = { lng: 116.410742, lat: 39.509723 };
+  const destination = { lng: 116.29, lat: 40.19 };
+  const { startCandidates, endCandidates } = subwayNetwork.getCandidateStations(origin, destination);
+  assert.deepEqual(startCandidates.map(station => station.id), ['天宫院', '生物医药基地', '大兴新城', '新宫', '草桥']);
+  assert.deepEqual(endCandidates.map(station => station.id), ['沙河高教园', '沙河', '朱辛庄', '育知路', '西二旗']);
+  assert.ok(startCandidates.every(station => haversineDistance(origin, station) >= 2000));
+  assert.ok(endCandidates.every(station => haversineDistance(station, destination) >= 2000));
+});
+
+test('离线地铁路径: 最短用时方案在前,同线相邻区间合并为一段', () => {
+  const routes = subwayRouter.planRoutes({ lng: 116.355, lat: 39.941, name: '西直门' }, { lng: 116.461, lat: 39.909, name: '国贸' });
+  assert.deepEqual(routes.map(route => route.id), ['subway_offline_0', 'subway_offline_1', 'subway_offline_2']);
+  assert.ok(routes.every((route, i) => i === 0 || routes[i - 1].duration <= route.duration));
+
+  const [fastest] = routes;
+  assert.deepEqual(fastest.segments.map(seg => seg.mode === 'subway' ? `${seg.line}:${seg.from}-${seg.to}` : seg.mode),
+    ['walk', '4号线:西直门站-西单站', '1号线:西单站-国贸站']);
+  // 各段用时之和 + 一次换乘4分钟
+  assert.equal(fastest.duration, fastest.segments.reduce((sum, seg) => sum + seg.duration, 0) + 4);
+  assert.equal(fastest.walkDistance, fastest.segments[0].distance);
+  assert.equal(fastest.distance, fastest.segments.reduce((sum, seg) => sum + seg.distance, 0));
+});
+
+test('地铁路网里程票价: 阶梯边界', () => {
+  const fares = [5000, 6000, 6001, 12000, 22000, 32000, 32001, 52000, 52001].map(distance => subwayFare.networkFare(distance));
+  assert.deepEqual(fares, [3, 3, 4, 4, 5, 6, 7, 7, 8]);
+});
+
+test('地铁票价: 连续路网线路累计里程,特殊线路单独计价', () => {
+  const network = subwayFare.calculate([
+    { mode: 'subway', line: '4号线', distance: 8000 },
+    { mode: 'walk', distance: 100 },
+    { mode: 'subway', line: '10号线', distance: 5000 }
+  ]);
+  assert.equal(network.total, 5);
+  assert.deepEqual(network.items, [{ lines: ['4号线', '10号线'], distance: 13000, fare: 5 }]);
+
+  const special = subwayFare.calculate([
+    { mode: 'subway', line: '大兴机场线', from: '草桥', to: '大兴机场', distance: 41000 },
+    { mode: 'subway', line: '10号线', distance: 5000 },
+    { mode: 'subway', line: '首都机场线(东直门-T3)', from: '东直门', to: '3号航站楼', distance: 28000 }
+  ]);
+  assert.deepEqual(special.items.map(item => item.fare), [35, 3, 25]);
+  assert.equal(special.total, 63);
+
+  // 高德线路名经路网别名解析后同样单独计价
+  const amapNamed = subwayFare.calculate([
+    { mode: 'subway', line: '机场线(东直门--3号航站楼)', from: '东直门站', to: '3号航站楼站', distance: 28000 },
+    { mode: 'subway', line: '地铁大兴国际机场线(草桥--大兴机场)', from: '草桥站', to: '大兴机场站', distance: 41000 },
+    { mode: 'subway', line: '西郊线(香山--巴沟)', from: '香山站', to: '巴沟站', distance: 9000 }
+  ]);
+  assert.deepEqual(amapNamed.items.map(item => item.fare), [25, 35, 4]);
+
+  // 离线方案按分段里程计价
+  const [offline] = subwayRouter.planRoutes({ lng: 116.355, lat: 39.941 }, { lng: 116.461, lat: 39.909 });
+  assert.equal(offline.cost, subwayFare.calculate(offline.segments).total);
+});
+
+test('打车计价: 出租车里程费、远途费、低速等候费和夜间加价', () => {
+  const noon = taxiFare.estimate({ distance: 10000, duration: 20, time: new Date('2025-01-06T12:00:00+08:00'), provider: 'taxi' });
+  assert.equal(noon.lowSpeedFare, 2.3); // 超出畅通用时5分钟
+  assert.equal(noon.total, 32); // 13 + 7×2.3 + 2.3 + 燃油1,按1元取整
+
+  const night = taxiFare.estimate({ distance: 10000, duration: 15, time: new Date('2025-01-06T23:30:00+08:00'), provider: 'taxi' });
+  assert.equal(night.nightSurcharge, 4.2);
+  assert.equal(night.total, 34);
+
+  // 出租车没有高峰动态加价
+  const rush = taxiFare.estimate({ distance: 10000, duration: 15, time: new Date('2025-01-06T18:00:00+08:00'), provider: 'taxi', pricing: { peak: true, surge: 1.3 } });
+  assert.equal(rush.peakSurcharge, 0);
+  assert.equal(rush.total, 30);
+});
+
+test('打车计价: 网约车高峰加价与最低消费', () => {
+  const base = { distance: 20000, duration: 30, time: new Date('2025-01-06T18:00:00+08:00'), provider: 'express' };
+  assert.equal(taxiFare.estimate(base).total, 65.9);
+  assert.equal(taxiFare.estimate({ ...base, pricing: { peak: true } }).total, 79.1);
+  // 雨雪天动态加价与高峰加价叠加
+  assert.equal(taxiFare.estimate({ ...base, pricing: { peak: true, surge: 1.2 } }).total, 94.9);
+
+  const short = taxiFare.estimate({ distance: 500, duration: 1, time: new Date('2025-01-06T12:00:00+08:00'), provider: 'express' });
+  assert.equal(short.minFareAdjustment, 0.7);
+  assert.equal(short.total, 13);
+});
+
+test('首末班车: 按上车站推算首末班时刻并检查各段', () => {
+  // 4号线西直门往天宫院方向: 始发站05:00/22:50,加上从安河桥北行驶到西直门的时间
+  const window = subwaySchedule.getServiceWindow('地铁4号线大兴线(安河桥北--天宫院)', '西直门站', '西单站', new Date('2025-01-06T12:00:00+08:00'));
+  assert.equal(window.line, '4号线');
+  assert.equal(window.direction, '天宫院');
+  assert.equal(window.dayType, 'weekday');
+  assert.equal(formatBeijingTime(window.first), '05:25');
+  assert.equal(formatBeijingTime(window.last), '23:15');
+
+  const route = {
+    segments: [
+      { mode: 'walk', duration: 5 },
+      { mode: 'subway', line: '4号线', from: '西直门站', to: '西单站', duration: 11 },
+      { mode: 'subway', line: '1号线', from: '西单站', to: '国贸站', duration: 17 }
+    ]
+  };
+  const statuses = time => subwaySchedule.checkRoute(route, new Date(time)).legs.map(leg => leg.status);
+
+  assert.deepEqual(statuses('2025-01-06T12:00:00+08:00'), ['ok', 'ok']);
+  assert.deepEqual(statuses('2025-01-06T23:00:00+08:00'), ['last_train', 'last_train']);
+
+  // 首班车前到站: 等车时间计入后续各段的上车时刻
+  const early = subwaySchedule.checkRoute(route, new Date('2025-01-06T04:50:00+08:00'));
+  assert.equal(early.feasible, true);
+  assert.equal(early.waitMinutes, 31);
+  assert.deepEqual(early.legs.map(leg => [leg.status, leg.boardAt]), [['first_train', '04:55'], ['ok', '05:37']]);
+
+  // 凌晨1点仍属前一运营日,末班车已过
+  const lateNight = subwaySchedule.checkRoute(route, new Date('2025-01-07T01:00:00+08:00'));
+  assert.equal(lateNight.feasible, false);
+  assert.deepEqual(lateNight.legs.map(leg => leg.status), ['missed', 'missed']);
+});
+
+// 让高德接口依次返回给定的响应体,测试结束后恢复
+function stubAmap(t, ...responses) {
+  const get = mock.method(axios, 'get', async () => ({ data: responses[Math.min(get.mock.callCount(), responses.length - 1)] }));
+  const apiKey = amapService.apiKey;
+  amapService.apiKey = 'test-key';
+  amapService.clearCache();
+  t.after(() => {
+    get.mock.restore();
+    amapService.apiKey = apiKey;
+    amapService.suspended = null;
+    amapService.clearCache();
+  });
+  return get;
+}
+
+const DRIVING_OK = { status: '1', route: { paths: [{ distance: 8000, duration: 1200, tolls: 0, traffic_lights: 5 }] } };
+
+test('高德结果缓存: 相同起终点只请求一次,bypassCache 跳过缓存', async (t) => {
+  const get = stubAmap(t, { status: '1', route: { paths: [{ distance: 20000, duration: 1800, tolls: 0, traffic_lights: 12 }] } });
+  const origin = { lng: 116.35501, lat: 39.94 };
+  const destination = { lng: 116.461, lat: 39.909 };
+  const before = amapService.getCacheStats().driving;
+
+  const first = await amapService.getDrivingRoute(origin, destination);
+  // 坐标按4位小数取整,相距约1米的起点命中同一缓存
+  const second = await amapService.getDrivingRoute({ lng: 116.35502, lat: 39.94 }, destination);
+  assert.deepEqual(second, { ...first, dataSource: 'cached' });
+  assert.equal(first.dataSource, 'live');
+  assert.equal(get.mock.callCount(), 1);
+
+  await amapService.getDrivingRoute(origin, destination, { bypassCache: true });
+  assert.equal(get.mock.callCount(), 2);
+
+  const after = amapService.getCacheStats().driving;
+  assert.equal(after.hits - before.hits, 1);
+  assert.equal(after.misses - before.misses, 1);
+});
+
+test('令牌桶: 容量内立即放行,之后按速率补充,等不到令牌时返回 false', async () => {
+  const bucket = new TokenBucket({ rate: 20, capacity: 2 }); // 每50毫秒一个令牌
+  const start = Date.now();
+  assert.deepEqual(await Promise.all([bucket.acquire(), bucket.acquire()]), [true, true]);
+
+  assert.equal(await bucket.acquire(Date.now() + 10), false);
+  assert.equal(await bucket.acquire(), true);
+  assert.ok(Date.now() - start >= 40);
+});
+
+test('并发限制: 同时运行的任务不超过上限,结果按提交对应', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const task = value => limit(async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return value;
+  });
+
+  assert.deepEqual(await Promise.all([1, 2, 3, 4, 5].map(task)), [1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+  await assert.rejects(limit(async () => { throw new Error('失败'); }), /失败/);
+});
+
+test('调用预算: 次数用尽后抛出 BudgetExceededError 并记录原因', () => {
+  const budget = new RequestBudget({ maxCalls: 2, timeoutMs: 60000 });
+  budget.consume();
+  budget.consume();
+  assert.equal(budget.exhausted, false);
+  assert.throws(() => budget.consume(), error => error instanceof BudgetExceededError && error.reason === 'calls');
+  assert.equal(budget.exhausted, true);
+  assert.deepEqual(budget.toJSON(), { maxCalls: 2, usedCalls: 2, timeoutMs: 60000, exceeded: 'calls' });
+
+  const expired = new RequestBudget({ timeoutMs: 0 });
+  assert.throws(() => expired.consume(), error => error.reason === 'deadline');
+});
+
+test('高德错误分类: 按 infocode 区分临时故障、配置问题和请求错误', () => {
+  const auth = fromAmapResponse({ infocode: '10001', info: 'INVALID_USER_KEY' }, '/direction/driving');
+  assert.ok(auth instanceof AmapAuthError);
+  assert.equal(auth.fatal, true);
+  assert.equal(auth.transient, false);
+  assert.deepEqual(auth.toJSON(), {
+    type: 'AmapAuthError', infocode: '10001', info: 'INVALID_USER_KEY', api: '/direction/driving', message: '高德接口错误 10001: INVALID_USER_KEY'
+  });
+
+  assert.equal(fromAmapResponse({ infocode: '10016', info: 'SERVER_IS_BUSY' }).transient, true);
+  assert.ok(fromAmapResponse({ infocode: '30001', info: 'ENGINE_RESPONSE_DATA_ERROR' }) instanceof AmapServiceError);
+  assert.ok(fromAmapResponse({ infocode: '20800', info: 'OUT_OF_SERVICE' }) instanceof AmapRequestError);
+  assert.equal(fromNetworkError({ code: 'ECONNABORTED', message: 'timeout' }).transient, true);
+
+  assert.equal(combineSources('live', 'cached', 'offline'), 'offline');
+  assert.equal(combineSources('live', undefined, 'cached'), 'cached');
+});
+
+test('高德调用: 临时故障重试且每次重试占用预算', async (t) => {
+  const get = stubAmap(t, { status: '0', infocode: '10016', info: 'SERVER_IS_BUSY' }, DRIVING_OK);
+  const context = { budget: new RequestBudget({ maxCalls: 5, timeoutMs: 10000 }), errors: [] };
+
+  const route = await amapService.getDrivingRoute({ lng: 116.3, lat: 39.9 }, { lng: 116.4, lat: 39.9 }, context);
+  assert.equal(route.dataSource, 'live');
+  assert.equal(route.duration, 20);
+  assert.equal(get.mock.callCount(), 2);
+  assert.equal(context.budget.used, 2);
+  assert.deepEqual(context.errors, []);
+});
+
+test('高德调用: 无法规划属于正常结果,不记为接口异常', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  stubAmap(t, { status: '0', infocode: '20800', info: 'OUT_OF_SERVICE' });
+  const context = { errors: [] };
+
+  assert.equal(await amapService.getDrivingRoute({ lng: 116.3, lat: 39.9 }, { lng: 116.4, lat: 39.9 }, context), null);
+  assert.deepEqual(await amapService.getSubwayRoutes({ lng: 116.3, lat: 39.9 }, { lng: 116.4, lat: 39.9 }, context), []);
+  assert.deepEqual(context.errors, []);
+});
+
+test('高德调用: Key 无效时降级并暂停后续实时调用', async (t) => {
+  const get = stubAmap(t, { status: '0', infocode: '10001', info: 'INVALID_USER_KEY' });
+  const context = { errors: [] };
+
+  const route = await amapService.getDrivingRoute({ lng: 116.3, lat: 39.9 }, { lng: 116.4, lat: 39.9 }, context);
+  assert.notEqual(route.dataSource, 'live');
+  assert.equal(get.mock.callCount(), 1);
+  assert.ok(context.errors[0] instanceof AmapAuthError);
+
+  // 暂停期间不再请求高德,错误同样记入上下文
+  const next = { errors: [] };
+  await amapService.getDrivingRoute({ lng: 116.3, lat: 39.95 }, { lng: 116.4, lat: 39.9 }, next);
+  assert.equal(get.mock.callCount(), 1);
+  assert.equal(next.errors[0], context.errors[0]);
+});
+
+test('录制/回放: 只录制实时结果,回放不调用内层提供方', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cassette = path.join(dir, 'routes', 'case.json');
+
+  class FakeProvider extends RoutingProvider {
+    async getDrivingRoute(origin) {
+      return { distance: 8000, duration: 20, tolls: 0, dataSource: origin.lat > 40 ? 'offline' : 'live' };
+    }
+  }
+  const origin = { lng: 116.35501, lat: 39.94 };
+  const destination = { lng: 116.461, lat: 39.909 };
+
+  const recorder = new RecordReplayProvider({ mode: 'record', cassette, provider: new FakeProvider() });
+  await recorder.getDrivingRoute(origin, destination);
+  await recorder.getDrivingRoute({ lng: 116.3, lat: 40.05 }, destination); // 离线结果不录制
+  await recorder.flush();
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(cassette, 'utf8'))), ['getDrivingRoute:116.3550,39.9400|116.4610,39.9090']);
+
+  const player = new RecordReplayProvider({ mode: 'replay', cassette });
+  assert.deepEqual(await player.getDrivingRoute({ lng: 116.35502, lat: 39.94 }, destination),
+    { distance: 8000, duration: 20, tolls: 0, dataSource: 'replay' });
+  await assert.rejects(player.getDrivingRoute({ lng: 116.3, lat: 40.05 }, destination), ReplayMissError);
+  await assert.rejects(player.getSubwayRoutes(origin, destination), ReplayMissError);
+  await assert.rejects(new RoutingProvider().geocode('西直门'), /未实现 geocode/);
+});
+
+test('录制/回放: 回放模式下录像文件缺失时启动即报错', () => {
+  const cassette = path.join(os.tmpdir(), 'missing-cassette', 'case.json');
+  assert.throws(() => new RecordReplayProvider({ mode: 'replay', cassette }), /录像文件不存在/);
+});
+
+test('离线提供方: 不调用高德,方案标记为离线数据', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const get = t.mock.method(axios, 'get', async () => assert.fail('不应调用高德'));
+  const provider = createRoutingProvider({ mode: 'offline' });
+
+  const routes = await provider.getSubwayRoutes({ lng: 116.355, lat: 39.941 }, { lng: 116.461, lat: 39.909 });
+  assert.ok(routes.length > 0 && routes.every(route => route.dataSource === 'offline'));
+  assert.equal((await provider.getDrivingRoute({ lng: 116.355, lat: 39.941 }, { lng: 116.461, lat: 39.909 })).dataSource, 'offline');
+  assert.equal(get.mock.callCount(), 0);
+});
+
+test('公交方案解析: 区分地铁、公交和市郊铁路段', async (t) => {
+  const stop = (name, location) => ({ name, location });
+  stubAmap(t, {
+    status: '1',
+    route: {
+      transits: [{
+        duration: '6000',
+        distance: '85000',
+        cost: '10',
+        walking_distance: '500',
+        segments: [
+          {
+            walking: { distance: '300', duration: '240' },
+            bus: { buslines: [{ name: '地铁4号线大兴线(安河桥北--天宫院)', type: '地铁线路', departure_stop: stop('西直门', '116.355,39.94'), arrival_stop: stop('西单', '116.374,39.907'), via_num: '4', distance: '5800', duration: '660' }] },
+            entrance: { name: 'A口' },
+            exit: { name: 'D口' },
+            railway: [],
+            taxi: []
+          },
+          {
+            walking: [],
+            bus: {
+              buslines: [
+                { name: '1路(老山公交场站--四惠枢纽站)', type: '普通公交线路', departure_stop: stop('西单路口东', '116.376,39.907'), arrival_stop: stop('大北窑东', '116.463,39.907'), via_num: '10', distance: '9000', duration: '1800' },
+                { name: '52路(北京西站--光华桥西)', type: '普通公交线路', departure_stop: stop('西单路口东', ''), arrival_stop: stop('大北窑东', ''), via_num: '11', distance: '9200', duration: '1900' }
+              ]
+            }
+          },
+          {
+            walking: { distance: '200', duration: '180' },
+            bus: { buslines: [] },
+            railway: { name: 'S2线', type: '市郊铁路', trip: 'S201', departure_stop: { name: '黄土店', time: '0830' }, arrival_stop: { name: '延庆', time: '0950' }, distance: '70000', spaces: [{ cost: '6' }] }
+          }
+        ]
+      }]
+    }
+  });
+
+  const [route] = await amapService.getSubwayRoutes({ lng: 116.355, lat: 39.94 }, { lng: 115.97, lat: 40.46 });
+  assert.deepEqual(route.segments.map(seg => [seg.mode, seg.line ?? null, seg.duration]), [
+    ['walk', null, 4],
+    ['subway', '地铁4号线大兴线(安河桥北--天宫院)', 11],
+    ['bus', '1路(老山公交场站--四惠枢纽站)', 30],
+    ['walk', null, 3],
+    ['rail', 'S2线', 80]
+  ]);
+
+  const [, subway, bus, , rail] = route.segments;
+  assert.deepEqual([subway.entrance, subway.exit, subway.stations], ['A口', 'D口', 6]);
+  assert.deepEqual(subway.fromLocation, { lng: 116.355, lat: 39.94 });
+  assert.deepEqual(bus.alternatives, ['52路(北京西站--光华桥西)']);
+  assert.deepEqual([rail.trip, rail.departureTime, rail.cost], ['S201', '0830', 6]);
+  // 含公交和铁路段时用高德的全程票价
+  assert.equal(route.cost, 10);
+  assert.equal(route.walkDistance, 500);
+});
+
+test('共享单车计价: 分段计费和骑行卡免费时长', () => {
+  assert.deepEqual(bikeFare.estimate({ duration: 45, provider: 'meituan' }), {
+    provider: 'meituan', providerName: '美团单车', card: null, cardName: null,
+    baseFare: 1.5, extraFare: 1.5, cardDiscount: 0, total: 3
+  });
+  assert.equal(bikeFare.estimate({ duration: 45, provider: 'hellobike' }).total, 2.5);
+  assert.equal(bikeFare.estimate({ duration: 20, provider: 'hellobike' }).total, 1.5);
+
+  const carded = bikeFare.estimate({ duration: 45, provider: 'meituan', card: 'monthly' });
+  assert.deepEqual([carded.cardName, carded.cardDiscount, carded.total], ['骑行月卡', 3, 0]);
+  assert.equal(bikeFare.estimate({ duration: 130, provider: 'meituan', card: 'monthly' }).total, 1.5);
+
+  // 未知平台和平台不支持的骑行卡退回默认计价
+  assert.equal(bikeFare.estimate({ duration: 10, provider: 'unknown' }).provider, 'meituan');
+  assert.equal(bikeFare.estimate({ duration: 10, provider: 'meituan', card: 'yearly' }).card, null);
+});
+
+test('骑行接驳候选站: 距起终点 0.8~4km', () => {
+  const origin = { lng: 116.355, lat: 39.95 };
+  const destination = { lng: 116.461, lat: 39.909 };
+  const { bikeStartCandidates, bikeEndCandidates } = subwayNetwork.getCandidateStations(origin, destination);
+
+  assert.deepEqual(bikeStartCandidates.map(s => s.name), ['西直门站', '平安里站']);
+  assert.deepEqual(bikeEndCandidates.map(s => s.name), ['建国门站', '朝阳门站']);
+  for (const station of bikeStartCandidates) {
+    const distance = haversineDistance(origin, station);
+    assert.ok(distance >= 800 && distance <= 4000, `${station.name} ${distance}`);
+  }
+  for (const station of bikeEndCandidates) {
+    const distance = haversineDistance(station, destination);
+    assert.ok(distance >= 800 && distance <= 4000, `${station.name} ${distance}`);
+  }
+
+  // 大兴机场 4km 内没有地铁站,不生成骑行接驳
+  const airport = subwayNetwork.getCandidateStations({ lng: 116.410742, lat: 39.509723 }, { lng: 116.29, lat: 40.19 });
+  assert.deepEqual(airport.bikeStartCandidates, []);
+});
+
+test('骑行路线: 高德结果换算为分钟,无 Key 时按直线距离估算', async (t) => {
+  const get = stubAmap(t, { status: '1', route: { paths: [{ distance: '2600', duration: '610' }] } });
+  const from = { lng: 116.355, lat: 39.94 };
+  const to = { lng: 116.374, lat: 39.93 };
+
+  assert.deepEqual(await amapService.getBicyclingRoute(from, to), { distance: 2600, duration: 11, dataSource: 'live' });
+  assert.match(get.mock.calls[0].arguments[0], /\/v5\/direction\/bicycling$/);
+
+  amapService.apiKey = null;
+  const offline = await amapService.getBicyclingRoute(from, to);
+  assert.equal(offline.dataSource, 'offline');
+  assert.equal(offline.distance, Math.round(haversineDistance(from, to) * 1.3));
+  assert.equal(offline.duration, Math.ceil(offline.distance / 1000 / 15 * 60));
+});
+
+test('起终点解析: 坐标、地址、POI id 及解析失败', async () => {
+  const calls = [];
+  class StubProvider extends RoutingProvider {
+    async searchPlaces(keyword, query) {
+      calls.push(['search', keyword, query.limit]);
+      return keyword === '国贸' ? [{ id: 'B000A7BM4H', name: '国贸商城', lng: 116.46, lat: 39.909 }] : [];
+    }
+    async geocode(address) {
+      calls.push(['geocode', address]);
+      return address === '朝阳区建国门外大街1号' ? { id: null, name: address, lng: 116.459, lat: 39.908 } : null;
+    }
+    async getPlace(id) {
+      calls.push(['place', id]);
+      return id === 'B000A7BM4H' ? { id, name: '国贸商城', lng: 116.46, lat: 39.909 } : null;
+    }
+  }
+  const resolver = new PlaceResolver(new StubProvider());
+
+  assert.deepEqual(await resolver.resolve({ lng: '116.355', lat: '39.94' }, 'start'), { lng: 116.355, lat: 39.94, name: '起点' });
+  assert.deepEqual(calls, []);
+
+  assert.deepEqual(await resolver.resolve(' 国贸 ', 'end'), { id: 'B000A7BM4H', name: '国贸商城', lng: 116.46, lat: 39.909, query: '国贸' });
+  // POI 搜不到时改用地理编码
+  const geocoded = await resolver.resolve({ address: '朝阳区建国门外大街1号', name: '公司' }, 'end');
+  assert.deepEqual([geocoded.name, geocoded.lng], ['公司', 116.459]);
+  assert.equal((await resolver.resolve({ id: 'B000A7BM4H' }, 'end')).query, 'B000A7BM4H');
+  assert.deepEqual(calls, [
+    ['search', '国贸', 1],
+    ['search', '朝阳区建国门外大街1号', 1],
+    ['geocode', '朝阳区建国门外大街1号'],
+    ['place', 'B000A7BM4H']
+  ]);
+
+  await assert.rejects(resolver.resolve({}, 'start'), error =>
+    error instanceof PlaceResolutionError && error.field === 'start' && /起点需提供/.test(error.message));
+  await assert.rejects(resolver.resolve('不存在的地方', 'end'), error =>
+    error instanceof PlaceResolutionError && error.field === 'end' && error.query === '不存在的地方');
+  await assert.rejects(resolver.resolve(42, 'end'), /终点格式错误/);
+
+  // 搜索数量限制在 1~25
+  await resolver.search('国贸', { limit: 100 });
+  await resolver.search('国贸', { limit: 'abc' });
+  assert.deepEqual(calls.slice(-2).map(call => call[2]), [25, 10]);
+});
+
+test('离线地点搜索: 匹配内置线网中的地铁站', async (t) => {
+  const apiKey = amapService.apiKey;
+  amapService.apiKey = null;
+  t.after(() => { amapService.apiKey = apiKey; });
+
+  const [first] = await amapService.searchPlaces('北京地铁西直门站', { limit: 3 });
+  assert.equal(first.name, '西直门站');
+  assert.equal(first.dataSource, 'offline');
+  assert.equal(first.address, '2号线;4号线;13号线');
+  assert.deepEqual(await amapService.searchPlaces('不存在'), []);
+  assert.equal(await amapService.getPlace('B000A7BM4H'), null);
+});
+
+test('坐标转换: 国内坐标有偏移,往返误差小于1e-6度', () => {
+  const tiananmen = { lng: 116.397, lat: 39.908 };
+
+  const gcj = wgs84ToGcj02(tiananmen);
+  assert.ok(Math.abs(gcj.lng - tiananmen.lng) > 0.005 && Math.abs(gcj.lat - tiananmen.lat) > 0.001);
+  const wgs = gcj02ToWgs84(gcj);
+  assert.ok(Math.abs(wgs.lng - tiananmen.lng) < 1e-6 && Math.abs(wgs.lat - tiananmen.lat) < 1e-6);
+
+  const bd = bd09ToGcj02(gcj02ToBd09(tiananmen));
+  assert.ok(Math.abs(bd.lng - tiananmen.lng) < 1e-6 && Math.abs(bd.lat - tiananmen.lat) < 1e-6);
+
+  // 国外坐标不偏移
+  assert.deepEqual(wgs84ToGcj02({ lng: 2.35, lat: 48.85 }), { lng: 2.35, lat: 48.85 });
+});
+
+test('坐标转换: 坐标系名称规范化与结果中任意层级坐标的转换', () => {
+  assert.equal(normalizeCrs(undefined), 'gcj02');
+  assert.equal(normalizeCrs('WGS-84'), 'wgs84');
+  assert.equal(normalizeCrs('baidu'), 'bd09');
+  assert.equal(normalizeCrs('epsg3857'), null);
+
+  const point = { lng: 116.397, lat: 39.908, name: '天安门' };
+  const result = { origin: point, segments: [{ stations: [point] }], departAt: new Date('2025-01-06T08:00:00+08:00') };
+  assert.equal(convertResultCrs(result, 'gcj02'), result);
+
+  const converted = convertResultCrs(result, 'wgs84');
+  assert.deepEqual(converted.origin, { ...gcj02ToWgs84(point), name: '天安门' });
+  assert.deepEqual(converted.segments[0].stations[0], converted.origin);
+  assert.equal(converted.departAt, result.departAt);
+  assert.equal(result.origin.lng, 116.397); // 不修改原对象
+});
+
+// 校验失败时返回全部字段错误 [{field, code}]
+function validationErrors(validate, input) {
+  try {
+    validate(input);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.errors.map(({ field, code }) => ({ field, code }));
+  }
+  assert.fail('期望校验失败');
+}
+
+test('参数校验: 合法请求返回规划参数和默认值', () => {
+  const params = validatePlanRequest({ start: '西直门', end: { lng: 116.461, lat: 39.909 }, time: '2025-01-06T18:00:00+08:00', crs: 'WGS84' });
+  assert.equal(params.origin, '西直门');
+  assert.equal(params.time.toISOString(), '2025-01-06T10:00:00.000Z');
+  assert.equal(params.preference, 'balance');
+  assert.equal(params.crs, 'wgs84');
+  assert.equal(params.arriveBy, null);
+  assert.deepEqual([params.weather, params.luggage], [null, false]);
+  assert.equal(params.valueOfTime, null);
+  assert.deepEqual(params.options, {});
+
+  assert.deepEqual(validatePlaceSearch({ q: ' 国贸 ', limit: '5' }), { keyword: '国贸', limit: 5, crs: 'gcj02' });
+});
+
+test('参数校验: 一次返回全部字段错误', () => {
+  assert.deepEqual(validationErrors(validatePlanRequest, { end: { lng: 121.47, lat: 31.23 }, preference: 'fast', time: 'tomorrow' }), [
+    { field: 'start', code: 'MISSING_FIELD' },
+    { field: 'end', code: 'OUT_OF_SERVICE_AREA' },
+    { field: 'time', code: 'INVALID_TIME' },
+    { field: 'preference', code: 'INVALID_ENUM' }
+  ]);
+
+  assert.deepEqual(validationErrors(validatePlanRequest, { start: { lng: 200, lat: 39.9 }, end: { lat: 39.9 }, crs: 'epsg3857' }), [
+    { field: 'crs', code: 'INVALID_ENUM' },
+    { field: 'start', code: 'INVALID_COORDINATE' },
+    { field: 'end.lng', code: 'MISSING_FIELD' }
+  ]);
+
+  assert.deepEqual(validationErrors(validatePlanRequest, {
+    start: '西直门',
+    end: { id: '' },
+    time: '2025-01-06T18:00:00',
+    arriveBy: '2025-01-06T17:00:00',
+    options: { taxiProvider: 'uber', bikeCard: 'yearly', bypassCache: 'yes', maxApiCalls: 0, timeoutMs: 1.5, arrivalBuffer: 300 }
+  }), [
+    { field: 'end', code: 'MISSING_FIELD' },
+    { field: 'arriveBy', code: 'OUT_OF_RANGE' },
+    { field: 'options.taxiProvider', code: 'INVALID_ENUM' },
+    { field: 'options.bikeCard', code: 'INVALID_ENUM' },
+    { field: 'options.bypassCache', code: 'INVALID_TYPE' },
+    { field: 'options.maxApiCalls', code: 'OUT_OF_RANGE' },
+    { field: 'options.timeoutMs', code: 'OUT_OF_RANGE' },
+    { field: 'options.arrivalBuffer', code: 'OUT_OF_RANGE' }
+  ]);
+
+  assert.deepEqual(validationErrors(validatePlanRequest, { start: '西直门', end: '国贸', weather: 'fog', luggage: 'yes', valueOfTime: { base: 60, sitting: 40 } }), [
+    { field: 'valueOfTime.sitting', code: 'INVALID_ENUM' },
+    { field: 'weather', code: 'INVALID_ENUM' },
+    { field: 'luggage', code: 'INVALID_TYPE' }
+  ]);
+
+  assert.deepEqual(validationErrors(validatePlanRequest, {
+    start: '西直门',
+    end: '国贸',
+    options: {
+      weights: { time: 0, cost: 0 },
+      constraints: { maxWalkDistance: 500.5, maxTaxiShare: 1.5, avoidLines: '10号线', noTaxi: 1 }
+    }
+  }), [
+    { field: 'options.weights', code: 'OUT_OF_RANGE' },
+    { field: 'options.constraints.maxWalkDistance', code: 'OUT_OF_RANGE' },
+    { field: 'options.constraints.maxTaxiShare', code: 'OUT_OF_RANGE' },
+    { field: 'options.constraints.avoidLines', code: 'INVALID_TYPE' },
+    { field: 'options.constraints.noTaxi', code: 'INVALID_TYPE' }
+  ]);
+  assert.deepEqual(validationErrors(validatePlanRequest, { start: '西直门', end: '国贸', options: { weights: { speed: 1, cost: -1 } } }), [
+    { field: 'options.weights.speed', code: 'INVALID_ENUM' },
+    { field: 'options.weights.cost', code: 'INVALID_TYPE' }
+  ]);
+
+  assert.deepEqual(validationErrors(validatePlanRequest, []), [{ field: 'body', code: 'INVALID_TYPE' }]);
+  assert.deepEqual(validationErrors(validatePlaceSearch, { limit: '30' }), [
+    { field: 'q', code: 'MISSING_FIELD' },
+    { field: 'limit', code: 'OUT_OF_RANGE' }
+  ]);
+});
+
+test('错误响应: 校验失败和地点解析失败为 400,其余异常不暴露内部信息', () => {
+  const validation = toErrorResponse(new ValidationError([{ field: 'start', code: 'MISSING_FIELD', message: '缺少起点参数' }]));
+  assert.equal(validation.status, 400);
+  assert.deepEqual(validation.body, {
+    code: 400,
+    error: 'VALIDATION_FAILED',
+    message: '缺少起点参数',
+    errors: [{ field: 'start', code: 'MISSING_FIELD', message: '缺少起点参数' }]
+  });
+
+  const place = toErrorResponse(new PlaceResolutionError('无法解析终点: 火星', { field: 'end', query: '火星' }));
+  assert.deepEqual([place.status, place.body.error, place.body.errors[0].field], [400, 'PLACE_NOT_FOUND', 'end']);
+
+  assert.deepEqual(toErrorResponse(new Error('secret'), '路线规划失败'), {
+    status: 500,
+    body: { code: 500, error: 'INTERNAL_ERROR', message: '路线规划失败' }
+  });
+});
+
+test('请求核心: 路由分发、CORS 预检和统一错误响应', async () => {
+  const preflight = await handleRequest({ method: 'OPTIONS', path: '/api/routes/plan' });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.body, null);
+  assert.equal(preflight.headers['Access-Control-Allow-Methods'], 'GET,POST,OPTIONS');
+
+  const health = await handleRequest({ method: 'get', path: '/health/', requestId: 'req-1' });
+  assert.equal(health.status, 200);
+  assert.deepEqual([health.body.code, health.body.data.status, health.body.requestId], [0, 'ok', 'req-1']);
+
+  const notFound = await handleRequest({ path: '/api/unknown' });
+  assert.deepEqual([notFound.status, notFound.body.error], [404, 'NOT_FOUND']);
+  assert.ok(notFound.body.requestId);
+
+  const wrongMethod = await handleRequest({ method: 'GET', path: '/api/routes/plan' });
+  assert.deepEqual([wrongMethod.status, wrongMethod.body.error], [405, 'METHOD_NOT_ALLOWED']);
+
+  const badJson = await handleRequest({ method: 'POST', path: '/api/routes/plan', body: '{start:', requestId: 'req-2' });
+  assert.equal(badJson.status, 400);
+  assert.deepEqual(badJson.body.errors.map(error => error.code), ['INVALID_JSON']);
+  assert.equal(badJson.body.requestId, 'req-2');
+
+  const invalid = await handleRequest({ method: 'POST', path: '/api/routes/plan', body: '' });
+  assert.deepEqual([invalid.status, invalid.body.errors[0].code], [400, 'INVALID_TYPE']);
+});
+
+test('函数计算适配器: HTTP 触发器和非 HTTP 事件', async () => {
+  const handler = createFcHandler();
+
+  const event = Buffer.from(JSON.stringify({
+    rawPath: '/api/places/search',
+    requestContext: { http: { method: 'GET' } },
+    queryParameters: { limit: '0' },
+    body: ''
+  }));
+  const response = await handler(event, { requestId: 'fc-1' });
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.headers['Content-Type'], 'application/json; charset=utf-8');
+  const body = JSON.parse(response.body);
+  assert.equal(body.requestId, 'fc-1');
+  assert.deepEqual(body.errors.map(error => error.field), ['q', 'limit']);
+
+  // 非 JSON 事件按路线规划请求体处理
+  const raw = await handler(Buffer.from('not json'));
+  assert.equal(raw.statusCode, 400);
+  assert.equal(JSON.parse(raw.body).errors[0].code, 'INVALID_JSON');
+});
+
+test('函数计算入口: 旧版 health / planRoute 导出仍指向 handler', async () => {
+  const entry = await import('../index.js');
+  assert.equal(entry.health, entry.handler);
+  assert.equal(entry.planRoute, entry.handler);
+});
+
+test('到达时间模式: 终点缓冲识别', () => {
+  assert.deepEqual(arrivalDeadline.getBuffer({ name: '大兴机场' }, 15), { type: 'custom', name: '自定义缓冲', minutes: 15 });
+  assert.deepEqual(arrivalDeadline.getBuffer({ name: '北京大兴国际机场', typecode: '150104' }), { type: 'airport', name: '机场值机安检', minutes: 60 });
+  assert.equal(arrivalDeadline.getBuffer({ name: '北京南站' }).minutes, 30);
+  assert.deepEqual(arrivalDeadline.getBuffer({ name: '国贸' }), { type: null, name: null, minutes: 0 });
+});
+
+test('到达时间模式: 倒推最晚出发、赶末班车和剔除赶不上的方案', () => {
+  const subway = {
+    id: 'subway',
+    totalDuration: 33,
+    segments: [
+      { mode: 'walk', duration: 5 },
+      { mode: 'subway', line: '4号线', from: '西直门站', to: '西单站', duration: 11 },
+      { mode: 'subway', line: '1号线', from: '西单站', to: '国贸站', duration: 17 }
+    ]
+  };
+  const taxi = { id: 'taxi', totalDuration: 40, segments: [{ mode: 'taxi', duration: 40 }] };
+  const deadline = new Date('2025-01-06T23:50:00+08:00');
+
+  // 23:17 出发赶不上 4号线末班车(23:15),提前到 23:05 出发
+  const { routes } = arrivalDeadline.apply([subway, taxi], { deadline, earliestDeparture: new Date('2025-01-06T22:30:00+08:00') });
+  const [bySubway, byTaxi] = routes;
+  assert.equal(new Date(bySubway.arriveBy.latestDeparture).getTime(), new Date('2025-01-06T23:05:00+08:00').getTime());
+  assert.deepEqual([bySubway.arriveBy.slack, bySubway.arriveBy.riskMinutes], [35, 6]);
+  assert.equal(bySubway.reliability.p90, 39);
+  assert.deepEqual(bySubway.warnings, ['需在西直门站赶乘4号线末班车(23:15)', '需在西单站赶乘1号线末班车(23:21)']);
+  assert.equal(new Date(byTaxi.arriveBy.arrival).getTime(), deadline.getTime());
+  assert.equal(byTaxi.arriveBy.riskMinutes, 6);
+
+  const late = arrivalDeadline.apply([subway, taxi], { deadline, earliestDeparture: new Date('2025-01-06T23:08:00+08:00') });
+  assert.equal(late.droppedByDeadline, 1);
+  assert.deepEqual(late.routes.map(route => [route.id, route.arriveBy.slack]), [['taxi', 2]]);
+  assert.deepEqual(late.routes[0].warnings, ['出发余量2分钟,低于用时波动约6分钟,准点概率67%']);
+
+  // 首班车前无法按时到达
+  const early = arrivalDeadline.apply([subway], { deadline: new Date('2025-01-06T05:20:00+08:00'), earliestDeparture: new Date('2025-01-06T04:00:00+08:00') });
+  assert.deepEqual([early.routes.length, early.droppedByServiceHours], [0, 1]);
+});
+
+test('拥堵曲线: 整点间插值和用时换算', () => {
+  assert.equal(trafficProfile.congestionIndex(new Date('2025-01-06T08:00:00+08:00')), 1.85);
+  assert.ok(Math.abs(trafficProfile.congestionIndex(new Date('2025-01-06T07:30:00+08:00')) - 1.7) < 1e-9);
+  assert.equal(trafficProfile.congestionIndex(new Date('2025-01-11T08:00:00+08:00')), 1.2); // 周六
+  assert.equal(trafficProfile.rescale(20, new Date('2025-01-06T03:00:00+08:00'), new Date('2025-01-06T18:00:00+08:00')), 38);
+});
+
+test('出发时刻扫描参数校验', () => {
+  const params = validateDepartureWindow({ start: '西直门', end: '国贸', from: '2025-01-06T07:00:00', to: '2025-01-06T09:00:00' });
+  assert.equal(params.stepMinutes, 15);
+  assert.equal(params.to - params.from, 2 * 3600000);
+
+  assert.deepEqual(validationErrors(validateDepartureWindow, { start: '西直门', end: '国贸', to: '2025-01-06T09:00:00', stepMinutes: 1 }), [
+    { field: 'from', code: 'MISSING_FIELD' },
+    { field: 'stepMinutes', code: 'OUT_OF_RANGE' }
+  ]);
+  assert.deepEqual(validationErrors(validateDepartureWindow, { start: '西直门', end: '国贸', from: '2025-01-06T09:00:00', to: '2025-01-06T07:00:00' }), [
+    { field: 'to', code: 'OUT_OF_RANGE' }
+  ]);
+  // 最多 25 个时刻
+  assert.deepEqual(validationErrors(validateDepartureWindow, { start: '西直门', end: '国贸', from: '2025-01-06T06:00:00', to: '2025-01-06T12:05:00' }), [
+    { field: 'to', code: 'OUT_OF_RANGE' }
+  ]);
+});
+
+// 不访问网络的路线数据: 地铁用离线路网,驾车/骑行按直线距离估算
+class OfflineProvider extends RoutingProvider {
+  constructor() {
+    super();
+    this.calls = 0;
+  }
+
+  async getSubwayRoutes(origin, destination) {
+    this.calls++;
+    return subwayRouter.planRoutes(origin, destination);
+  }
+
+  async getDrivingRoute(origin, destination) {
+    this.calls++;
+    const distance = Math.round(haversineDistance(origin, destination) * 1.3);
+    return { distance, duration: Math.ceil(distance / 500), tolls: 0, traffic: 0, dataSource: 'offline' };
+  }
+
+  async getBicyclingRoute(origin, destination) {
+    this.calls++;
+    const distance = Math.round(haversineDistance(origin, destination) * 1.3);
+    return { distance, duration: Math.ceil(distance / 250), dataSource: 'offline' };
+  }
+}
+
+const XIZHIMEN = { lng: 116.355, lat: 39.941, name: '西直门' };
+const GUOMAO = { lng: 116.461, lat: 39.909, name: '国贸' };
+
+test('出发时刻扫描: 候选方案只生成一次,各时刻按拥堵曲线换算打车用时', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const provider = new OfflineProvider();
+  const planner = new RoutePlannerService({ provider });
+
+  const from = new Date('2025-01-06T07:00:00+08:00');
+  const to = new Date('2025-01-06T09:00:00+08:00');
+  const result = await planner.planDepartureWindow({ origin: XIZHIMEN, destination: GUOMAO, from, to, stepMinutes: 30 });
+
+  assert.equal(result.timeline.length, 5);
+  assert.deepEqual(result.timeline.map(entry => entry.modes.taxi.duration), [33, 35, 38, 35, 33]);
+  assert.ok(result.timeline.every(entry => entry.modes.subway.duration === 34));
+  assert.ok(result.timeline.map(entry => entry.departAt).includes(result.recommendedDeparture.departAt));
+  assert.equal(result.recommendedDeparture.route.tags[0], '推荐出发时刻');
+  assert.deepEqual(result.meta.window, { from: from.toISOString(), to: to.toISOString(), stepMinutes: 30 });
+
+  // 与单次规划的调用次数相同
+  const single = new OfflineProvider();
+  await new RoutePlannerService({ provider: single }).planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: new Date('2025-01-06T07:00:00+08:00') });
+  assert.equal(provider.calls, single.calls);
+});
+
+// 测试用方案: 用时(分钟)、费用(元)、舒适度得分和分段
+function route(id, totalDuration, totalCost, comfort, segments = [{ mode: 'taxi' }]) {
+  return { id, totalDuration, totalCost, scores: { comfort }, segments };
+}
+
+test('帕累托前沿: 支配关系与非支配方案', () => {
+  const taxi = route('taxi', 30, 60, 80);
+  const subway = route('subway', 55, 5, 40);
+  const slowSubway = route('slowSubway', 60, 6, 40);
+  const sameAsTaxi = route('sameAsTaxi', 30, 60, 80);
+
+  assert.equal(dominates(subway, slowSubway), true);
+  assert.equal(dominates(slowSubway, subway), false);
+  assert.equal(dominates(taxi, subway), false); // 更快但更贵
+  assert.equal(dominates(taxi, sameAsTaxi), false); // 完全相同不算支配
+
+  assert.deepEqual(paretoFront([slowSubway, taxi, subway, sameAsTaxi]).map(r => r.id), ['taxi', 'subway', 'sameAsTaxi']);
+
+  // 只按用时比较
+  const byDuration = [{ name: 'duration', value: r => r.totalDuration, minimize: true }];
+  assert.deepEqual(paretoFront([slowSubway, taxi, subway], byDuration).map(r => r.id), ['taxi']);
+});
+
+test('帕累托前沿: 合并出行方式相同且用时费用相近的方案', () => {
+  const line13 = [{ mode: 'taxi' }, { mode: 'walk' }, { mode: 'subway', line: '13号线' }];
+  const routes = [
+    route('viaXierqi', 42, 31, 60, line13),
+    route('viaLongze', 40, 32, 60, line13), // 与 viaXierqi 相差2分钟、1元
+    route('viaHuilongguan', 50, 25, 60, line13), // 费用相差超出容差
+    route('viaLine5', 41, 31, 60, [{ mode: 'taxi' }, { mode: 'subway', line: '5号线' }])
+  ];
+
+  assert.deepEqual(collapseNearDuplicates(routes).map(r => r.id), ['viaLongze', 'viaHuilongguan', 'viaLine5']);
+  assert.equal(collapseNearDuplicates(routes, { duration: 1, cost: 2 }).length, 4);
+});
+
+test('用时可靠性: 打车等车时间按上车点和时段', () => {
+  assert.equal(reliabilityModel.taxiWait('airport', new Date('2025-01-06T08:00:00+08:00')), 18);
+  assert.equal(reliabilityModel.taxiWait(null, new Date('2025-01-06T14:00:00+08:00')), 4);
+  assert.equal(reliabilityModel.taxiWait('railway', new Date('2025-01-06T23:00:00+08:00')), 13);
+});
+
+test('用时可靠性: 分段分布合成中位数、P90 和准点概率', () => {
+  const noon = new Date('2025-01-06T14:00:00+08:00');
+  const walk = reliabilityModel.evaluate({ totalDuration: 10, segments: [{ mode: 'walk', duration: 10 }] }, noon, 10);
+  assert.deepEqual(walk.reliability, { mean: 10, stdDev: 0.5, median: 10, p90: 11, onTimeProbability: 0.5 });
+  assert.deepEqual(walk.segments[0].reliability, { mean: 10, stdDev: 0.5 });
+
+  // 打车行驶时间的波动随拥堵加大
+  const taxi = { totalDuration: 40, segments: [{ mode: 'taxi', duration: 40, waitTime: 4, driveDuration: 36 }] };
+  const peak = reliabilityModel.evaluate(taxi, new Date('2025-01-06T08:00:00+08:00'), 45).reliability;
+  const night = reliabilityModel.evaluate(taxi, new Date('2025-01-06T03:00:00+08:00'), 45).reliability;
+  assert.deepEqual([peak.median, peak.p90, peak.onTimeProbability], [41, 56, 0.661]);
+  assert.deepEqual([night.median, night.p90, night.onTimeProbability], [40, 47, 0.839]);
+
+  // 地铁候车按发车间隔均匀分布,未给出可用时间时不计算准点概率
+  const subway = reliabilityModel.evaluate({ totalDuration: 40, segments: [{ mode: 'subway', line: '大兴机场线', duration: 40 }] }, noon);
+  assert.deepEqual(subway.reliability, { mean: 40, stdDev: 3.5, median: 40, p90: 45 });
+  const amapNamed = reliabilityModel.evaluate({ totalDuration: 40, segments: [{ mode: 'subway', line: '地铁大兴国际机场线(草桥--大兴机场)', duration: 40 }] }, noon);
+  assert.deepEqual(amapNamed.reliability, subway.reliability);
+});
+
+test('地点类型识别: POI 类型编码优先,其次名称关键字', () => {
+  assert.equal(classifyPlace({ name: '首都机场T3', typecode: '150104' }), 'airport');
+  assert.equal(classifyPlace({ name: '北京西站' }), 'railway');
+  assert.equal(classifyPlace({ name: '国贸', typecode: '060101' }), null);
+  assert.equal(classifyPlace(null), null);
+});
+
+test('场景规则: 多个场景叠加权重、计价和排除方式', () => {
+  const origin = { name: '西直门' };
+  const rainyRush = scenarioEngine.detect({ origin, destination: { name: '北京西站' }, time: new Date('2025-01-06T08:00:00+08:00'), weather: 'rain', luggage: true });
+  assert.equal(rainyRush.name, '赶路模式 + 高峰模式 + 雨天 + 携带行李');
+  assert.deepEqual(rainyRush.pricing, { peak: true, surge: 1.2 });
+  assert.equal(rainyRush.taxiWaitFactor, 1.5);
+  assert.deepEqual(rainyRush.excludeModes, ['bike']);
+  assert.deepEqual(rainyRush.comfort, { transfer: 10, walkPer500m: 10, bikePerKm: 6 });
+  assert.deepEqual(rainyRush.active.find(rule => rule.id === 'rain').effects, [
+    '舒适度权重+0.1', '费用权重-0.05', '时间权重-0.05', '网约车加价×1.2', '打车等车×1.5', '每500米步行舒适度多扣5分', '每公里骑行舒适度多扣6分'
+  ]);
+
+  const daily = scenarioEngine.detect({ origin, destination: { name: '国贸' }, time: new Date('2025-01-06T14:00:00+08:00') });
+  assert.deepEqual([daily.name, daily.active], ['日常模式', []]);
+  assert.deepEqual(scenarioEngine.applyWeights({ time: 0.4, cost: 0.4, comfort: 0.2 }, daily), { time: 0.4, cost: 0.4, comfort: 0.2 });
+
+  // 权重叠加后每项不低于 0.05 并归一化
+  const hurry = scenarioEngine.detect({ origin, destination: { name: '大兴机场' }, time: new Date('2025-01-06T14:00:00+08:00') });
+  assert.deepEqual(scenarioEngine.applyWeights({ time: 0.2, cost: 0.6, comfort: 0.2 }, hurry), { time: 0.5, cost: 0.4, comfort: 0.1 });
+});
+
+test('场景规则: 法定节假日和调休上班日', () => {
+  assert.equal(scenarioEngine.dayType(new Date('2025-10-03T08:00:00+08:00')), 'holiday');
+  assert.equal(scenarioEngine.dayType(new Date('2025-09-28T08:00:00+08:00')), 'workday'); // 周日调休上班
+  assert.equal(scenarioEngine.dayType(new Date('2025-01-11T08:00:00+08:00')), 'weekend');
+  assert.equal(scenarioEngine.dayType(new Date('2030-01-07T08:00:00+08:00')), 'workday'); // 未收录年份
+
+  // 调休上班日的早高峰同样触发高峰模式
+  const makeup = scenarioEngine.detect({ origin: {}, destination: {}, time: new Date('2025-09-28T08:00:00+08:00') });
+  assert.deepEqual(makeup.active.map(rule => rule.id), ['rush']);
+});
+
+test('硬性约束: 按顺序返回第一条不满足的约束并记录剔除', () => {
+  const mixed = {
+    id: 'mixed',
+    totalCost: 40,
+    segments: [
+      { mode: 'taxi', distance: 6000 },
+      { mode: 'walk', distance: 300 },
+      { mode: 'subway', line: '地铁10号线(内环)', from: '国贸站', to: '知春路站', distance: 12000 },
+      { mode: 'subway', line: '13号线', from: '知春路站', to: '西二旗站', distance: 8000 },
+      { mode: 'walk', distance: 900 }
+    ]
+  };
+
+  assert.equal(new RouteConstraints({ noTaxi: true, avoidLines: ['10号线'] }).violation(mixed), 'noTaxi');
+  assert.equal(new RouteConstraints({ avoidLines: ['10号线'] }).violation(mixed), 'avoidLines');
+  assert.equal(new RouteConstraints({ avoidStations: ['知春路'] }).violation(mixed), 'avoidStations');
+  assert.equal(new RouteConstraints({ maxTransfers: 0 }).violation(mixed), 'maxTransfers');
+  assert.equal(new RouteConstraints({ maxWalkDistance: 1000 }).violation(mixed), 'maxWalkDistance');
+  assert.equal(new RouteConstraints({ maxTaxiShare: 0.2 }).violation(mixed), 'maxTaxiShare');
+  assert.equal(new RouteConstraints({ maxCost: 39.5 }).violation(mixed), 'maxCost');
+  assert.equal(new RouteConstraints({ maxTransfers: 1, maxWalkDistance: 1200, maxTaxiShare: 0.3, maxCost: 40 }).violation(mixed), null);
+
+  const constraints = new RouteConstraints({ noSubway: true, noTaxi: false, avoidLines: [] });
+  assert.deepEqual(constraints.toJSON().applied, { noSubway: true });
+  assert.equal(constraints.allowsMode('taxi'), true);
+  assert.deepEqual(constraints.filter([mixed, { id: 'taxi', segments: [{ mode: 'taxi' }] }]).map(route => route.id), ['taxi']);
+  assert.deepEqual(constraints.toJSON().eliminated, { noSubway: ['mixed'] });
+  assert.equal(new RouteConstraints().empty, true);
+});
+
+test('硬性约束与自定义权重: 规划时跳过禁用的策略并返回剔除情况', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const plan = options => planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: new Date('2025-01-06T14:00:00+08:00'), options });
+
+  const constrained = await plan({ constraints: { noTaxi: true, avoidStations: ['西单'] } });
+  assert.ok(constrained.allRoutes.length > 0);
+  assert.ok(constrained.allRoutes.every(route => route.segments.every(seg => seg.mode !== 'taxi' && seg.from !== '西单站' && seg.to !== '西单站')));
+  assert.deepEqual(constrained.meta.constraints.eliminated.noTaxi, ['taxi_full', 'mixed_start_taxi', 'mixed_end_taxi', 'mixed_both_taxi']);
+  assert.ok(constrained.meta.constraints.eliminated.avoidStations.includes('subway_offline_0'));
+
+  // 只看重时间时推荐最快的全程打车
+  const fastest = await plan({ weights: { time: 1 } });
+  assert.deepEqual(fastest.meta.weights, { time: 0.909, cost: 0.045, comfort: 0.045 });
+  assert.equal(fastest.recommended.id, 'taxi_full');
+});
+
+test('地铁拥挤度: 按方向、区段和时段估算满载率与有座概率', () => {
+  const northbound = { mode: 'subway', line: '4号线', from: '新宫站', to: '西单站', duration: 25 };
+  const southbound = { ...northbound, from: '西单站', to: '新宫站' };
+  const monday8 = new Date('2025-01-06T08:00:00+08:00');
+
+  // 早高峰进城方向经过最拥挤区段
+  assert.deepEqual(crowdingModel.estimate(northbound, monday8), { loadFactor: 1.26, level: '非常拥挤', seatProbability: 0.05 });
+  assert.deepEqual(crowdingModel.estimate(southbound, monday8), { loadFactor: 0.57, level: '舒适', seatProbability: 0.7 });
+  assert.equal(crowdingModel.estimate(northbound, new Date('2025-01-11T08:00:00+08:00')).level, '宽松'); // 周六
+
+  // 始发站上车更容易有座
+  assert.equal(crowdingModel.estimate({ line: '4号线', from: '天宫院站', to: '新宫站' }, monday8).seatProbability, 0.8);
+  assert.equal(crowdingModel.estimate({ line: '不存在', from: '天宫院站', to: '新宫站' }, monday8), null);
+
+  assert.deepEqual(['西直门站', '国贸', '不存在'].map(name => crowdingModel.transferWalk(name)), [8, 6, 4]);
+
+  const route = { segments: [{ mode: 'walk', duration: 10 }, { ...northbound, line: '地铁4号线大兴线(安河桥北--天宫院)' }] };
+  const annotated = crowdingModel.annotate(route, new Date('2025-01-06T07:50:00+08:00'));
+  assert.equal(annotated.segments[0].crowding, undefined);
+  assert.deepEqual(annotated.segments[1].crowding, crowdingModel.estimate(northbound, monday8));
+  assert.equal(route.segments[1].crowding, undefined);
+});
+
+test('时间价值: 参数规范化与广义费用', () => {
+  assert.equal(normalizeValueOfTime(null), null);
+  assert.deepEqual(normalizeValueOfTime(30), { base: 30, crowded: 30, standing: 30 });
+  assert.deepEqual(normalizeValueOfTime({ base: 30, standing: 60 }), { base: 30, crowded: 30, standing: 60 });
+
+  const crowdedRide = (loadFactor) => ({
+    totalDuration: 60, // 含10分钟等车,不在分段内
+    totalCost: 10,
+    segments: [
+      { mode: 'walk', duration: 10 },
+      { mode: 'subway', duration: 40, crowding: { loadFactor, seatProbability: 0.25 } }
+    ]
+  });
+  const valueOfTime = { base: 30, crowded: 45, standing: 60 };
+
+  // 步行10分钟¥5 + 地铁(坐10分钟按45、站30分钟按60)¥37.5 + 等车10分钟¥5
+  assert.deepEqual(generalizedCost(crowdedRide(1.2), valueOfTime), { money: 10, time: 47.5, total: 57.5 });
+  // 不拥挤时坐着的部分按 base 计
+  assert.deepEqual(generalizedCost(crowdedRide(0.8), valueOfTime), { money: 10, time: 45, total: 55 });
+  assert.deepEqual(generalizedCost(crowdedRide(1.2), normalizeValueOfTime(30)), { money: 10, time: 30, total: 40 });
+});
+
+test('时间价值: 与更便宜方案的边际比较', () => {
+  const named = (id, description, totalDuration, totalCost) => ({ id, totalDuration, totalCost, summary: { description } });
+  const subway = named('subway', '全程地铁', 60, 5);
+  const mixed = named('mixed', '打车+地铁', 40, 25);
+  const taxi = named('taxi', '全程打车', 30, 80);
+  const slowTaxi = named('slowTaxi', '绕行打车', 45, 85);
+  const routes = [taxi, slowTaxi, mixed, subway];
+
+  const comparisons = marginalComparisons(routes, normalizeValueOfTime(30));
+  assert.equal(comparisons.has(subway), false);
+  assert.equal(comparisons.get(mixed), '比全程地铁多花¥20省20分钟,约¥60/小时,不划算');
+  assert.equal(comparisons.get(taxi), '比打车+地铁多花¥55省10分钟,约¥330/小时,不划算');
+  assert.equal(comparisons.get(slowTaxi), '比全程打车多花¥5且慢15分钟');
+
+  assert.equal(marginalComparisons(routes, normalizeValueOfTime(60)).get(mixed), '比全程地铁多花¥20省20分钟,约¥60/小时,划算');
+});
+
+test('推荐解释: 得分构成、与其他方案的比较和反事实', () => {
+  const scored = (id, type, description, totalDuration, totalCost, scores) => ({ id, type, totalDuration, totalCost, summary: { description }, scores });
+  const subway = scored('subway', 'subway', '全程地铁', 60, 6, { time: 0, cost: 100, comfort: 60, total: 0.52 });
+  const mixed = scored('mixed', 'mixed', '打车+地铁', 40, 30, { time: 67, cost: 68, comfort: 70, total: 0.68 });
+  const taxi = scored('taxi', 'taxi', '全程打车', 30, 80, { time: 100, cost: 0, comfort: 90, total: 0.58 });
+  const weights = { time: 0.4, cost: 0.4, comfort: 0.2 };
+
+  const explanation = recommendationExplainer.explain({ recommended: mixed, routes: [subway, mixed, taxi], weights, scenario: null });
+  assert.equal(explanation.mode, 'weighted');
+  assert.deepEqual(explanation.breakdown.factors.map(({ factor, contribution }) => [factor, contribution]), [['time', 2.7], ['cost', 2.7], ['comfort', 1.4]]);
+  assert.equal(explanation.breakdown.total, 6.8);
+  assert.deepEqual(explanation.comparisons.runnerUp.diff, { duration: -10, cost: 50, comfort: 20, score: -1 });
+  assert.equal(explanation.comparisons.runnerUp.id, 'taxi');
+  assert.equal(explanation.comparisons.subway.score, 5.2);
+  assert.equal(explanation.reason, '比次优省¥50');
+
+  // 全程打车再便宜¥18.5或再快7.5分钟可追平,按时间优先偏好时它会胜出
+  assert.deepEqual(explanation.counterfactuals, [
+    { id: 'taxi', description: '全程打车', scoreGap: 1, costReduction: 18.5, fasterBy: 7.5, winsUnder: ['time'] },
+    { id: 'subway', description: '全程地铁', scoreGap: 1.6, costReduction: null, fasterBy: 12, winsUnder: ['cost'] }
+  ]);
+  assert.match(explanation.text, /^推荐打车\+地铁,综合得分6\.8\/10/);
+  assert.match(explanation.text, /全程打车\(30分钟\/¥80\)需再便宜¥18\.5或再快8分钟才能胜出,按时间优先偏好时它会胜出。$/);
+
+  assert.equal(recommendationExplainer.explain({ recommended: mixed, routes: [mixed], weights, scenario: null }).reason, '唯一可行方案');
+});
+
+test('推荐解释: 规划结果的推荐标签取自解释', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const { recommended, allRoutes } = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: new Date('2025-01-06T14:00:00+08:00') });
+
+  assert.equal(recommended.tags[1], recommended.explanation.reason);
+  assert.deepEqual(recommended.explanation.weights, { time: 0.4, cost: 0.4, comfort: 0.2 });
+  assert.ok(allRoutes.every(route => route.scores.total >= 0 && route.scores.total <= 1));
+  const runnerUp = allRoutes
+    .filter(route => route.id !== recommended.id)
+    .reduce((best, route) => (route.scores.total > best.scores.total ? route : best));
+  assert.equal(recommended.explanation.comparisons.runnerUp.id, runnerUp.id);
+  // 解释按10分制展示,由取整后的各项得分重算,与 scores.total 只差取整误差
+  assert.ok(Math.abs(recommended.explanation.breakdown.total - recommended.scores.total * 10) < 0.3);
+});
+
+test('多站点行程: 时间窗等待、迟到和候选访问顺序', () => {
+  const at = time => new Date(`2025-01-06T${time}:00+08:00`);
+  const stop = { dwellMinutes: 30, window: { from: at('10:00'), to: at('11:00') } };
+
+  const early = arriveAtStop(stop, at('09:40'));
+  assert.deepEqual([early.waitMinutes, early.lateMinutes, early.departAt.getTime()], [20, 0, at('10:30').getTime()]);
+  const late = arriveAtStop(stop, at('11:10'));
+  assert.deepEqual([late.waitMinutes, late.lateMinutes, late.departAt.getTime()], [0, 10, at('11:40').getTime()]);
+
+  // 首尾和 fixed 站点不动,第一个为请求顺序
+  assert.deepEqual(stopOrders([{}, {}, {}, {}]), [[0, 1, 2, 3], [0, 2, 1, 3]]);
+  assert.deepEqual(stopOrders([{}, {}, { fixed: true }, {}, {}]), [[0, 1, 2, 3, 4], [0, 3, 2, 1, 4]]);
+  assert.equal(stopOrders([{}, {}, {}, {}, {}]).length, 6);
+
+  const stops = [{}, { window: { to: at('08:30') } }, {}];
+  const legs = { '0-1': { duration: 20, generalizedCost: 10 }, '1-2': { duration: 20, generalizedCost: 10 }, '0-2': null };
+  const legOf = (from, to) => legs[`${from}-${to}`] ?? null;
+  assert.deepEqual(estimateOrder([0, 1, 2], stops, at('08:00'), legOf, 60), {
+    order: [0, 1, 2], arriveAt: at('08:40'), lateMinutes: 0, waitMinutes: 0, generalizedCost: 20
+  });
+  assert.equal(estimateOrder([0, 2, 1], stops, at('08:00'), legOf, 60), null);
+
+  // 迟到少的优先,其次广义费用低的
+  assert.ok(compareEstimates({ lateMinutes: 0, generalizedCost: 90 }, { lateMinutes: 5, generalizedCost: 10 }) < 0);
+  assert.ok(compareEstimates({ lateMinutes: 0, generalizedCost: 20 }, { lateMinutes: 0, generalizedCost: 10 }) > 0);
+});
+
+test('多站点行程参数校验', () => {
+  const params = validateItinerary({ stops: ['西直门', { place: '国贸', dwellMinutes: 30, window: { to: '2025-01-06T10:00:00' } }], time: '2025-01-06T08:00:00' });
+  assert.deepEqual(params.stops[0], { place: '西直门', dwellMinutes: 0, window: null, fixed: false });
+  assert.equal(params.stops[1].window.to.getTime(), new Date('2025-01-06T10:00:00+08:00').getTime());
+  assert.equal(params.optimizeOrder, false);
+
+  assert.deepEqual(validationErrors(validateItinerary, { stops: ['西直门'] }), [{ field: 'stops', code: 'OUT_OF_RANGE' }]);
+  assert.deepEqual(validationErrors(validateItinerary, {
+    time: '2025-01-06T08:00:00',
+    optimizeOrder: true,
+    stops: [
+      { place: '西直门', dwellMinutes: 10 },
+      { place: '', window: {} },
+      { place: '国贸', window: { to: '2025-01-06T07:00:00' }, fixed: 'yes' }
+    ]
+  }), [
+    { field: 'stops[0]', code: 'OUT_OF_RANGE' },
+    { field: 'stops[1].place', code: 'MISSING_FIELD' },
+    { field: 'stops[1].window', code: 'MISSING_FIELD' },
+    { field: 'stops[2].window.to', code: 'OUT_OF_RANGE' },
+    { field: 'stops[2].fixed', code: 'INVALID_TYPE' }
+  ]);
+
+  // 不含 place 的坐标、地址或 POI 对象本身就是地点
+  const bare = validateItinerary({ stops: [{ lng: 116.4, lat: 39.9 }, { address: '国贸' }, { id: 'B000A83M61' }], time: '2025-01-06T08:00:00' });
+  assert.deepEqual(bare.stops.map(stop => stop.place), [{ lng: 116.4, lat: 39.9 }, { address: '国贸' }, { id: 'B000A83M61' }]);
+  assert.deepEqual(validationErrors(validateItinerary, { stops: ['西直门', { lng: 116.4 }] }), [
+    { field: 'stops[1].place.lat', code: 'MISSING_FIELD' }
+  ]);
+
+  // 调整访问顺序不要求提供时间价值,规划时取默认值
+  const reorder = validateItinerary({ stops: ['西直门', '五道口', '国贸'], time: '2025-01-06T08:00:00', optimizeOrder: true });
+  assert.equal(reorder.optimizeOrder, true);
+  assert.equal(reorder.valueOfTime, null);
+});
+
+const WUDAOKOU = { lng: 116.338, lat: 39.992, name: '五道口' };
+const XIDAN = { lng: 116.374, lat: 39.907, name: '西单' };
+
+test('多站点行程: 逐段顺延出发时刻,按广义费用调整访问顺序', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const stops = [{ place: XIZHIMEN }, { place: GUOMAO, dwellMinutes: 30 }, { place: WUDAOKOU, dwellMinutes: 30 }, { place: XIDAN }];
+  const time = new Date('2025-01-06T14:00:00+08:00');
+
+  const requested = await planner.planItinerary({ stops, time, valueOfTime: 60 });
+  assert.deepEqual(requested.order, [0, 1, 2, 3]);
+  assert.deepEqual(requested.meta.ordering, { optimized: false, requested: [0, 1, 2, 3], valueOfTime: null, evaluatedOrders: 1, estimatedSaving: null, budget: null });
+  for (let i = 1; i < requested.legs.length; i++) {
+    assert.equal(requested.legs[i].departAt, requested.stops[i].departAt);
+  }
+  assert.equal(requested.summary.totalMinutes, requested.summary.travelMinutes + requested.summary.dwellMinutes);
+
+  // 先去五道口再去国贸更顺路
+  const optimized = await planner.planItinerary({ stops, time, valueOfTime: 60, optimizeOrder: true });
+  assert.deepEqual(optimized.order, [0, 2, 1, 3]);
+  assert.deepEqual(optimized.stops.map(stop => stop.name), ['西直门', '五道口', '国贸', '西单']);
+  const { budget, ...ordering } = optimized.meta.ordering;
+  assert.deepEqual(ordering, {
+    optimized: true, requested: [0, 1, 2, 3], valueOfTime: normalizeValueOfTime(60), evaluatedOrders: 2, estimatedSaving: 32
+  });
+  assert.equal(budget.exceeded, null);
+  assert.ok(optimized.summary.generalizedCost < requested.summary.generalizedCost);
+
+  // 未给出时间价值时按默认值估算顺序,各段仍按偏好权重评分
+  const byPreference = await planner.planItinerary({ stops, time, optimizeOrder: true });
+  assert.deepEqual(byPreference.order, [0, 2, 1, 3]);
+  assert.deepEqual(byPreference.meta.ordering.valueOfTime, normalizeValueOfTime(DEFAULT_VALUE_OF_TIME));
+  assert.equal(byPreference.legs[0].route.generalizedCost, undefined);
+});
+
+test('多站点行程: 提前到达计入等待,推荐方案赶不上时间窗时改选能按时到达的方案', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const time = new Date('2025-01-06T14:00:00+08:00');
+
+  const early = await planner.planItinerary({
+    stops: [{ place: XIZHIMEN }, { place: GUOMAO, window: { from: new Date('2025-01-06T15:00:00+08:00'), to: new Date('2025-01-06T15:30:00+08:00') } }],
+    time
+  });
+  assert.deepEqual([early.stops[1].waitMinutes, early.stops[1].lateMinutes, early.summary.waitMinutes], [26, 0, 26]);
+
+  const tight = await planner.planItinerary({ stops: [{ place: XIZHIMEN }, { place: GUOMAO, window: { to: new Date('2025-01-06T14:32:00+08:00') } }], time });
+  assert.deepEqual([tight.legs[0].chosenBy, tight.legs[0].route.id], ['window', 'taxi_full']);
+  assert.equal(tight.summary.lateMinutes, 0);
+});
+
+test('打车计价: 高德返回的字符串里程和过路费按数字计算', async (t) => {
+  const fare = taxiFare.estimate({ distance: '20000', duration: 30, time: new Date('2025-01-06T12:00:00+08:00'), provider: 'express', tolls: '5' });
+  assert.equal(fare.tolls, 5);
+  assert.equal(fare.total, 70.9);
+
+  stubAmap(t, { status: '1', route: { paths: [{ distance: '20000', duration: '1800', tolls: '5', traffic_lights: '12' }] } });
+  const driving = await amapService.getDrivingRoute({ lng: 116.3, lat: 39.9 }, { lng: 116.5, lat: 39.9 });
+  assert.deepEqual(driving, { distance: 20000, duration: 30, traffic: 12, tolls: 5, dataSource: 'live' });
+});
+
+test('硬性约束与方案合计: 字符串里程按数字相加', async (t) => {
+  const route = {
+    id: 'mixed',
+    totalCost: 20,
+    segments: [
+      { mode: 'walk', distance: '300' },
+      { mode: 'taxi', distance: '3000' },
+      { mode: 'subway', line: '13号线', from: '知春路站', to: '西二旗站', distance: '7000' },
+      { mode: 'walk', distance: '400' }
+    ]
+  };
+  assert.equal(new RouteConstraints({ maxWalkDistance: 1000 }).violation(route), null);
+  assert.equal(new RouteConstraints({ maxTaxiShare: 0.2 }).violation(route), 'maxTaxiShare');
+
+  // 提供方返回字符串里程时,混合方案的总里程仍为数字
+  class StringDistanceProvider extends OfflineProvider {
+    async getDrivingRoute(origin, destination) {
+      const route = await super.getDrivingRoute(origin, destination);
+      return { ...route, distance: String(route.distance) };
+    }
+  }
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new StringDistanceProvider() });
+  const { allRoutes } = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: new Date('2025-01-06T14:00:00+08:00') });
+  const mixed = allRoutes.filter(item => item.type === 'mixed');
+  assert.ok(mixed.some(item => item.segments.some(seg => seg.mode === 'taxi')));
+  for (const item of mixed) {
+    assert.equal(item.totalDistance, item.segments.reduce((sum, seg) => sum + Number(seg.distance), 0));
+  }
+});
+
+test('参数校验: 只含空白的地址视为缺失', () => {
+  assert.deepEqual(validationErrors(validatePlanRequest, { start: '   ', end: { address: ' ' } }), [
+    { field: 'start', code: 'MISSING_FIELD' },
+    { field: 'end', code: 'MISSING_FIELD' }
+  ]);
+});
+
+test('参数校验: 时间须含时分,仅有日期的字符串不接受', () => {
+  assert.deepEqual(validationErrors(validatePlanRequest, { start: '西直门', end: '国贸', time: '2025-01-06' }), [
+    { field: 'time', code: 'INVALID_TIME' }
+  ]);
+
+  const local = validatePlanRequest({ start: '西直门', end: '国贸', time: '2025-01-06 18:00' });
+  assert.equal(local.time.getTime(), new Date('2025-01-06T18:00:00+08:00').getTime());
+});
+
+// 与高德服务一样每次调用占用一次预算
+class BudgetedProvider extends OfflineProvider {
+  async getSubwayRoutes(origin, destination, options = {}) {
+    options.budget?.consume();
+    return super.getSubwayRoutes(origin, destination, options);
+  }
+
+  async getDrivingRoute(origin, destination, options = {}) {
+    options.budget?.consume();
+    return super.getDrivingRoute(origin, destination, options);
+  }
+
+  async getBicyclingRoute(origin, destination, options = {}) {
+    options.budget?.consume();
+    return super.getBicyclingRoute(origin, destination, options);
+  }
+}
+
+test('多站点行程: 估算访问顺序的各站点对共用一份调用预算', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const stops = [{ place: XIZHIMEN }, { place: GUOMAO, dwellMinutes: 30 }, { place: WUDAOKOU, dwellMinutes: 30 }, { place: XIDAN }];
+  const time = new Date('2025-01-06T14:00:00+08:00');
+
+  // 预算耗尽后不再规划剩余站点对,按请求顺序出行
+  const limited = await new RoutePlannerService({ provider: new BudgetedProvider() })
+    .planItinerary({ stops, time, optimizeOrder: true, options: { maxApiCalls: 20 } });
+  assert.deepEqual(limited.order, [0, 1, 2, 3]);
+  assert.equal(limited.meta.ordering.estimatedSaving, null);
+  assert.deepEqual([limited.meta.ordering.budget.usedCalls, limited.meta.ordering.budget.exceeded], [20, 'calls']);
+  assert.equal(limited.meta.partial, true);
+
+  const unlimited = await new RoutePlannerService({ provider: new BudgetedProvider() })
+    .planItinerary({ stops, time, optimizeOrder: true, options: { maxApiCalls: 1000 } });
+  assert.deepEqual(unlimited.order, [0, 2, 1, 3]);
+  assert.equal(unlimited.meta.ordering.budget.exceeded, null);
+});
+
+test('时间价值模式: 综合得分为最低广义费用与本方案之比', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const { allRoutes } = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: new Date('2025-01-06T14:00:00+08:00'), valueOfTime: 60 });
+
+  const minGeneralized = Math.min(...allRoutes.map(route => route.generalizedCost.total));
+  for (const route of allRoutes) {
+    assert.equal(route.scores.total, Math.round(minGeneralized / route.generalizedCost.total * 10) / 10);
+  }
+  assert.equal(allRoutes.find(route => route.generalizedCost.total === minGeneralized).scores.total, 1);
+});
+
+test('出发时刻扫描: 推荐出发时刻按各时刻自己的场景评分', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const at = new Date('2025-01-06T14:00:00+08:00');
+  const sweep = facts => planner.planDepartureWindow({ origin: XIZHIMEN, destination: GUOMAO, from: at, to: at, stepMinutes: 30, ...facts });
+
+  // 只有一个时刻时,合并评分与该时刻的评分一致: 雪天权重、雨天和行李的舒适度扣分都生效
+  const snowy = await sweep({ weather: 'snow' });
+  assert.equal(snowy.recommendedDeparture.route.scores.total, snowy.timeline[0].recommended.score);
+
+  const rainy = await sweep({ weather: 'rain', luggage: true });
+  const single = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: at, weather: 'rain', luggage: true });
+  assert.equal(rainy.recommendedDeparture.route.id, single.recommended.id);
+  assert.equal(rainy.recommendedDeparture.route.scores.comfort, single.recommended.scores.comfort);
+});
+
+test('多站点行程: 预算耗尽时规划到一半的站点对不计入估算,也不留给逐段规划复用', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const provider = new BudgetedProvider();
+  const planner = new RoutePlannerService({ provider });
+  const stops = [{ place: XIZHIMEN }, { place: GUOMAO, dwellMinutes: 30 }, { place: WUDAOKOU, dwellMinutes: 30 }, { place: XIDAN }];
+
+  // 首个站点对就用完估算预算
+  const result = await planner.planItinerary({ stops, time: new Date('2025-01-06T14:00:00+08:00'), optimizeOrder: true, options: { maxApiCalls: 30 } });
+  assert.ok(log.mock.calls.some(call => /已规划 0\/6 个站点对/.test(call.arguments[0])));
+  assert.deepEqual(result.order, [0, 1, 2, 3]);
+  // 估算用掉30次,三段各用新的预算重新规划,首段不复用估算时的不完整结果
+  assert.equal(provider.calls, 30 * 4);
+});
+
+test('Vercel 适配器: 预解析的请求体不是合法 JSON 时返回 INVALID_JSON', async () => {
+  const handler = createVercelHandler();
+  const call = async body => {
+    const req = Object.defineProperty({ method: 'POST', url: '/api/routes/plan', query: {}, headers: { 'x-vercel-id': 'vc-1' } }, 'body', body);
+    const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; }, end(text) { this.body = text; } };
+    await handler(req, res);
+    return res;
+  };
+
+  // Vercel 在读取 req.body 时才解析,不合法的 JSON 直接抛错
+  const broken = await call({ get() { throw new Error('Invalid JSON'); } });
+  assert.equal(broken.statusCode, 400);
+  assert.equal(broken.headers['Content-Type'], 'application/json; charset=utf-8');
+  const body = JSON.parse(broken.body);
+  assert.deepEqual([body.code, body.requestId], [400, 'vc-1']);
+  assert.deepEqual(body.errors.map(error => error.code), ['INVALID_JSON']);
+
+  const missing = await call({ value: {} });
+  assert.equal(missing.statusCode, 400);
+  assert.deepEqual(JSON.parse(missing.body).errors.map(error => error.field), ['start', 'end']);
+});
+
+test('数据来源: 统计不含模拟来源,离线方案标记为降级', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const { meta } = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time: new Date('2025-01-06T14:00:00+08:00') });
+
+  assert.deepEqual(Object.keys(meta.dataSources), DATA_SOURCES);
+  assert.equal(DATA_SOURCES.includes('mock'), false);
+  assert.ok(meta.dataSources.offline > 0);
+  assert.deepEqual({ ...meta.dataSources, offline: 0 }, { live: 0, cached: 0, replay: 0, offline: 0 });
+  assert.equal(meta.degraded, true);
+});
+
+test('北京时间: 服务器不在北京时区时,深夜出发仍剔除停运地铁方案', async (t) => {
+  const tz = process.env.TZ;
+  process.env.TZ = 'UTC';
+  t.after(() => {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  });
+  t.mock.method(console, 'log', () => {});
+
+  const time = new Date('2025-01-06T23:50:00+08:00');
+  assert.deepEqual(beijingClock(time), { year: 2025, month: 1, date: 6, day: 1, hour: 23, minute: 50 });
+  assert.equal(formatBeijingTime(beijingMidnight(new Date('2025-01-07T01:00:00+08:00'), -1)), '00:00');
+  assert.equal(validatePlanRequest({ start: '西直门', end: '国贸', time: '2025-01-06T23:50:00' }).time.getTime(), time.getTime());
+
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const { recommended, allRoutes, meta } = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time });
+  assert.match(meta.scenario, /深夜模式/);
+  assert.ok(meta.droppedByServiceHours > 0);
+  assert.ok(allRoutes.every(route => !route.segments.some(seg => seg.mode === 'subway')));
+  assert.equal(recommended.id, 'taxi_full');
+});
+
+test('候选方案生成: 不改动提供方返回的缓存对象', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  // 与缓存/录像一样,每次返回同一批对象
+  class CachingProvider extends OfflineProvider {
+    async getSubwayRoutes(origin, destination) {
+      this.subwayRoutes ||= await super.getSubwayRoutes(origin, destination);
+      return this.subwayRoutes;
+    }
+  }
+  const provider = new CachingProvider();
+  const planner = new RoutePlannerService({ provider });
+  const time = new Date('2025-01-06T14:00:00+08:00');
+
+  const first = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time });
+  const snapshot = structuredClone(provider.subwayRoutes);
+  assert.ok(snapshot.every(route => !('totalDuration' in route)));
+
+  const second = await planner.planRoute({ origin: XIZHIMEN, destination: GUOMAO, time });
+  assert.deepEqual(provider.subwayRoutes, snapshot);
+  assert.deepEqual(second.allRoutes.map(route => [route.id, route.totalDuration]), first.allRoutes.map(route => [route.id, route.totalDuration]));
+});
+
+test('到达时间 + 时间价值: 余量足以覆盖用时波动的方案排在可能迟到的方案之前', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const planner = new RoutePlannerService({ provider: new OfflineProvider() });
+  const time = new Date('2025-01-06T14:00:00+08:00');
+  const { allRoutes, recommended } = await planner.planRoute({
+    origin: XIZHIMEN,
+    destination: GUOMAO,
+    time,
+    arriveBy: new Date('2025-01-06T14:45:00+08:00'),
+    valueOfTime: 60
+  });
+
+  const atRisk = route => route.arriveBy.slack < route.arriveBy.riskMinutes;
+  const safe = allRoutes.filter(route => !atRisk(route));
+  const risky = allRoutes.filter(atRisk);
+  assert.ok(safe.length > 0 && risky.length > 0);
+  assert.deepEqual(allRoutes, [...safe, ...risky]);
+  for (const group of [safe, risky]) {
+    const costs = group.map(route => route.generalizedCost.total);
+    assert.deepEqual(costs, [...costs].sort((a, b) => a - b));
+  }
+  assert.equal(atRisk(recommended), false);
+});
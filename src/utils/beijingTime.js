@@ -0,0 +1,74 @@
+/**
+ * 北京时间工具
+ * 运营时间、高峰时段、节假日等都按北京墙上时间(UTC+8,无夏令时)判断;
+ * 服务可能部署在任意时区(函数计算、Vercel 默认 UTC),因此不读取服务器本地时区
+ */
+
+const BEIJING_OFFSET_MS = 8 * 60 * 60000;
+
+// 末尾带 Z 或 ±hh:mm / ±hhmm 的时间串自带时区
+const HAS_ZONE = /(?:Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * 某时刻的北京墙上时间
+ * @param {Date} time - 时刻
+ * @returns {Object} {year, month, date, day, hour, minute},month 为1-12,day 为星期(0为周日)
+ */
+export function beijingClock(time) {
+  const shifted = new Date(time.getTime() + BEIJING_OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    date: shifted.getUTCDate(),
+    day: shifted.getUTCDay(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes()
+  };
+}
+
+/**
+ * 北京时间某日零点对应的时刻
+ * @param {Date} time - 当日任一时刻
+ * @param {number} dayOffset - 相对天数,-1 为前一日
+ * @returns {Date}
+ */
+export function beijingMidnight(time, dayOffset = 0) {
+  const { year, month, date } = beijingClock(time);
+  return new Date(Date.UTC(year, month - 1, date + dayOffset) - BEIJING_OFFSET_MS);
+}
+
+/**
+ * 北京日期 YYYY-MM-DD
+ */
+export function formatBeijingDate(time) {
+  const { year, month, date } = beijingClock(time);
+  return `${year}-${pad(month)}-${pad(date)}`;
+}
+
+/**
+ * 北京时间 HH:MM
+ */
+export function formatBeijingTime(time) {
+  const { hour, minute } = beijingClock(time);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * 北京日期时间 YYYY-MM-DD HH:MM,用于日志
+ */
+export function formatBeijingDateTime(time) {
+  return `${formatBeijingDate(time)} ${formatBeijingTime(time)}`;
+}
+
+/**
+ * 解析 ISO 8601 时间串,不带时区的按北京时间解析(而非服务器本地时间)
+ * @param {string} value - 如 2025-01-06T18:00:00 或 2025-01-06T18:00:00+08:00
+ * @returns {Date}
+ */
+export function parseBeijingTime(value) {
+  return new Date(HAS_ZONE.test(value) ? value : `${value.replace(' ', 'T')}+08:00`);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
@@ -0,0 +1,31 @@
+/**
+ * 并发控制
+ */
+
+/**
+ * 创建并发限制器,同一时间最多运行 concurrency 个任务,其余按提交顺序排队
+ * @param {number} concurrency - 最大并发数
+ * @returns {Function} limit(task) => Promise
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
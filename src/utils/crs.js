@@ -0,0 +1,149 @@
+/**
+ * 坐标系转换
+ * - wgs84: GPS 原始坐标
+ * - gcj02: 国测局坐标(高德使用,服务内部统一采用)
+ * - bd09: 百度坐标
+ * 国内以外的坐标不做偏移
+ */
+
+const A = 6378245.0; // 克拉索夫斯基椭球长半轴
+const EE = 0.00669342162296594323; // 偏心率平方
+const X_PI = Math.PI * 3000.0 / 180.0;
+
+export const CRS_TYPES = ['wgs84', 'gcj02', 'bd09'];
+
+const CRS_ALIASES = {
+  'wgs84': 'wgs84',
+  'wgs-84': 'wgs84',
+  'gps': 'wgs84',
+  'gcj02': 'gcj02',
+  'gcj-02': 'gcj02',
+  'amap': 'gcj02',
+  'bd09': 'bd09',
+  'bd-09': 'bd09',
+  'baidu': 'bd09'
+};
+
+/**
+ * 规范化坐标系名称,缺省为 gcj02
+ * @returns {string|null} 不支持的名称返回 null
+ */
+export function normalizeCrs(value) {
+  if (value === undefined || value === null || value === '') return 'gcj02';
+  return CRS_ALIASES[String(value).toLowerCase()] || null;
+}
+
+function outOfChina({ lng, lat }) {
+  return lng < 72.004 || lng > 137.8347 || lat < 0.8293 || lat > 55.8271;
+}
+
+function transformLat(x, y) {
+  let ret = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+  ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+  ret += (20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin(y / 3.0 * Math.PI)) * 2.0 / 3.0;
+  ret += (160.0 * Math.sin(y / 12.0 * Math.PI) + 320 * Math.sin(y * Math.PI / 30.0)) * 2.0 / 3.0;
+  return ret;
+}
+
+function transformLng(x, y) {
+  let ret = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+  ret += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+  ret += (20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin(x / 3.0 * Math.PI)) * 2.0 / 3.0;
+  ret += (150.0 * Math.sin(x / 12.0 * Math.PI) + 300.0 * Math.sin(x / 30.0 * Math.PI)) * 2.0 / 3.0;
+  return ret;
+}
+
+/**
+ * WGS-84 → GCJ-02
+ */
+export function wgs84ToGcj02(point) {
+  if (outOfChina(point)) return { lng: point.lng, lat: point.lat };
+
+  const { lng, lat } = point;
+  let dLat = transformLat(lng - 105.0, lat - 35.0);
+  let dLng = transformLng(lng - 105.0, lat - 35.0);
+  const radLat = lat / 180.0 * Math.PI;
+  let magic = Math.sin(radLat);
+  magic = 1 - EE * magic * magic;
+  const sqrtMagic = Math.sqrt(magic);
+  dLat = (dLat * 180.0) / ((A * (1 - EE)) / (magic * sqrtMagic) * Math.PI);
+  dLng = (dLng * 180.0) / (A / sqrtMagic * Math.cos(radLat) * Math.PI);
+
+  return { lng: lng + dLng, lat: lat + dLat };
+}
+
+/**
+ * GCJ-02 → WGS-84
+ * 迭代求逆,误差小于 1e-7 度(约1厘米)
+ */
+export function gcj02ToWgs84(point) {
+  if (outOfChina(point)) return { lng: point.lng, lat: point.lat };
+
+  let wgs = { lng: point.lng, lat: point.lat };
+  for (let i = 0; i < 10; i++) {
+    const gcj = wgs84ToGcj02(wgs);
+    const dLng = gcj.lng - point.lng;
+    const dLat = gcj.lat - point.lat;
+    wgs = { lng: wgs.lng - dLng, lat: wgs.lat - dLat };
+    if (Math.abs(dLng) < 1e-7 && Math.abs(dLat) < 1e-7) break;
+  }
+  return wgs;
+}
+
+/**
+ * BD-09 → GCJ-02
+ */
+export function bd09ToGcj02({ lng, lat }) {
+  const x = lng - 0.0065;
+  const y = lat - 0.006;
+  const z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * X_PI);
+  const theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * X_PI);
+  return { lng: z * Math.cos(theta), lat: z * Math.sin(theta) };
+}
+
+/**
+ * GCJ-02 → BD-09
+ */
+export function gcj02ToBd09({ lng, lat }) {
+  const z = Math.sqrt(lng * lng + lat * lat) + 0.00002 * Math.sin(lat * X_PI);
+  const theta = Math.atan2(lat, lng) + 0.000003 * Math.cos(lng * X_PI);
+  return { lng: z * Math.cos(theta) + 0.0065, lat: z * Math.sin(theta) + 0.006 };
+}
+
+/**
+ * 任意坐标系 → GCJ-02,保留点上的其他字段
+ * @param {Object} point - {lng, lat, ...}
+ * @param {string} crs - 规范化后的坐标系
+ */
+export function toGcj02(point, crs) {
+  const convert = { wgs84: wgs84ToGcj02, bd09: bd09ToGcj02 }[crs];
+  return convert ? { ...point, ...convert(point) } : point;
+}
+
+/**
+ * GCJ-02 → 任意坐标系,保留点上的其他字段
+ */
+export function fromGcj02(point, crs) {
+  const convert = { wgs84: gcj02ToWgs84, bd09: gcj02ToBd09 }[crs];
+  return convert ? { ...point, ...convert(point) } : point;
+}
+
+/**
+ * 将结果中所有 {lng, lat} 坐标从 GCJ-02 转换到目标坐标系(返回新对象)
+ * 用于响应输出,结果中的坐标可能出现在任意层级(起终点、分段站点、入口等)
+ */
+export function convertResultCrs(value, crs) {
+  if (crs === 'gcj02' || value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(item => convertResultCrs(item, crs));
+
+  const converted = {};
+  for (const [key, item] of Object.entries(value)) {
+    converted[key] = convertResultCrs(item, crs);
+  }
+
+  if (Number.isFinite(converted.lng) && Number.isFinite(converted.lat)) {
+    return fromGcj02(converted, crs);
+  }
+  return converted;
+}
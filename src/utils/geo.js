@@ -0,0 +1,42 @@
+/**
+ * 地理计算工具
+ */
+
+const EARTH_RADIUS = 6371000; // 米
+
+/**
+ * 两点间球面距离
+ * @param {Object} a - {lng, lat}
+ * @param {Object} b - {lng, lat}
+ * @returns {number} 距离(米)
+ */
+export function haversineDistance(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 点在线段 a→b 上的投影
+ * 北京范围内按等距平面近似计算
+ * @returns {{t: number, offset: number}} t 为沿线比例(0=a, 1=b), offset 为垂直距离(米)
+ */
+export function projectOnSegment(point, a, b) {
+  const kx = Math.cos(a.lat * Math.PI / 180);
+  const bx = (b.lng - a.lng) * kx;
+  const by = b.lat - a.lat;
+  const px = (point.lng - a.lng) * kx;
+  const py = point.lat - a.lat;
+
+  const len2 = bx * bx + by * by;
+  const t = len2 === 0 ? 0 : (px * bx + py * by) / len2;
+  const foot = {
+    lng: a.lng + (b.lng - a.lng) * t,
+    lat: a.lat + (b.lat - a.lat) * t
+  };
+
+  return { t, offset: haversineDistance(point, foot) };
+}
@@ -0,0 +1,22 @@
+/**
+ * 地点类型识别
+ */
+
+import { PLACE_TYPES } from '../config/placeTypes.js';
+
+/**
+ * 按 POI 类型编码或名称识别地点类型
+ * @param {Object} place - {name, typecode?}
+ * @returns {string|null} airport | railway,无法识别时为 null
+ */
+export function classifyPlace(place, types = PLACE_TYPES) {
+  const typecode = place?.typecode || '';
+  const name = place?.name || '';
+  for (const [type, rule] of Object.entries(types)) {
+    if (rule.typecodes.some(code => typecode.startsWith(code)) ||
+      rule.keywords.some(keyword => name.includes(keyword))) {
+      return type;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,50 @@
+/**
+ * 令牌桶限流
+ * 进程内共享,保证对高德的调用不超过 QPS 限额
+ */
+
+export class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.rate - 每秒补充令牌数(即 QPS)
+   * @param {number} options.capacity - 桶容量(允许的瞬时突发)
+   */
+  constructor({ rate, capacity = rate }) {
+    this.rate = rate;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 获取一个令牌,按先来后到排队
+   * @param {number} deadline - 截止时间戳,等不到令牌时返回 false
+   * @returns {Promise<boolean>}
+   */
+  acquire(deadline = Infinity) {
+    const turn = this.queue.then(() => this._take(deadline));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async _take(deadline) {
+    for (;;) {
+      this._refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return true;
+      }
+
+      const wait = Math.ceil((1 - this.tokens) / this.rate * 1000);
+      if (Date.now() + wait > deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * 单次规划请求的接口调用预算
+ * 限制高德调用次数和总耗时,耗尽后生成过程应停止发起新调用
+ */
+
+export class BudgetExceededError extends Error {
+  constructor(reason) {
+    super(reason === 'deadline' ? '规划请求已超时' : '高德调用次数已达上限');
+    this.name = 'BudgetExceededError';
+    this.reason = reason; // 'calls' | 'deadline'
+  }
+}
+
+export class RequestBudget {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxCalls - 最多调用次数
+   * @param {number} options.timeoutMs - 从创建起的总时限(毫秒)
+   */
+  constructor({ maxCalls = Infinity, timeoutMs = Infinity } = {}) {
+    this.maxCalls = maxCalls;
+    this.timeoutMs = timeoutMs;
+    this.deadline = Date.now() + timeoutMs;
+    this.used = 0;
+    this.exceeded = null; // 首次耗尽的原因
+  }
+
+  /**
+   * 占用一次调用额度,额度或时间耗尽时抛出 BudgetExceededError
+   */
+  consume() {
+    if (this.expired) this._fail('deadline');
+    if (this.used >= this.maxCalls) this._fail('calls');
+    this.used++;
+  }
+
+  /**
+   * 标记因超时而放弃(如限流等待超过截止时间)
+   */
+  expire() {
+    this._fail('deadline');
+  }
+
+  get expired() {
+    return Date.now() >= this.deadline;
+  }
+
+  get exhausted() {
+    return this.exceeded !== null;
+  }
+
+  remainingTime() {
+    return Math.max(0, this.deadline - Date.now());
+  }
+
+  toJSON() {
+    return {
+      maxCalls: this.maxCalls,
+      usedCalls: this.used,
+      timeoutMs: this.timeoutMs,
+      exceeded: this.exceeded
+    };
+  }
+
+  _fail(reason) {
+    this.exceeded = this.exceeded || reason;
+    throw new BudgetExceededError(reason);
+  }
+}